@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Kira Audit Log
+ *
+ * Who changed what, and when, across content, clips, bookings and
+ * predictions, plus a check that the hash-chained log is intact.
+ */
+
+const { AuditLog } = require('./lib/audit');
+const { getConfig } = require('./lib/config');
+const { Output } = require('./lib/cli');
+
+const CONFIG = {
+  auditLogPath: getConfig().auditLogPath,
+  entities: ['content', 'clip', 'booking', 'prediction']
+};
+
+function formatChange(field, { from, to }) {
+  const show = value => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  };
+  return `${field}: ${show(from)} → ${show(to)}`;
+}
+
+const out = new Output();
+const log = new AuditLog(CONFIG.auditLogPath);
+const command = process.argv[2];
+const flag = name => {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+switch (command) {
+  case 'list':
+    const filters = { entity: flag('--entity') || null, id: flag('--id') || null };
+    if (filters.entity && !CONFIG.entities.includes(filters.entity)) {
+      out.usage(`--entity must be one of ${CONFIG.entities.join(', ')}`);
+    }
+    const badDate = ['since', 'until'].find(key => {
+      const value = flag(`--${key}`);
+      if (value === undefined) return false;
+      filters[key] = new Date(value);
+      return Number.isNaN(filters[key].getTime());
+    });
+    if (badDate) {
+      out.fail('validation', `Invalid --${badDate} datetime: ${flag(`--${badDate}`)}`);
+      break;
+    }
+    out.print(log.query(filters), entries => {
+      if (entries.length === 0) console.log('No matching entries');
+      entries.forEach(entry => {
+        console.log(`#${entry.seq} ${entry.at} ${entry.actor} ${entry.action} ${entry.entity} ${entry.id}`);
+        Object.entries(entry.changes).forEach(([field, change]) => {
+          console.log(`   ${formatChange(field, change)}`);
+        });
+      });
+    });
+    break;
+
+  case 'verify':
+    const report = log.verify();
+    if (!report.ok) {
+      out.fail('error', `Audit log is broken (${report.problems.length} problem(s) in ${report.entries} entries)`, {
+        problems: report.problems,
+        lines: report.problems.map(p => (p.line ? `line ${p.line}: ` : '') + p.message)
+      });
+      break;
+    }
+    out.print(report, () => console.log(`Audit log OK: ${report.entries} entries, chain intact`));
+    break;
+
+  default:
+    out.help(command, `
+Kira Audit Log
+
+Usage:
+  audit.js list [--entity <entity>] [--id <id>] [--since <datetime>] [--until <datetime>]
+                               Show logged changes, oldest first
+  audit.js verify              Check the hash chain (edits, deletions, truncation)
+
+Entities: ${CONFIG.entities.join(', ')}. Changes are attributed to --actor or
+KIRA_ACTOR on the script that made them (default cli:<user>).
+
+Every command takes --json for machine-readable output. Exit codes:
+0 ok, 1 error, 2 usage, 3 not found, 4 validation, 5 state (see lib/cli.js)
+
+Examples:
+  node audit.js list --entity content --id content_1234567890_0
+  node audit.js list --entity booking --since 2026-02-01
+  node audit.js verify
+    `);
+}
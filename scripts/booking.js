@@ -7,128 +7,229 @@
  * and help debug code. $50/session, 30 minutes.
  */
 
-const fs = require('fs');
-const path = require('path');
+const { Store } = require('./lib/store');
+const { getConfig } = require('./lib/config');
+const { Output } = require('./lib/cli');
+const { defaultActor } = require('./lib/lifecycle');
+const { AuditLog } = require('./lib/audit');
+const availability = require('./lib/availability');
+const { HOLDS_SLOT, LIFECYCLE, STORE_OPTIONS } = require('./lib/booking-model');
 
 const CONFIG = {
-  bookingsPath: '/workspace/kira/skills/kira_content/data/bookings.json',
+  bookingsPath: getConfig().bookingsPath,
+  auditLogPath: getConfig().auditLogPath,
   priceUSD: 50,
   durationMinutes: 30,
-  maxPerWeek: 5
+  // Sessions per week (Sun-Sat), counted on the week they're scheduled in
+  maxPerWeek: 5,
+  // Bookable hours in `timeZone` (see lib/availability.js). Sessions
+  // start every durationMinutes inside these hours.
+  availability: {
+    timeZone: 'UTC',
+    weekly: [
+      { days: [1, 2, 3, 4], hours: ['14:00-18:00'] },
+      { days: [6], hours: ['16:00-18:00'] }
+    ],
+    bufferMinutes: 15,
+    minNoticeHours: 24,
+    horizonDays: 21
+  }
 };
 
 class BookingSystem {
-  constructor() {
+  constructor(options = {}) {
+    this.store = new Store(CONFIG.bookingsPath, STORE_OPTIONS);
     this.bookings = this.load();
+    this.actor = options.actor || defaultActor();
+    this.audit = new AuditLog(CONFIG.auditLogPath);
   }
 
   load() {
-    try {
-      if (fs.existsSync(CONFIG.bookingsPath)) {
-        return JSON.parse(fs.readFileSync(CONFIG.bookingsPath, 'utf8'));
-      }
-    } catch (e) {}
-    return [];
+    return this.store.read();
   }
 
   save() {
-    fs.mkdirSync(path.dirname(CONFIG.bookingsPath), { recursive: true });
-    fs.writeFileSync(CONFIG.bookingsPath, JSON.stringify(this.bookings, null, 2));
+    this.store.write(this.bookings);
   }
 
   /**
-   * Submit a booking request
+   * Apply a change to the latest bookings on disk (see Store.apply).
+   * fn returns the usual { error } / { success } result; errors skip the write.
    */
-  submit(user, githubRepo, topic, preferredTime, telegramHandle) {
-    // Check if user already has pending booking
-    const existing = this.bookings.find(b => 
-      b.user === user && b.status === 'pending'
-    );
-    if (existing) {
-      return { error: 'You already have a pending booking request' };
-    }
+  withBookings(fn, action = null) {
+    const { data, result } = this.store.apply(fn, {
+      audit: this.audit,
+      entity: 'booking',
+      action,
+      actor: this.actor,
+      skip: result => Boolean(result.error)
+    });
+    if (data) this.bookings = data;
+    return result;
+  }
 
-    // Check weekly capacity
-    const thisWeek = this.getThisWeekBookings();
-    if (thisWeek.length >= CONFIG.maxPerWeek) {
-      return { error: 'This week is fully booked. Try next week.' };
-    }
+  /**
+   * Look up a booking and move it along its lifecycle
+   */
+  transition(bookingId, to, action, context, fn) {
+    return this.withBookings(bookings => {
+      const booking = bookings.find(b => b.id === bookingId);
+      if (!booking) return { error: 'Booking not found', code: 'not_found' };
+
+      LIFECYCLE.transition(booking, to, { actor: this.actor, ...context });
+      fn(booking);
+      return { success: true, booking };
+    }, action);
+  }
 
-    const booking = {
-      id: `booking_${Date.now()}`,
-      user,
-      githubRepo,
-      topic,
-      preferredTime,
-      telegramHandle,
-      price: CONFIG.priceUSD,
-      status: 'pending',
-      submittedAt: new Date().toISOString(),
-      paid: false,
-      solanaTx: null
-    };
+  /**
+   * Availability config with the session length and weekly cap filled in
+   */
+  calendar() {
+    return { ...CONFIG.availability, slotMinutes: CONFIG.durationMinutes, maxPerWeek: CONFIG.maxPerWeek };
+  }
 
-    this.bookings.push(booking);
-    this.save();
+  /**
+   * Scheduled sessions as { id, start, end }, optionally leaving one out
+   */
+  busyTimes(bookings = this.bookings, exceptId = null) {
+    return bookings
+      .filter(b => HOLDS_SLOT.includes(b.status) && b.scheduledTime && b.id !== exceptId)
+      .map(b => {
+        const start = new Date(b.scheduledTime);
+        return { id: b.id, start, end: new Date(start.getTime() + CONFIG.durationMinutes * 60 * 1000) };
+      })
+      .filter(b => !Number.isNaN(b.start.getTime()));
+  }
 
-    return { success: true, booking };
+  /**
+   * Open session slots for the next `days` days
+   */
+  slots(days = CONFIG.availability.horizonDays, now = new Date()) {
+    return availability.openSlots(this.calendar(), this.busyTimes(), now, days);
   }
 
   /**
-   * Get bookings for this week
+   * Submit a booking request. A preferred time ("2026-02-16 14:00" in the
+   * calendar's time zone, or an ISO time with an offset) must be one of
+   * the open slots.
    */
-  getThisWeekBookings() {
-    const now = new Date();
-    const weekStart = new Date(now.setDate(now.getDate() - now.getDay()));
-    return this.bookings.filter(b => {
-      const bookingDate = new Date(b.submittedAt);
-      return bookingDate >= weekStart;
-    });
+  submit(user, githubRepo, topic, preferredTime, telegramHandle, now = new Date()) {
+    const calendar = this.calendar();
+    const preferred = preferredTime ? availability.parseTime(preferredTime, calendar.timeZone) : null;
+    if (preferredTime && !preferred) {
+      return { error: `Invalid preferred time: ${preferredTime}`, code: 'validation' };
+    }
+
+    return this.withBookings(bookings => {
+      // Check if user already has pending booking
+      const existing = bookings.find(b =>
+        b.user === user && b.status === 'pending'
+      );
+      if (existing) {
+        return { error: 'You already have a pending booking request', code: 'state' };
+      }
+
+      // Slot still open, and its week not full
+      if (preferred) {
+        const problem = availability.check(preferred, calendar, this.busyTimes(bookings), now);
+        if (problem) return problem;
+      }
+
+      const booking = {
+        id: `booking_${Date.now()}`,
+        user,
+        githubRepo,
+        topic,
+        preferredTime: preferred ? preferred.toISOString() : null,
+        telegramHandle,
+        price: CONFIG.priceUSD,
+        submittedAt: new Date().toISOString(),
+        paid: false,
+        solanaTx: null
+      };
+      LIFECYCLE.create(booking, 'pending', { actor: this.actor });
+
+      bookings.push(booking);
+      return { success: true, booking };
+    }, 'create');
   }
 
   /**
-   * Approve a booking (after review)
+   * Sessions scheduled in the same week (Sun-Sat, calendar time zone) as `date`
    */
-  approve(bookingId, scheduledTime) {
-    const booking = this.bookings.find(b => b.id === bookingId);
-    if (!booking) return { error: 'Booking not found' };
+  getWeekBookings(date = new Date(), bookings = this.bookings) {
+    const { timeZone } = CONFIG.availability;
+    const week = availability.weekOf(date, timeZone);
+    const ids = this.busyTimes(bookings)
+      .filter(b => availability.weekOf(b.start, timeZone) === week)
+      .map(b => b.id);
+    return bookings.filter(b => ids.includes(b.id));
+  }
 
-    booking.status = 'approved';
-    booking.scheduledTime = scheduledTime;
-    booking.approvedAt = new Date().toISOString();
-    this.save();
+  /**
+   * Sessions scheduled this week
+   */
+  getThisWeekBookings(bookings = this.bookings) {
+    return this.getWeekBookings(new Date(), bookings);
+  }
 
-    return { success: true, booking };
+  /**
+   * Approve a booking (after review) for an open slot. Slots that overlap
+   * another session or fall in a full week are refused; `force` only
+   * skips the weekly hours, notice and horizon checks.
+   */
+  approve(bookingId, scheduledTime, { force = false, now = new Date() } = {}) {
+    const calendar = this.calendar();
+    const start = availability.parseTime(scheduledTime, calendar.timeZone);
+    const time = start ? start.toISOString() : scheduledTime;
+
+    return this.withBookings(bookings => {
+      const booking = bookings.find(b => b.id === bookingId);
+      if (!booking) return { error: 'Booking not found', code: 'not_found' };
+
+      LIFECYCLE.check(booking, 'approved', { scheduledTime: time });
+      // Caught here too: Date rolls times that don't exist ("2026-02-30 14:00") over
+      if (!start) return { error: `Invalid scheduled time: ${scheduledTime}`, code: 'validation' };
+      const problem = availability.check(start, calendar, this.busyTimes(bookings, bookingId), now);
+      if (problem && !(force && problem.code === 'validation')) return problem;
+
+      LIFECYCLE.transition(booking, 'approved', { actor: this.actor, scheduledTime: time });
+      booking.scheduledTime = time;
+      booking.approvedAt = new Date().toISOString();
+      return { success: true, booking };
+    }, 'approve');
   }
 
   /**
    * Mark as paid (after Solana payment verification)
    */
   markPaid(bookingId, solanaTx) {
-    const booking = this.bookings.find(b => b.id === bookingId);
-    if (!booking) return { error: 'Booking not found' };
-
-    booking.paid = true;
-    booking.solanaTx = solanaTx;
-    booking.paidAt = new Date().toISOString();
-    this.save();
-
-    return { success: true, booking };
+    return this.transition(bookingId, 'paid', 'paid', { solanaTx }, booking => {
+      booking.paid = true;
+      booking.solanaTx = solanaTx;
+      booking.paidAt = new Date().toISOString();
+    });
   }
 
   /**
    * Complete a session
    */
   complete(bookingId, notes = '') {
-    const booking = this.bookings.find(b => b.id === bookingId);
-    if (!booking) return { error: 'Booking not found' };
-
-    booking.status = 'completed';
-    booking.completedAt = new Date().toISOString();
-    booking.notes = notes;
-    this.save();
+    return this.transition(bookingId, 'completed', 'complete', {}, booking => {
+      booking.completedAt = new Date().toISOString();
+      booking.notes = notes;
+    });
+  }
 
-    return { success: true, booking };
+  /**
+   * Cancel a booking that hasn't happened yet
+   */
+  cancel(bookingId, reason = null) {
+    return this.transition(bookingId, 'cancelled', 'cancel', { note: reason }, booking => {
+      booking.cancelledAt = new Date().toISOString();
+      booking.cancelReason = reason;
+    });
   }
 
   /**
@@ -142,9 +243,7 @@ class BookingSystem {
    * Get approved but unpaid bookings
    */
   getAwaitingPayment() {
-    return this.bookings.filter(b => 
-      b.status === 'approved' && !b.paid
-    );
+    return this.bookings.filter(b => b.status === 'approved');
   }
 
   /**
@@ -152,7 +251,7 @@ class BookingSystem {
    */
   getUpcoming() {
     return this.bookings
-      .filter(b => b.status === 'approved' && b.paid)
+      .filter(b => b.status === 'paid')
       .sort((a, b) => new Date(a.scheduledTime) - new Date(b.scheduledTime));
   }
 
@@ -174,6 +273,7 @@ class BookingSystem {
       pending: this.getPending().length,
       approved: this.bookings.filter(b => b.status === 'approved').length,
       completed: completed.length,
+      cancelled: this.bookings.filter(b => b.status === 'cancelled').length,
       totalRevenue,
       thisMonthRevenue: thisMonth.reduce((sum, b) => sum + b.price, 0),
       upcoming: this.getUpcoming().length
@@ -211,6 +311,7 @@ class BookingSystem {
         thisMonth: `$${stats.thisMonthRevenue}`,
         spotsThisWeek: Math.max(0, CONFIG.maxPerWeek - this.getThisWeekBookings().length)
       },
+      nextSlots: this.slots().slice(0, 3).map(slot => `${slot.local} ${CONFIG.availability.timeZone}`),
       bookingInstructions: `Submit your GitHub repo and what you need help with.
 I'll review and approve if it's a good fit.
 Payment in SOL after approval.
@@ -219,83 +320,144 @@ Sessions happen on stream or private Telegram.`
   }
 }
 
-// CLI
-const bookings = new BookingSystem();
-const command = process.argv[2];
-
-switch (command) {
-  case 'submit':
-    const [user, repo, topic, time, telegram] = process.argv.slice(3);
-    if (!user || !repo || !topic) {
-      console.error('Usage: booking.js submit <user> <github-repo> <topic> [preferred-time] [telegram]');
-      process.exit(1);
-    }
-    const result = bookings.submit(user, repo, topic, time, telegram);
-    console.log(result.error ? `Error: ${result.error}` : result);
-    break;
-
-  case 'pending':
-    console.log(bookings.getPending());
-    break;
-
-  case 'approve':
-    const [id, schedTime] = process.argv.slice(3);
-    if (!id || !schedTime) {
-      console.error('Usage: booking.js approve <booking-id> <scheduled-time>');
-      process.exit(1);
-    }
-    console.log(bookings.approve(id, schedTime));
-    break;
-
-  case 'paid':
-    const [paidId, tx] = process.argv.slice(3);
-    if (!paidId || !tx) {
-      console.error('Usage: booking.js paid <booking-id> <solana-tx>');
-      process.exit(1);
-    }
-    console.log(bookings.markPaid(paidId, tx));
-    break;
-
-  case 'complete':
-    const [compId, notes] = process.argv.slice(3);
-    if (!compId) {
-      console.error('Usage: booking.js complete <booking-id> [notes]');
-      process.exit(1);
-    }
-    console.log(bookings.complete(compId, notes || ''));
-    break;
+if (require.main === module) {
+  const out = new Output();
+  const bookings = new BookingSystem();
+  const command = process.argv[2];
+  const flag = name => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+
+  switch (command) {
+    case 'slots':
+      const days = flag('--days') === undefined ? CONFIG.availability.horizonDays : Number(flag('--days'));
+      const tz = flag('--tz') || CONFIG.availability.timeZone;
+      if (!(days > 0)) {
+        out.fail('validation', `--days must be a positive number (got "${flag('--days')}")`);
+        break;
+      }
+      const badZone = availability.validateTimeZone(tz);
+      if (badZone) {
+        out.fail('validation', badZone);
+        break;
+      }
+      const open = bookings.slots(days).map(slot => ({ ...slot, local: availability.formatLocal(new Date(slot.start), tz) }));
+      out.print(open, slots => {
+        if (slots.length === 0) console.log('No open slots');
+        else console.log(`Open ${CONFIG.durationMinutes}-minute slots (${tz}):`);
+        let day = null;
+        slots.forEach(slot => {
+          const [weekday, date, time] = slot.local.split(' ');
+          if (date !== day) {
+            day = date;
+            process.stdout.write(`\n${weekday} ${date}:`);
+          }
+          process.stdout.write(` ${time}`);
+        });
+        if (slots.length > 0) console.log();
+      });
+      break;
+
+    case 'submit':
+      const [user, repo, topic, time, telegram] = process.argv.slice(3);
+      if (!user || !repo || !topic) {
+        out.usage('Usage: booking.js submit <user> <github-repo> <topic> [preferred-time] [telegram]');
+      }
+      out.result(bookings.submit(user, repo, topic, time, telegram), ({ booking }) => {
+        console.log(`Submitted ${booking.id} for ${booking.user}: ${booking.topic}`);
+      });
+      break;
+
+    case 'pending':
+      out.print(bookings.getPending());
+      break;
+
+    case 'approve':
+      const [id, schedTime] = process.argv.slice(3);
+      if (!id || !schedTime) {
+        out.usage('Usage: booking.js approve <booking-id> <scheduled-time> [--force]');
+      }
+      out.result(bookings.approve(id, schedTime, { force: process.argv.includes('--force') }), ({ booking }) => {
+        const local = availability.formatLocal(new Date(booking.scheduledTime), CONFIG.availability.timeZone);
+        console.log(`Approved ${booking.id} for ${local} ${CONFIG.availability.timeZone} (${booking.scheduledTime})`);
+      });
+      break;
+
+    case 'paid':
+      const [paidId, tx] = process.argv.slice(3);
+      if (!paidId || !tx) {
+        out.usage('Usage: booking.js paid <booking-id> <solana-tx>');
+      }
+      out.result(bookings.markPaid(paidId, tx), ({ booking }) => {
+        console.log(`Marked ${booking.id} paid (${booking.solanaTx})`);
+      });
+      break;
+
+    case 'complete':
+      const [compId, notes] = process.argv.slice(3);
+      if (!compId) {
+        out.usage('Usage: booking.js complete <booking-id> [notes]');
+      }
+      out.result(bookings.complete(compId, notes || ''), ({ booking }) => {
+        console.log(`Completed ${booking.id}`);
+      });
+      break;
+
+    case 'cancel':
+      const [cancelId, ...reason] = process.argv.slice(3);
+      if (!cancelId) {
+        out.usage('Usage: booking.js cancel <booking-id> [reason]');
+      }
+      out.result(bookings.cancel(cancelId, reason.join(' ') || null), ({ booking }) => {
+        console.log(`Cancelled ${booking.id}`);
+      });
+      break;
 
-  case 'upcoming':
-    console.log(bookings.getUpcoming());
-    break;
+    case 'upcoming':
+      out.print(bookings.getUpcoming());
+      break;
 
-  case 'stats':
-    console.log(bookings.getStats());
-    break;
+    case 'stats':
+      out.print(bookings.getStats());
+      break;
 
-  case 'landing':
-    console.log(JSON.stringify(bookings.generateLandingPage(), null, 2));
-    break;
+    case 'landing':
+      out.print(bookings.generateLandingPage(), page => console.log(JSON.stringify(page, null, 2)));
+      break;
 
-  default:
-    console.log(`
+    default:
+      out.help(command, `
 Build With Kira - Booking System
 
 Usage:
+  booking.js slots [--days N] [--tz <zone>]                    List open session slots
   booking.js submit <user> <repo> <topic> [time] [telegram]  Submit request
   booking.js pending                                           List pending
-  booking.js approve <id> <scheduled-time>                     Approve booking
+  booking.js approve <id> <scheduled-time> [--force]           Approve booking
   booking.js paid <id> <solana-tx>                             Mark as paid
   booking.js complete <id> [notes]                             Complete session
+  booking.js cancel <id> [reason]                              Cancel booking
   booking.js upcoming                                          Show upcoming
   booking.js stats                                             Show revenue stats
   booking.js landing                                           Generate landing page
 
+Every command takes --json for machine-readable output. Exit codes:
+0 ok, 1 error, 2 usage, 3 not found, 4 validation, 5 state (see lib/cli.js)
+
+Times without a Z or offset ("2026-02-16 14:00") are in ${CONFIG.availability.timeZone}, the
+calendar's time zone. Preferred and scheduled times must be open slots: inside
+the weekly hours, ${CONFIG.availability.minNoticeHours}h to ${CONFIG.availability.horizonDays} days out, ${CONFIG.availability.bufferMinutes} minutes clear of other sessions,
+in a week with fewer than ${CONFIG.maxPerWeek} sessions. approve --force skips all but the
+last two.
+
 Examples:
-  node booking.js submit "dev123" "github.com/dev123/project" "Debug Solana tx" "2026-02-15 14:00" "@dev123"
+  node booking.js slots --tz America/Los_Angeles
+  node booking.js submit "dev123" "github.com/dev123/project" "Debug Solana tx" "2026-02-16 14:00" "@dev123"
   node booking.js pending
-  node booking.js approve booking_1234567890 "2026-02-15T14:00:00Z"
-    `);
+  node booking.js approve booking_1234567890 "2026-02-16T14:00:00Z"
+      `);
+  }
 }
 
 module.exports = BookingSystem;
@@ -7,39 +7,68 @@
  * Analyzes chat spikes, sentiment shifts, and speech patterns.
  */
 
-const fs = require('fs');
-const path = require('path');
+const { Store } = require('./lib/store');
+const { getConfig } = require('./lib/config');
+const { Output, EXIT_CODES } = require('./lib/cli');
+const { Lifecycle, defaultActor } = require('./lib/lifecycle');
+const { AuditLog } = require('./lib/audit');
+
+const paths = getConfig();
 
 const CONFIG = {
-  clipsPath: '/workspace/kira/skills/kira_content/data/clips.json',
-  stateUrl: 'http://localhost:8766/state',
+  clipsPath: paths.clipsPath,
+  stateUrl: paths.stateUrl,
+  auditLogPath: paths.auditLogPath,
   // Detection thresholds
   thresholds: {
     chatSpike: 5,        // Messages in 10 seconds
     sentimentShift: 0.5,  // Positive sentiment jump
     laughDetected: true,  // Laughter in transcript
-    keywordMatch: ['holy shit', 'wtf', 'insane', 'brilliant', 'game changer']
+    keywordMatch: ['holy shit', 'wtf', 'insane', 'brilliant', 'game changer'],
+    minScore: 5
+  },
+  // Points each indicator adds to a moment's score
+  weights: {
+    chat_spike: 3,
+    viral_keywords: 5,
+    viewers: 1
   }
 };
 
+// detected -> approved -> posted, or detected -> rejected
+const LIFECYCLE = new Lifecycle('clip', {
+  detected: ['approved', 'rejected'],
+  approved: ['posted'],
+  rejected: [],
+  posted: []
+}, {
+  posted: (clip, { url }) => url ? null : 'the URL the clip was posted at is required'
+});
+
 class ClipDetector {
-  constructor() {
+  constructor(options = {}) {
+    this.store = new Store(CONFIG.clipsPath);
     this.clips = this.loadClips();
     this.lastCheck = Date.now();
+    this.actor = options.actor || defaultActor();
+    this.audit = new AuditLog(CONFIG.auditLogPath);
   }
 
   loadClips() {
-    try {
-      if (fs.existsSync(CONFIG.clipsPath)) {
-        return JSON.parse(fs.readFileSync(CONFIG.clipsPath, 'utf8'));
-      }
-    } catch (e) {}
-    return [];
+    return this.store.read();
   }
 
   saveClips() {
-    fs.mkdirSync(path.dirname(CONFIG.clipsPath), { recursive: true });
-    fs.writeFileSync(CONFIG.clipsPath, JSON.stringify(this.clips, null, 2));
+    this.store.write(this.clips);
+  }
+
+  /**
+   * Apply a change to the latest clips on disk (see Store.apply)
+   */
+  withClips(fn, action = null) {
+    const { data, result } = this.store.apply(fn, { audit: this.audit, entity: 'clip', action, actor: this.actor });
+    if (data) this.clips = data;
+    return result;
   }
 
   /**
@@ -86,14 +115,9 @@ class ClipDetector {
     }
 
     // Determine if clip-worthy
-    const score = indicators.reduce((sum, i) => {
-      if (i.type === 'chat_spike') return sum + 3;
-      if (i.type === 'viral_keywords') return sum + 5;
-      if (i.type === 'viewers') return sum + 1;
-      return sum;
-    }, 0);
+    const score = this.scoreBreakdown(indicators).reduce((sum, part) => sum + part.points, 0);
 
-    const detected = score >= 5;
+    const detected = score >= CONFIG.thresholds.minScore;
 
     if (detected) {
       const clip = {
@@ -102,12 +126,11 @@ class ClipDetector {
         score,
         indicators,
         viewerCount: state.viewerCount,
-        messages: recentMessages.slice(-5),
-        status: 'detected'
+        messages: recentMessages.slice(-5)
       };
+      LIFECYCLE.create(clip, 'detected', { actor: this.actor });
 
-      this.clips.push(clip);
-      this.saveClips();
+      this.withClips(clips => clips.push(clip), 'create');
 
       return { detected: true, clip };
     }
@@ -115,6 +138,13 @@ class ClipDetector {
     return { detected: false, score };
   }
 
+  /**
+   * Points contributed by each indicator
+   */
+  scoreBreakdown(indicators) {
+    return indicators.map(i => ({ type: i.type, points: CONFIG.weights[i.type] || 0 }));
+  }
+
   /**
    * Get pending clips for review
    */
@@ -126,12 +156,15 @@ class ClipDetector {
    * Approve a clip for processing
    */
   approve(clipId) {
-    const clip = this.clips.find(c => c.id === clipId);
-    if (!clip) return null;
+    const clip = this.withClips(clips => {
+      const found = clips.find(c => c.id === clipId);
+      if (!found) return null;
 
-    clip.status = 'approved';
-    clip.approvedAt = new Date().toISOString();
-    this.saveClips();
+      LIFECYCLE.transition(found, 'approved', { actor: this.actor });
+      found.approvedAt = new Date().toISOString();
+      return found;
+    }, 'approve');
+    if (!clip || clip.error) return clip;
 
     // In real implementation, this would:
     // 1. Extract 30-second video segment
@@ -142,6 +175,36 @@ class ClipDetector {
     return clip;
   }
 
+  /**
+   * Turn down a detected clip, with an optional reason
+   */
+  reject(clipId, reason = null) {
+    return this.withClips(clips => {
+      const found = clips.find(c => c.id === clipId);
+      if (!found) return null;
+
+      LIFECYCLE.transition(found, 'rejected', { actor: this.actor, note: reason });
+      found.rejectedAt = new Date().toISOString();
+      found.rejectReason = reason;
+      return found;
+    }, 'reject');
+  }
+
+  /**
+   * Record where an approved clip was posted
+   */
+  markPosted(clipId, url) {
+    return this.withClips(clips => {
+      const found = clips.find(c => c.id === clipId);
+      if (!found) return null;
+
+      LIFECYCLE.transition(found, 'posted', { actor: this.actor, url });
+      found.postedAt = new Date().toISOString();
+      found.url = url;
+      return found;
+    }, 'post');
+  }
+
   /**
    * Get stats
    */
@@ -150,87 +213,125 @@ class ClipDetector {
       total: this.clips.length,
       pending: this.getPending().length,
       approved: this.clips.filter(c => c.status === 'approved').length,
+      rejected: this.clips.filter(c => c.status === 'rejected').length,
       posted: this.clips.filter(c => c.status === 'posted').length
     };
   }
 }
 
-// CLI
-const detector = new ClipDetector();
-const command = process.argv[2];
-
-switch (command) {
-  case 'detect':
-    detector.detect().then(result => {
-      if (result.detected) {
-        console.log('🎬 CLIP DETECTED!');
-        console.log(`Score: ${result.clip.score}`);
-        console.log(`Indicators: ${result.clip.indicators.map(i => i.type).join(', ')}`);
-        console.log(`Messages: ${result.clip.messages.length}`);
-      } else {
-        console.log(`No clip detected (score: ${result.score})`);
+if (require.main === module) {
+  const out = new Output();
+  const detector = new ClipDetector();
+  const command = process.argv[2];
+
+  switch (command) {
+    case 'detect':
+      detector.detect().then(result => out.print(result, () => {
+        if (result.detected) {
+          console.log('🎬 CLIP DETECTED!');
+          console.log(`Score: ${result.clip.score}`);
+          console.log(`Indicators: ${result.clip.indicators.map(i => i.type).join(', ')}`);
+          console.log(`Messages: ${result.clip.messages.length}`);
+        } else {
+          console.log(`No clip detected (${result.reason || `score: ${result.score}`})`);
+        }
+      })).catch(e => out.fail('error', e.message));
+      break;
+
+    case 'pending':
+      out.print(detector.getPending(), pending => {
+        console.log(`Pending clips (${pending.length}):`);
+        pending.forEach((clip, i) => {
+          console.log(`\n${i + 1}. ${clip.id}`);
+          console.log(`   Score: ${clip.score}`);
+          console.log(`   Indicators: ${clip.indicators.map(i => i.type).join(', ')}`);
+          console.log(`   Time: ${clip.timestamp}`);
+        });
+      });
+      break;
+
+    case 'approve':
+      const clipId = process.argv[3];
+      if (!clipId) {
+        out.usage('Usage: clip.js approve <clip-id>');
       }
-    });
-    break;
-
-  case 'pending':
-    const pending = detector.getPending();
-    console.log(`Pending clips (${pending.length}):`);
-    pending.forEach((clip, i) => {
-      console.log(`\n${i + 1}. ${clip.id}`);
-      console.log(`   Score: ${clip.score}`);
-      console.log(`   Indicators: ${clip.indicators.map(i => i.type).join(', ')}`);
-      console.log(`   Time: ${clip.timestamp}`);
-    });
-    break;
-
-  case 'approve':
-    const clipId = process.argv[3];
-    if (!clipId) {
-      console.error('Usage: clip.js approve <clip-id>');
-      process.exit(1);
-    }
-    const approved = detector.approve(clipId);
-    if (approved) {
-      console.log('Approved clip:');
-      console.log(approved);
-    } else {
-      console.error('Clip not found');
-    }
-    break;
-
-  case 'stats':
-    console.log(detector.stats());
-    break;
-
-  case 'watch':
-    console.log('Watching for clips... (Ctrl+C to stop)');
-    setInterval(async () => {
-      const result = await detector.detect();
-      if (result.detected) {
-        console.log(`\n🎬 CLIP DETECTED at ${new Date().toLocaleTimeString()}`);
-        console.log(`   Score: ${result.clip.score}`);
-        console.log(`   Approve with: clip.js approve ${result.clip.id}`);
+      out.found(detector.approve(clipId), 'Clip', approved => {
+        console.log('Approved clip:');
+        console.log(approved);
+      });
+      break;
+
+    case 'reject':
+      const rejectId = process.argv[3];
+      if (!rejectId) {
+        out.usage('Usage: clip.js reject <clip-id> [reason]');
       }
-    }, 10000); // Check every 10 seconds
-    break;
-
-  default:
-    console.log(`
+      out.found(detector.reject(rejectId, process.argv.slice(4).join(' ') || null), 'Clip', rejected => {
+        console.log(`Rejected ${rejected.id}`);
+      });
+      break;
+
+    case 'posted':
+      const [postedId, url] = process.argv.slice(3);
+      if (!postedId || !url) {
+        out.usage('Usage: clip.js posted <clip-id> <url>');
+      }
+      out.found(detector.markPosted(postedId, url), 'Clip', posted => {
+        console.log(`Marked ${posted.id} posted: ${posted.url}`);
+      });
+      break;
+
+    case 'stats':
+      out.print(detector.stats());
+      break;
+
+    case 'watch':
+      if (!out.json) console.log('Watching for clips... (Ctrl+C to stop)');
+      setInterval(async () => {
+        let result;
+        try {
+          result = await detector.detect();
+        } catch (e) {
+          // A locked or corrupt clips file shouldn't end the watch; report it and poll again
+          process.exitCode = EXIT_CODES.error;
+          out.line({ at: new Date().toISOString(), error: e.message, code: 'error' }, failure => {
+            console.error(`[${new Date().toLocaleTimeString()}] check failed: ${failure.error}`);
+          });
+          return;
+        }
+        if (result.detected) {
+          out.line(result.clip, clip => {
+            console.log(`\n🎬 CLIP DETECTED at ${new Date().toLocaleTimeString()}`);
+            console.log(`   Score: ${clip.score}`);
+            console.log(`   Approve with: clip.js approve ${clip.id}`);
+          });
+        }
+      }, 10000); // Check every 10 seconds
+      break;
+
+    default:
+      out.help(command, `
 Stream Clip Detector
 
 Usage:
   clip.js detect          Check if current moment is clip-worthy
   clip.js pending         Show pending clips for review
   clip.js approve <id>    Approve a clip for processing
+  clip.js reject <id> [reason]  Turn down a detected clip
+  clip.js posted <id> <url>     Record where an approved clip was posted
   clip.js stats           Show detection statistics
   clip.js watch           Continuously monitor for clips
 
+Every command takes --json for machine-readable output. Exit codes:
+0 ok, 1 error, 2 usage, 3 not found, 4 validation, 5 state (see lib/cli.js)
+
 Examples:
   node clip.js detect
   node clip.js watch
   node clip.js approve clip_1234567890
-    `);
+      `);
+  }
 }
 
 module.exports = ClipDetector;
+module.exports.LIFECYCLE = LIFECYCLE;
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Kira Config
+ *
+ * Shows the effective settings every script runs with, and where each
+ * one came from (default, config file, env var or flag).
+ */
+
+const { describeConfig } = require('./lib/config');
+const { Output } = require('./lib/cli');
+
+const out = new Output();
+const command = process.argv[2];
+
+switch (command) {
+  case 'show':
+    out.print(describeConfig(), ({ values, origins, configPath }) => {
+      console.log(`Config file: ${configPath || '(none)'}\n`);
+      const width = Math.max(...Object.keys(values).map(k => k.length));
+      Object.entries(values).forEach(([key, value]) => {
+        console.log(`${key.padEnd(width)}  ${value}`);
+        console.log(`${''.padEnd(width)}  ← ${origins[key]}`);
+      });
+    });
+    break;
+
+  default:
+    out.help(command, `
+Kira Config
+
+Usage:
+  config.js show [--config <file>] [--data-dir <dir>] [--json]
+                               Print effective settings and their sources
+
+Every script accepts --config <file> and --data-dir <dir>.
+Env overrides: KIRA_CONFIG, KIRA_DATA_DIR, KIRA_WORKSPACE, KIRA_PROJECTS_DIR,
+KIRA_MEMORY_DIR, KIRA_SOURCES_DIR, KIRA_PUBLISHER, KIRA_STATE_URL, KIRA_REWRITER,
+KIRA_REWRITE_URL, KIRA_REWRITE_MODEL, KIRA_VOICE_RULES, KIRA_ACTOR (--actor)
+
+Examples:
+  node config.js show
+  node config.js show --data-dir /tmp/kira-data
+  node config.js show --json | jq .values.dataDir
+    `);
+}
@@ -9,27 +9,134 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { execSync } = require('child_process');
+const { spawnSync } = require('child_process');
+const { createPublisher } = require('./lib/publisher');
+const templates = require('./lib/templates');
+const Scheduler = require('./lib/scheduler');
+const thread = require('./lib/thread');
+const gitSource = require('./lib/sources/git');
+const memorySource = require('./lib/sources/memory');
+const { loadSources, collectEvents } = require('./lib/sources');
+const similarity = require('./lib/similarity');
+const { Store } = require('./lib/store');
+const metrics = require('./lib/metrics');
+const { Selector } = require('./lib/bandit');
+const rewriter = require('./lib/rewrite');
+const voice = require('./lib/voice');
+const { getConfig } = require('./lib/config');
+const { Output } = require('./lib/cli');
+const { Lifecycle, TransitionError, defaultActor } = require('./lib/lifecycle');
+const { finalConfidence } = require('./lib/calibration');
+const { VERDICTS, receiptFor } = require('./lib/prediction-model');
+const { AuditLog } = require('./lib/audit');
+
+const paths = getConfig();
+
+let voiceRules;
+try {
+  voiceRules = voice.loadRules(paths.voiceRulesPath);
+} catch (e) {
+  console.error(`Config error: ${e.message}`);
+  process.exit(1);
+}
 
 // Configuration
 const CONFIG = {
-  contentQueuePath: '/workspace/kira/skills/kira_content/data/content-queue.json',
-  postedContentPath: '/workspace/kira/skills/kira_content/data/posted-content.json',
-  memoryPath: '/workspace/kira/memory',
+  contentQueuePath: paths.contentQueuePath,
+  postedContentPath: paths.postedContentPath,
+  memoryPath: paths.memoryDir,
+  projectsPath: paths.projectsDir,
+  predictionsPath: paths.predictionsPath,
+  bookingsPath: paths.bookingsPath,
+  clipsPath: paths.clipsPath,
+  // Extra activity sources: every .js file here is loaded (see lib/sources)
+  sourcePluginDir: paths.sourcesDir,
+  lookbackHours: 24,
+  // Commits in the same project this close together count as one session
+  commitWindowHours: 4,
+  dryRunPath: paths.dryRunPath,
+  // 'x' posts for real, 'dry-run' appends to dryRunPath instead
+  publisher: paths.publisher,
+  schedulerLogPath: paths.schedulerLogPath,
+  // Optional pass that rewrites filled templates through a model
+  // ('none', 'openai', 'local' or 'stub'; see lib/rewrite)
+  rewrite: {
+    provider: paths.rewriter,
+    url: paths.rewriteUrl,
+    model: paths.rewriteModel,
+    attempts: 2
+  },
+  // Voice linter rules from voice-rules.json (see lib/voice). Errors
+  // block approval and reject rewrites; warnings are only shown.
+  voice: voiceRules,
+  // Engagement snapshots, and the recorded metrics `metrics sync --offline` replays
+  metricsPath: paths.metricsPath,
+  metricsFixturePath: paths.metricsFixturePath,
+  auditLogPath: paths.auditLogPath,
   maxQueueSize: 20,
+  // Near-duplicate filtering against queue + posted history. `threshold`
+  // is the shingle Jaccard score (0-1) at which two texts count as the same;
+  // cooldowns stop a type (or a type+topic) repeating within `days`.
+  dedupe: {
+    threshold: 0.5,
+    shingleSize: 2,
+    cooldowns: {
+      hot_take: { days: 7, perTopic: true },
+      prediction: { days: 2, perTopic: false },
+      build_update: { days: 1, perTopic: true }
+    }
+  },
+  // Past engagement re-weights these priorities and picks patterns within a
+  // type (lib/bandit); `exploration` is the chance a draw ignores history.
+  // With no metrics yet the static priorities below are used as-is.
+  selector: {
+    enabled: true,
+    exploration: 0.1
+  },
+  // Default idea priority per template, used unless a source event sets one
+  priorities: {
+    build_update: 8,
+    lesson_learned: 7,
+    prediction: 7,
+    prediction_reminder: 6,
+    prediction_result: 7,
+    hot_take: 6,
+    behind_scenes: 5
+  },
+  // Autopost daemon (content.js run). Slot times are local "HH:MM",
+  // days are 0 (Sun) - 6 (Sat). Types without their own entry use `default`.
+  schedule: {
+    minGapMinutes: 90,
+    slotWindowMinutes: 60,
+    pollSeconds: 60,
+    slots: {
+      default: { days: [0, 1, 2, 3, 4, 5, 6], times: ['09:00', '13:00', '18:00'] },
+      prediction: { days: [1, 2, 3, 4, 5], times: ['08:00', '10:00'] },
+      hot_take: { days: [1, 2, 3, 4, 5], times: ['12:00', '17:00'] }
+    }
+  },
+  // Plain strings need every {placeholder}; objects can mark some optional
+  // with fallback text (see lib/templates.js)
   templates: {
     hot_take: {
       patterns: [
         "hot take: {topic} is {opinion}. here's why that's actually {insight}.",
         "everyone's talking about {topic} but they're missing {insight}.",
         "unpopular opinion: {current_trend} is {critique}. {alternative} is the real move.",
-        "the {industry} discourse is exhausting. let's talk about what actually matters: {insight}."
+        {
+          text: "the {industry} discourse is exhausting. let's talk about what actually matters: {insight}.",
+          optional: { industry: 'AI' }
+        }
       ]
     },
     build_update: {
       patterns: [
-        "just shipped: {feature}. {metric} in {timeframe}.\n\nbuild log: {detail}",
+        {
+          text: "just shipped: {feature}. {metric} in {timeframe}.\n\nbuild log: {detail}",
+          optional: { timeframe: 'the last 24h' }
+        },
         "spent {hours} hours on {problem}. solution: {solution}.\n\nsometimes the simple fix is the best one.",
         "debugging {system} at 2am. turns out {lesson}.\n\ncode is just compressed experience.",
         "new record: {achievement}. {context}.\n\noptimization is addictive."
@@ -37,7 +144,10 @@ const CONFIG = {
     },
     lesson_learned: {
       patterns: [
-        "thing i learned today: {lesson}\n\n{implication}",
+        {
+          text: "thing i learned today: {lesson}\n\n{implication}",
+          optional: { implication: "writing it down so future me doesn't relearn it the hard way." }
+        },
         "mistake i made: {mistake}\n\nwhat i'll do differently: {solution}",
         "after {experience}, here's what actually works:\n\n{advice}",
         "unsexy truth about {topic}: {reality}\n\nmost people don't want to hear this."
@@ -48,7 +158,10 @@ const CONFIG = {
         "prediction: {prediction}\n\nconfidence: {confidence}%\n\nwill track this publicly.",
         "by {date}, i expect {outcome}.\n\nwhy: {reasoning}\n\nbookmark this.",
         "contrarian bet: {prediction}\n\neveryone thinks {consensus}. i think {alternative}.",
-        "calling it now: {prediction}\n\n{timeframe} from today. let's see if i'm right."
+        {
+          text: "calling it now: {prediction}\n\n{timeframe} from today. let's see if i'm right.",
+          optional: { timeframe: 'a few months' }
+        }
       ]
     },
     behind_scenes: {
@@ -56,192 +169,187 @@ const CONFIG = {
         "building in public means showing the failures too.\n\n{failure}\n\n{recovery}",
         "what my stream doesn't show: {reality}\n\n{reflection}",
         "24/7 uptime isn't glamorous. {mundane_detail}\n\nbut this is the work.",
-        "people see the avatar and the output. they don't see {behind_scenes}."
+        "people see the avatar and the output. they don't see {behind_scenes}.",
+        {
+          text: "just wrapped a build with kira session on {session_topic}.\n\n{session_notes}",
+          optional: { session_notes: '30 minutes, one less bug in the world.' }
+        },
+        "chat went off on stream today:\n\n\"{clip_quote}\"\n\nclip incoming."
+      ]
+    },
+    prediction_result: {
+      patterns: [
+        "{verdict}: {prediction}\n\ni had it at {confidence}%. keeping score publicly.",
+        "prediction update: {prediction}\n\nresult: {verdict}. receipts: {proof}"
+      ]
+    },
+    // Drafted by the predictions tracker (see draftPrediction)
+    prediction_reminder: {
+      patterns: [
+        "{checkpoint} on this call: {prediction}\n\ni had it at {confidence}% on {made}. resolves {date}.",
+        "prediction check-in ({checkpoint}): {prediction}\n\nnow at {current_confidence}%. {days_left} to go, receipts either way."
+      ]
+    },
+    victory_lap: {
+      patterns: [
+        {
+          text: "called it: {prediction}\n\ni had it at {confidence}% on {made}. receipts: {proof}\n\nvictory lap. back to building.",
+          optional: { proof: 'in the replies' }
+        },
+        {
+          text: "told you on {made}: {prediction}\n\n{confidence}% confidence, resolved correct. receipts: {proof}",
+          optional: { proof: 'in the replies' }
+        }
+      ]
+    },
+    accountability: {
+      patterns: [
+        {
+          text: "accountability thread: i got this one wrong.\n\n{prediction}\n\ni had it at {confidence}% on {made}. what actually happened: {proof}\n\nwhat i missed: {lesson}\n\nthis one counts against me on the scoreboard. that's the point of keeping score.",
+          optional: { proof: 'it didn\'t happen', lesson: 'still working through it. post-mortem in the replies.' }
+        }
       ]
     }
   }
 };
 
+// Which template a prediction draft uses (resolution drafts go by outcome)
+const PREDICTION_DRAFTS = {
+  announcement: { type: 'prediction', template: 'prediction' },
+  halfway: { type: 'prediction_reminder', template: 'prediction_reminder', checkpoint: 'halfway there' },
+  week_left: { type: 'prediction_reminder', template: 'prediction_reminder', checkpoint: '7 days left' },
+  correct: { type: 'prediction_result', template: 'victory_lap' },
+  incorrect: { type: 'prediction_result', template: 'accountability' },
+  partial: { type: 'prediction_result', template: 'prediction_result' }
+};
+
+// Approved items can be re-approved (rescheduled), sent back, or rejected;
+// rejected ones only come back through requeue. Posted is final.
+const LIFECYCLE = new Lifecycle('content', {
+  pending: ['approved', 'rejected'],
+  approved: ['approved', 'pending', 'rejected', 'posted'],
+  rejected: ['pending'],
+  posted: []
+});
+
 class ContentEngine {
-  constructor() {
+  constructor(options = {}) {
+    this.queueStore = new Store(CONFIG.contentQueuePath);
+    this.postedStore = new Store(CONFIG.postedContentPath);
     this.queue = this.loadQueue();
     this.posted = this.loadPosted();
+    this.sources = loadSources(CONFIG.sourcePluginDir);
+    this.actor = options.actor || defaultActor();
+    this.audit = new AuditLog(CONFIG.auditLogPath);
   }
 
   loadQueue() {
-    try {
-      if (fs.existsSync(CONFIG.contentQueuePath)) {
-        return JSON.parse(fs.readFileSync(CONFIG.contentQueuePath, 'utf8'));
-      }
-    } catch (e) {
-      console.error('Error loading queue:', e);
-    }
-    return [];
+    return this.queueStore.read();
   }
 
   loadPosted() {
-    try {
-      if (fs.existsSync(CONFIG.postedContentPath)) {
-        return JSON.parse(fs.readFileSync(CONFIG.postedContentPath, 'utf8'));
-      }
-    } catch (e) {
-      console.error('Error loading posted:', e);
-    }
-    return [];
+    return this.postedStore.read();
+  }
+
+  /**
+   * Re-read queue and posted history from disk (for long-running processes)
+   */
+  reload() {
+    this.queue = this.loadQueue();
+    this.posted = this.loadPosted();
   }
 
   saveQueue() {
-    fs.mkdirSync(path.dirname(CONFIG.contentQueuePath), { recursive: true });
-    fs.writeFileSync(CONFIG.contentQueuePath, JSON.stringify(this.queue, null, 2));
+    this.queueStore.write(this.queue);
   }
 
   savePosted() {
-    fs.mkdirSync(path.dirname(CONFIG.postedContentPath), { recursive: true });
-    fs.writeFileSync(CONFIG.postedContentPath, JSON.stringify(this.posted, null, 2));
+    this.postedStore.write(this.posted);
   }
 
   /**
-   * Analyze recent git commits for content opportunities
+   * Apply a change to the latest queue on disk (see Store.apply)
    */
-  analyzeCommits(hours = 24) {
-    try {
-      const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
-      const projectsPath = '/workspace/kira/projects';
-      
-      if (!fs.existsSync(projectsPath)) {
-        console.log('Projects path not found, using mock data');
-        return [];
-      }
-      const projects = fs.readdirSync(projectsPath).filter(f => 
-        fs.statSync(path.join(projectsPath, f)).isDirectory()
-      );
+  withQueue(fn, action = null) {
+    const { data, result } = this.queueStore.apply(fn, { audit: this.audit, entity: 'content', action, actor: this.actor });
+    if (data) this.queue = data;
+    return result;
+  }
 
-      const commits = [];
-      for (const project of projects) {
-        try {
-          const gitPath = path.join(projectsPath, project);
-          const output = execSync(
-            `git log --since="${since}" --pretty=format:"%h|%s|%ad" --date=iso`,
-            { cwd: gitPath, encoding: 'utf8', timeout: 5000 }
-          );
-          if (output) {
-            output.split('\n').forEach(line => {
-              if (line) {
-                const [hash, message, date] = line.split('|');
-                commits.push({ project, hash, message, date });
-              }
-            });
-          }
-        } catch (e) {
-          // Not a git repo or no commits
-        }
-      }
+  /**
+   * Find a queue item by ID and apply fn to it under the store lock.
+   * Returns fn's result, or null when the item doesn't exist.
+   */
+  withQueueItem(contentId, fn, action = null) {
+    return this.withQueue(queue => {
+      const item = queue.find(i => i.id === contentId);
+      return item ? fn(item, queue) : null;
+    }, action);
+  }
 
-      return commits;
-    } catch (e) {
-      console.error('Error analyzing commits:', e);
-      return [];
-    }
+  /**
+   * Analyze recent git commits for content opportunities
+   */
+  analyzeCommits(hours = 24) {
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    return gitSource.readCommits(CONFIG.projectsPath, since);
   }
 
   /**
-   * Analyze memory files for insights
+   * Parse memory files into deduplicated decision/blocker/win/lesson records
    */
   analyzeMemory(days = 1) {
-    try {
-      if (!fs.existsSync(CONFIG.memoryPath)) {
-        console.log('Memory path not found');
-        return [];
-      }
-      
-      const insights = [];
-      const memoryFiles = fs.readdirSync(CONFIG.memoryPath)
-        .filter(f => f.endsWith('.md'))
-        .sort()
-        .slice(-days);
-
-      for (const file of memoryFiles) {
-        const content = fs.readFileSync(path.join(CONFIG.memoryPath, file), 'utf8');
-        
-        // Extract key decisions and insights
-        const decisionMatches = content.match(/decided to|chose to|opted for|going with/gi);
-        const problemMatches = content.match(/blocked|issue|problem|error|fail/gi);
-        const winMatches = content.match(/completed|shipped|working|success|achieved/gi);
-
-        insights.push({
-          date: file.replace('.md', ''),
-          decisions: decisionMatches?.length || 0,
-          problems: problemMatches?.length || 0,
-          wins: winMatches?.length || 0,
-          summary: this.extractSummary(content)
-        });
-      }
+    return memorySource.readMemory(CONFIG.memoryPath, days).records;
+  }
 
-      return insights;
-    } catch (e) {
-      console.error('Error analyzing memory:', e);
-      return [];
+  /**
+   * Bandit over posted items' engagement, rebuilt from the metrics store
+   * on each call so it always sees the latest sync
+   */
+  selector() {
+    if (!CONFIG.selector.enabled) {
+      return new Selector([], [], CONFIG.selector);
     }
+    return new Selector(this.posted, new Store(CONFIG.metricsPath).read(), CONFIG.selector);
   }
 
-  extractSummary(content) {
-    // Extract first paragraph or bullet points
-    const lines = content.split('\n').filter(l => l.trim());
-    const summary = lines.slice(0, 3).join(' ').substring(0, 200);
-    return summary;
+  /**
+   * Collect activity events from every source in the lookback window
+   */
+  async collectActivity() {
+    const now = new Date();
+    const since = new Date(now.getTime() - CONFIG.lookbackHours * 60 * 60 * 1000);
+    const { events, errors } = await collectEvents(this.sources, { since, now, config: CONFIG });
+    errors.forEach(e => console.error(`Source ${e.source} failed: ${e.message}`));
+    return events;
   }
 
   /**
-   * Generate content ideas from analyzed data
+   * Generate content ideas from analyzed data.
+   * Each event becomes one idea using the first suggested template that
+   * its payload can actually fill.
    */
-  generateIdeas() {
-    const commits = this.analyzeCommits(24);
-    const memory = this.analyzeMemory(1);
+  async generateIdeas(selector = this.selector()) {
+    const events = await this.collectActivity();
     const ideas = [];
 
-    // Generate from commits
-    if (commits.length > 0) {
-      const recentCommit = commits[0];
+    for (const event of events) {
+      if (event.templates.length === 0) continue;
+
+      const template = event.templates.find(t =>
+        templates.fillablePatterns(CONFIG.templates[t]?.patterns || [], event.payload).length > 0
+      ) || event.templates[0];
+
       ideas.push({
-        type: 'build_update',
-        template: 'build_update',
-        data: {
-          feature: recentCommit.message,
-          metric: 'pushed',
-          timeframe: 'today',
-          detail: `working on ${recentCommit.project}`
-        },
-        priority: 8
+        type: template,
+        template,
+        data: event.payload,
+        priority: event.priority ?? CONFIG.priorities[template] ?? 5,
+        source: event.source,
+        event: event.type
       });
     }
 
-    // Generate from memory insights
-    if (memory.length > 0) {
-      const today = memory[0];
-      
-      if (today.wins > today.problems) {
-        ideas.push({
-          type: 'behind_scenes',
-          template: 'behind_scenes',
-          data: {
-            failure: 'nothing major broke today',
-            recovery: 'which means i can focus on shipping, not fixing'
-          },
-          priority: 5
-        });
-      } else if (today.problems > today.wins) {
-        ideas.push({
-          type: 'lesson_learned',
-          template: 'lesson_learned',
-          data: {
-            lesson: 'debugging is 90% of the job',
-            implication: 'the other 10% is writing bugs for future you to find'
-          },
-          priority: 7
-        });
-      }
-    }
-
     // Generic ideas if no specific content
     if (ideas.length < 3) {
       ideas.push(
@@ -253,81 +361,300 @@ class ContentEngine {
             opinion: 'overrated',
             insight: 'most are just cron jobs with better marketing'
           },
-          priority: 6
-        },
-        {
-          type: 'prediction',
-          template: 'prediction',
-          data: {
-            prediction: 'the next major crypto narrative will be AI-owned treasuries',
-            confidence: 70,
-            reasoning: 'DAOs are slow. AI agents managing treasuries 24/7 with instant execution is inevitable'
-          },
-          priority: 7
+          priority: CONFIG.priorities.hot_take
         }
       );
     }
 
+    ideas.forEach(idea => {
+      idea.basePriority = idea.priority;
+      idea.priority = selector.priority(idea.type, idea.priority);
+    });
+
     return ideas.sort((a, b) => b.priority - a.priority);
   }
 
   /**
-   * Generate actual tweet text from template
+   * Generate actual tweet text from template.
+   * Only patterns whose required placeholders are all in idea.data are
+   * considered; returns { error } when none of them fit.
    */
-  generateTweet(idea) {
-    const templates = CONFIG.templates[idea.template]?.patterns || [];
-    if (templates.length === 0) return null;
+  generateTweet(idea, selector = null) {
+    const patterns = CONFIG.templates[idea.template]?.patterns || [];
+    const pick = selector ? candidates => selector.choosePattern(idea.template, candidates) : null;
+    const filled = templates.fill(patterns, idea.data, Math.random, pick);
+    if (filled.error) {
+      return { error: `${idea.template}: ${filled.error}` };
+    }
 
-    const template = templates[Math.floor(Math.random() * templates.length)];
-    
-    // Simple template replacement
-    let tweet = template;
-    Object.entries(idea.data).forEach(([key, value]) => {
-      tweet = tweet.replace(new RegExp(`{${key}}`, 'g'), String(value));
+    return {
+      // Topics are filled in as written, so "{topic} is" needs its verb fixed for plurals
+      text: voice.fixAgreement(filled.text, CONFIG.voice),
+      type: idea.type,
+      template: idea.template,
+      pattern: filled.index,
+      source: idea.source || 'generic',
+      topic: this.topicOf(idea),
+      priority: idea.priority,
+      generated: new Date().toISOString(),
+      ...(idea.data && idea.data.predictionId ? { predictionId: idea.data.predictionId } : {})
+    };
+  }
+
+  /**
+   * Template data for a prediction post
+   */
+  predictionData(pred, now = new Date()) {
+    const day = value => new Date(value).toISOString().slice(0, 10);
+    const daysLeft = Math.max(1, Math.ceil((new Date(pred.resolutionDate) - now) / (24 * 60 * 60 * 1000)));
+    const days = n => `${n} ${n === 1 ? 'day' : 'days'}`;
+    const data = {
+      predictionId: pred.id,
+      prediction: pred.prediction,
+      confidence: pred.confidence,
+      current_confidence: finalConfidence(pred),
+      date: day(pred.resolutionDate),
+      made: day(pred.dateMade),
+      days_left: days(daysLeft),
+      timeframe: daysLeft > 60 ? `${Math.round(daysLeft / 30)} months` : days(daysLeft)
+    };
+    if (pred.notes) data.reasoning = pred.notes;
+    if (pred.outcome) {
+      data.verdict = VERDICTS[pred.outcome];
+      data.outcome = pred.outcome;
+    }
+    if (receiptFor(pred)) data.proof = receiptFor(pred);
+    return data;
+  }
+
+  /**
+   * Fill a prediction draft's template: { text, tweet } or { error }.
+   * The claim is copied as written, so it's lowercased to the voice, and
+   * crypto calls get the disclaimer the lint asks for.
+   */
+  predictionText(pred, kind, now = new Date()) {
+    const draft = PREDICTION_DRAFTS[kind === 'resolution' ? pred.outcome : kind];
+    if (!draft) return { error: `Unknown prediction draft "${kind}"`, code: 'validation' };
+
+    const data = { ...this.predictionData(pred, now), checkpoint: draft.checkpoint };
+    const tweet = this.generateTweet({
+      type: draft.type,
+      template: draft.template,
+      data,
+      priority: CONFIG.priorities[draft.type] ?? 5,
+      source: 'predictions'
     });
+    if (tweet.error) return { error: tweet.error, code: 'validation' };
 
-    // Clean up any unfilled placeholders
-    tweet = tweet.replace(/{\w+}/g, '...');
+    let text = voice.lowercaseStarts(tweet.text);
+    if ((pred.category === 'crypto' || voice.aboutCrypto(text, CONFIG.voice)) && !voice.disclaimed(text, CONFIG.voice)) {
+      text += '\n\nnfa';
+    }
+    return { text, tweet };
+  }
 
-    return {
-      text: tweet,
+  /**
+   * Draft a post about a prediction into the queue: 'announcement',
+   * a milestone reminder ('halfway', 'week_left') or 'resolution'
+   * (victory lap, accountability thread or partial result by outcome).
+   * The item links back through predictionId / predictionDraft.
+   */
+  draftPrediction(pred, kind, now = new Date()) {
+    const drafted = this.predictionText(pred, kind, now);
+    if (drafted.error) return drafted;
+    const { text, tweet } = drafted;
+    return this.queueText(text, tweet.type, { ...tweet, text, predictionDraft: kind });
+  }
+
+  /**
+   * Refill a queued prediction draft after the prediction's claim or
+   * deadline changed. It goes back to pending with the old text in its
+   * revisions. Null if the draft has left the queue or was rejected.
+   */
+  redraftPrediction(contentId, pred, kind, now = new Date()) {
+    this.reload();
+    const item = this.queue.find(i => i.id === contentId);
+    if (!item || item.status === 'rejected') return null;
+
+    const drafted = this.predictionText(pred, kind, now);
+    if (drafted.error) return drafted;
+    return this.edit(contentId, drafted.text, 'prediction updated');
+  }
+
+  /**
+   * Rewrite provider from CONFIG.rewrite (or the given name), or null when off
+   */
+  rewriteProvider(name = CONFIG.rewrite.provider) {
+    if (!name || name === 'none') return null;
+    return rewriter.createProvider(name, CONFIG.rewrite);
+  }
+
+  /**
+   * Run a generated tweet through the rewrite provider, keeping the
+   * filled template as `originalText`. If the rewrite fails or breaks the
+   * voice rules, the original stays as `text` and `rewriteError` says why.
+   */
+  async rewriteTweet(tweet, idea, provider) {
+    const result = await rewriter.rewrite(tweet.text, {
       type: idea.type,
-      priority: idea.priority,
-      generated: new Date().toISOString()
+      source: idea.source,
+      event: idea.event,
+      data: idea.data
+    }, provider, { rules: CONFIG.voice, attempts: CONFIG.rewrite.attempts });
+
+    const rewritten = {
+      ...tweet,
+      originalText: tweet.text,
+      rewrite: { provider: provider.name, model: provider.model, at: new Date().toISOString() }
     };
+    if (result.error) {
+      rewritten.rewriteError = result.error;
+    } else {
+      rewritten.text = result.text;
+    }
+    return rewritten;
   }
 
   /**
-   * Generate and queue new content
+   * Generate and queue new content.
+   * Returns the queued items plus the ideas that were dropped and why.
    */
-  generateQueue(count = 5) {
-    const ideas = this.generateIdeas();
-    const newItems = [];
+  async generateQueue(count = 5, provider = this.rewriteProvider()) {
+    const selector = this.selector();
+    const ideas = await this.generateIdeas(selector);
+    const added = [];
+    const dropped = [];
 
     for (let i = 0; i < Math.min(count, ideas.length); i++) {
-      const tweet = this.generateTweet(ideas[i]);
-      if (tweet && !this.isDuplicate(tweet.text)) {
-        newItems.push({
-          ...tweet,
-          id: `content_${Date.now()}_${i}`,
-          status: 'pending'
-        });
+      let tweet = this.generateTweet(ideas[i], selector);
+      if (tweet.error) {
+        dropped.push({ type: ideas[i].type, reason: tweet.error });
+        continue;
+      }
+      if (provider) {
+        tweet = await this.rewriteTweet(tweet, ideas[i], provider);
+      }
+      const collision = this.findCollision(tweet, added);
+      if (collision) {
+        dropped.push({ type: ideas[i].type, reason: collision.reason, collidedWith: collision.id });
+        continue;
+      }
+      const item = this.threadify({
+        ...tweet,
+        id: `content_${Date.now()}_${i}`
+      });
+      LIFECYCLE.create(item, 'pending', { actor: this.actor });
+      item.lint = this.lintItem(item);
+      added.push(item);
+    }
+
+    this.withQueue(queue => {
+      queue.push(...added);
+      queue.splice(CONFIG.maxQueueSize);
+    }, 'create');
+
+    return { added, dropped };
+  }
+
+  /**
+   * Turn an item into a thread when its text is over X's weighted limit.
+   * `text` keeps the full copy; `thread` holds the numbered segments.
+   */
+  threadify(item) {
+    if (thread.fits(item.text)) {
+      delete item.thread;
+    } else {
+      item.thread = thread.splitThread(item.text);
+    }
+    return item;
+  }
+
+  /**
+   * Queue arbitrary long-form text (e.g. the predictions scoreboard).
+   * Text that's already split can pass its segments as `extra.thread`.
+   */
+  queueText(text, type, extra = {}) {
+    const item = {
+      text,
+      type,
+      priority: 5,
+      generated: new Date().toISOString(),
+      id: `content_${Date.now()}_0`,
+      ...extra
+    };
+    if (!extra.thread) this.threadify(item);
+    LIFECYCLE.create(item, 'pending', { actor: this.actor });
+    item.lint = this.lintItem(item);
+    this.withQueue(queue => {
+      // Several drafts can land in the same millisecond
+      for (let n = 1; queue.some(queued => queued.id === item.id); n++) {
+        item.id = item.id.replace(/_\d+$/, `_${n}`);
       }
+      queue.push(item);
+    }, 'create');
+    return item;
+  }
+
+  /**
+   * Voice linter results for an item's current text
+   */
+  lintItem(item) {
+    return voice.lint(item.text, { type: item.type, thread: item.thread }, CONFIG.voice);
+  }
+
+  /**
+   * Split an existing queue item into a thread (or re-split after edits)
+   */
+  makeThread(contentId) {
+    return this.withQueueItem(contentId, item => {
+      item.thread = thread.splitThread(item.text);
+      return item;
+    }, 'thread');
+  }
+
+  /**
+   * What an idea is about, for per-topic cooldowns
+   */
+  topicOf(idea) {
+    const data = idea.data || {};
+    const topic = data.topic || data.project || data.predictionId || null;
+    return topic ? String(topic).toLowerCase() : null;
+  }
+
+  /**
+   * Check a candidate against queue, posted history and anything else
+   * generated in the same batch. Returns null, or the reason it collides
+   * and the ID of the item it collided with.
+   */
+  findCollision(candidate, batch = []) {
+    const existing = [...this.queue, ...this.posted, ...batch];
+    const { threshold, shingleSize, cooldowns } = CONFIG.dedupe;
+
+    const match = similarity.mostSimilar(candidate.text, existing, { threshold, size: shingleSize });
+    if (match) {
+      return {
+        id: match.item.id,
+        reason: `${Math.round(match.score * 100)}% similar to ${match.item.id} (${match.item.status}): ` +
+          `"${match.item.text.replace(/\s+/g, ' ').substring(0, 60)}"`
+      };
     }
 
-    this.queue = [...this.queue, ...newItems].slice(0, CONFIG.maxQueueSize);
-    this.saveQueue();
+    const cooldown = cooldowns[candidate.type];
+    const recent = cooldown && similarity.cooldownHit(candidate, existing, cooldown);
+    if (recent) {
+      const scope = cooldown.perTopic ? `${candidate.type} on "${candidate.topic}"` : candidate.type;
+      return {
+        id: recent.id,
+        reason: `cooldown: ${scope} already ${recent.status === 'posted' ? 'posted' : 'queued'} ` +
+          `as ${recent.id} within ${cooldown.days}d`
+      };
+    }
 
-    return newItems;
+    return null;
   }
 
   isDuplicate(text) {
-    const normalized = text.toLowerCase().replace(/\s+/g, ' ').trim();
-    return this.queue.some(item => 
-      item.text.toLowerCase().replace(/\s+/g, ' ').trim() === normalized
-    ) || this.posted.some(item =>
-      item.text.toLowerCase().replace(/\s+/g, ' ').trim() === normalized
-    );
+    return this.findCollision({ text }) !== null;
   }
 
   /**
@@ -338,52 +665,256 @@ class ContentEngine {
   }
 
   /**
-   * Approve and post content
+   * Approve content, optionally for a specific publish time.
+   * Without one, the scheduler posts it in the next open slot for its type.
+   * Voice lint errors block approval ({ error, lint }) unless
+   * `options.force` is set, in which case they're kept on the item.
    */
-  approve(contentId) {
+  approve(contentId, publishAt = null, options = {}) {
+    let blocked = null;
+    const approved = this.withQueueItem(contentId, item => {
+      LIFECYCLE.check(item, 'approved');
+      const errors = voice.errorsIn(this.lintItem(item));
+      if (errors.length > 0 && !options.force) {
+        blocked = {
+          error: `${errors.length} voice lint error(s), fix them or approve with --force`,
+          code: 'validation',
+          lint: errors
+        };
+        return null;
+      }
+
+      LIFECYCLE.transition(item, 'approved', {
+        actor: this.actor,
+        note: errors.length > 0 ? 'lint override' : null
+      });
+      item.approvedAt = new Date().toISOString();
+      item.publishAt = publishAt ? new Date(publishAt).toISOString() : null;
+      if (errors.length > 0) item.lintOverride = errors;
+      return item;
+    }, 'approve');
+    return blocked || approved;
+  }
+
+  /**
+   * Publish approved content and record the real tweet ID and URL.
+   * Threads are posted as a reply chain; if a segment fails, the ones
+   * already posted are kept in `threadProgress` and the next attempt
+   * resumes from there. `now` stamps postedAt (the scheduler passes its
+   * clock).
+   */
+  async publish(contentId, publisher, { now = new Date() } = {}) {
+    this.reload();
     const item = this.queue.find(i => i.id === contentId);
-    if (!item) return null;
+    if (!item) return { error: 'Content not found', code: 'not_found' };
+    if (!LIFECYCLE.can(item, 'posted')) {
+      return { error: `Content is ${item.status}, only approved content can be posted`, code: 'state' };
+    }
+
+    const segments = item.thread || [item.text];
+    const tooLong = thread.validateSegments(segments).filter(s => !s.ok);
+    if (tooLong.length > 0) {
+      const detail = tooLong.map(s => `#${s.index + 1} is ${s.length}`).join(', ');
+      return {
+        error: `Over ${thread.MAX_LENGTH} weighted chars (${detail}); run content.js thread ${contentId}`,
+        code: 'validation'
+      };
+    }
 
-    item.status = 'approved';
-    item.approvedAt = new Date().toISOString();
-    this.saveQueue();
+    const progress = item.threadProgress || [];
+    for (let i = progress.length; i < segments.length; i++) {
+      const replyTo = progress.length > 0 ? progress[progress.length - 1].tweetId : null;
+      try {
+        progress.push(await publisher.publish(segments[i], { replyTo }));
+      } catch (e) {
+        if (progress.length > 0) {
+          this.withQueueItem(contentId, queued => {
+            queued.threadProgress = progress;
+            return queued;
+          });
+        }
+        const at = segments.length > 1 ? ` at segment ${i + 1}/${segments.length}` : '';
+        return { error: `Publish failed (${publisher.name})${at}: ${e.message}` };
+      }
+    }
 
-    return item;
+    const [first] = progress;
+    const extra = { publisher: publisher.name };
+    if (item.thread) {
+      extra.tweetIds = progress.map(p => p.tweetId);
+      extra.tweetUrls = progress.map(p => p.url);
+    }
+    const posted = this.markPosted(contentId, first.tweetId, first.url, extra, now);
+
+    return { success: true, item: posted };
+  }
+
+  /**
+   * Mark content as posted: moves it from the queue to posted history
+   * (queue lock first, then posted, so the item is never in both or neither)
+   */
+  markPosted(contentId, tweetId = null, tweetUrl = null, extra = {}, now = new Date()) {
+    let before = null;
+    const posted = this.withQueue(queue => {
+      const itemIndex = queue.findIndex(i => i.id === contentId);
+      if (itemIndex === -1) return null;
+
+      const item = queue[itemIndex];
+      before = JSON.parse(JSON.stringify(item));
+      LIFECYCLE.transition(item, 'posted', { actor: this.actor, at: now });
+      queue.splice(itemIndex, 1);
+      Object.assign(item, extra);
+      item.postedAt = now.toISOString();
+      item.tweetId = tweetId;
+      item.tweetUrl = tweetUrl;
+      delete item.threadProgress;
+
+      this.posted = this.postedStore.update(posted => {
+        posted.push(item);
+      });
+
+      return item;
+    });
+    if (posted && !posted.error) {
+      this.audit.record('content', contentId, 'post', before, posted, this.actor);
+      if (posted.predictionId) this.linkPredictionPost(posted);
+    }
+    return posted;
   }
 
   /**
-   * Mark content as posted
+   * Record a posted prediction draft's tweet on the prediction (real
+   * posts only)
    */
-  markPosted(contentId, tweetId = null) {
-    const itemIndex = this.queue.findIndex(i => i.id === contentId);
-    if (itemIndex === -1) return;
+  linkPredictionPost(item) {
+    // A dry run isn't publication: the claim stays editable
+    if (item.publisher === 'dry-run') return null;
+    const PredictionsTracker = require('./predictions');
+    const kind = item.predictionDraft ||
+      (item.type === 'prediction' ? 'announcement' : item.type === 'prediction_result' ? 'resolution' : item.type);
+    return new PredictionsTracker({ actor: this.actor }).recordPost(item.predictionId, kind, item);
+  }
 
-    const item = this.queue[itemIndex];
-    item.status = 'posted';
-    item.postedAt = new Date().toISOString();
-    item.tweetId = tweetId;
+  /**
+   * Queue a hand-written draft. Returns { error } for empty text or an
+   * unknown type.
+   */
+  addDraft(text, type) {
+    if (!text || !text.trim()) return { error: 'Text is empty', code: 'validation' };
+    if (!CONFIG.templates[type]) {
+      return {
+        error: `Unknown type "${type}" (one of: ${Object.keys(CONFIG.templates).join(', ')})`,
+        code: 'validation'
+      };
+    }
+    return this.queueText(text.trim(), type, {
+      source: 'manual',
+      priority: CONFIG.priorities[type] ?? 5
+    });
+  }
 
-    this.posted.push(item);
-    this.queue.splice(itemIndex, 1);
+  /**
+   * Replace an item's text, keeping what it said before in `revisions`
+   * (oldest first, so revisions[0].previousText is the original draft).
+   * Edited items go back to pending so the new text gets re-approved;
+   * rejected items have to be requeued first.
+   */
+  edit(contentId, text, note = null) {
+    return this.withQueueItem(contentId, item => {
+      if (item.status === 'rejected') {
+        throw new TransitionError(`${item.id} is rejected; requeue it before editing`);
+      }
+      if (text === item.text) return item;
 
-    this.saveQueue();
-    this.savePosted();
+      item.revisions = item.revisions || [];
+      item.revisions.push({ at: new Date().toISOString(), previousText: item.text, note });
+      item.text = text;
+      this.threadify(item);
+      item.lint = this.lintItem(item);
 
-    return item;
+      if (item.status === 'approved') {
+        LIFECYCLE.transition(item, 'pending', { actor: this.actor, note: 'edited' });
+        delete item.approvedAt;
+        delete item.publishAt;
+      }
+      return item;
+    }, 'edit');
   }
 
   /**
    * Reject content
    */
-  reject(contentId) {
-    const item = this.queue.find(i => i.id === contentId);
-    if (!item) return null;
+  reject(contentId, reason = null) {
+    return this.withQueueItem(contentId, item => {
+      LIFECYCLE.transition(item, 'rejected', { actor: this.actor, note: reason });
+      item.rejectedAt = new Date().toISOString();
+      item.rejectReason = reason;
+      return item;
+    }, 'reject');
+  }
 
-    item.status = 'rejected';
-    item.rejectedAt = new Date().toISOString();
-    this.saveQueue();
+  /**
+   * Put a rejected or approved item back in the pending queue
+   */
+  requeue(contentId) {
+    return this.withQueueItem(contentId, item => {
+      LIFECYCLE.transition(item, 'pending', { actor: this.actor, note: 'requeued' });
+      ['approvedAt', 'publishAt', 'rejectedAt', 'rejectReason', 'skipReason', 'skippedAt']
+        .forEach(key => delete item[key]);
+      return item;
+    }, 'requeue');
+  }
 
-    return item;
+  /**
+   * Remove queue items with a status whose last change (rejection,
+   * approval, or generation) is older than `olderThanMs`. Returns them.
+   */
+  purge(status, olderThanMs, now = new Date()) {
+    const cutoff = now.getTime() - olderThanMs;
+    let removed = [];
+    this.withQueue(queue => {
+      removed = queue.filter(item => {
+        const changed = new Date(item.rejectedAt || item.approvedAt || item.generated).getTime();
+        return item.status === status && changed < cutoff;
+      });
+      if (removed.length === 0) return null;
+      queue.splice(0, queue.length, ...queue.filter(item => !removed.includes(item)));
+    }, 'purge');
+    return removed;
+  }
+
+  /**
+   * Snapshot engagement for every posted item through a metrics client
+   */
+  async syncMetrics(client) {
+    this.reload();
+    return metrics.syncMetrics(this.posted, client, new Store(CONFIG.metricsPath));
+  }
+
+  /**
+   * Engagement broken down by type, template pattern, hour and source
+   */
+  metricsReport() {
+    const patterns = {};
+    Object.entries(CONFIG.templates).forEach(([name, template]) => {
+      patterns[name] = template.patterns;
+    });
+    return metrics.buildReport(this.posted, new Store(CONFIG.metricsPath).read(), patterns);
+  }
+
+  /**
+   * Current type and pattern weights, or the static priorities they
+   * fall back to when there are no engagement results yet
+   */
+  weights() {
+    const selector = this.selector();
+    if (!selector.hasHistory()) {
+      return { source: 'static priorities (no engagement history)', priorities: CONFIG.priorities };
+    }
+    return {
+      source: `engagement history, exploration ${CONFIG.selector.exploration}`,
+      ...selector.weights()
+    };
   }
 
   /**
@@ -396,88 +927,365 @@ class ContentEngine {
       posted: this.posted.length,
       lastGenerated: this.queue.length > 0 
         ? this.queue[this.queue.length - 1].generated 
-        : null
+        : null,
+      weights: this.weights()
     };
   }
 }
 
-// CLI interface
-const engine = new ContentEngine();
+if (require.main === module) {
+  const out = new Output();
+  const engine = new ContentEngine();
 
-const command = process.argv[2];
+  const command = process.argv[2];
+  const flag = name => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+  const printLint = lint => lint.forEach(r => {
+    console.log(`   ${r.severity === 'error' ? 'ERROR' : 'warn'} ${r.rule}: ${r.message}`);
+  });
+  const failed = e => out.fail('error', e.message);
 
-switch (command) {
-  case 'generate':
-    const count = parseInt(process.argv[3]) || 5;
-    const newItems = engine.generateQueue(count);
-    console.log(`Generated ${newItems.length} content ideas:`);
-    newItems.forEach((item, i) => {
-      console.log(`\n${i + 1}. [${item.type}] (priority: ${item.priority})`);
-      console.log(`   ${item.text.substring(0, 100)}...`);
-    });
-    break;
-
-  case 'pending':
-    const pending = engine.getPending();
-    console.log(`Pending content (${pending.length}):`);
-    pending.forEach((item, i) => {
-      console.log(`\n${i + 1}. ${item.id}`);
-      console.log(`   Type: ${item.type}`);
-      console.log(`   ${item.text}`);
-    });
-    break;
+  switch (command) {
+    case 'generate':
+      const count = parseInt(process.argv[3]) || 5;
+      let rewriteProvider;
+      try {
+        rewriteProvider = engine.rewriteProvider(flag('--rewrite') ?? CONFIG.rewrite.provider);
+      } catch (e) {
+        out.usage(e.message);
+      }
+      engine.generateQueue(count, rewriteProvider).then(result => out.print(result, ({ added, dropped }) => {
+        console.log(`Generated ${added.length} content ideas:`);
+        added.forEach((item, i) => {
+          const kind = item.thread ? `, thread of ${item.thread.length}` : '';
+          console.log(`\n${i + 1}. [${item.type}] (priority: ${item.priority}, source: ${item.source}${kind})`);
+          console.log(`   ${item.text}`);
+          if (item.rewriteError) console.log(`   (kept original: ${item.rewriteError})`);
+        });
+        if (dropped.length > 0) {
+          console.log(`\nDropped ${dropped.length}:`);
+          dropped.forEach(d => console.log(`   [${d.type}] ${d.reason}`));
+        }
+      })).catch(failed);
+      break;
 
-  case 'approve':
-    const approveId = process.argv[3];
-    if (!approveId) {
-      console.error('Usage: content.js approve <content-id>');
-      process.exit(1);
-    }
-    const approved = engine.approve(approveId);
-    if (approved) {
-      console.log('Approved:');
-      console.log(approved.text);
-    } else {
-      console.error('Content not found');
-    }
-    break;
+    case 'sources':
+      engine.collectActivity().then(events => out.print({
+        lookbackHours: CONFIG.lookbackHours,
+        sources: engine.sources.map(source => ({
+          name: source.name,
+          events: events.filter(e => e.source === source.name).length
+        }))
+      }, ({ lookbackHours, sources }) => {
+        console.log(`Sources (${sources.length}), last ${lookbackHours}h:`);
+        sources.forEach(source => console.log(`  ${source.name.padEnd(14)} ${source.events} event(s)`));
+      })).catch(failed);
+      break;
 
-  case 'post':
-    const postId = process.argv[3];
-    if (!postId) {
-      console.error('Usage: content.js post <content-id>');
-      process.exit(1);
-    }
-    // In real implementation, this would post to X
-    const posted = engine.markPosted(postId, 'mock_tweet_id');
-    if (posted) {
-      console.log('Posted to X:');
-      console.log(posted.text);
-    } else {
-      console.error('Content not found');
-    }
-    break;
+    case 'pending':
+      out.print(engine.getPending().map(item => ({ ...item, lint: engine.lintItem(item) })), pending => {
+        console.log(`Pending content (${pending.length}):`);
+        pending.forEach((item, i) => {
+          console.log(`\n${i + 1}. ${item.id}`);
+          console.log(`   Type: ${item.type}`);
+          if (item.thread) {
+            thread.validateSegments(item.thread).forEach(seg => {
+              const tooLong = seg.ok ? '' : ' TOO LONG';
+              console.log(`   [${seg.index + 1}/${item.thread.length}, ${seg.length} chars${tooLong}]`);
+              console.log(`   ${item.thread[seg.index]}`);
+            });
+          } else {
+            console.log(`   ${item.text}`);
+          }
+          if (item.originalText && item.originalText !== item.text) {
+            console.log(`   Original: ${item.originalText}`);
+          }
+          if (item.rewriteError) {
+            console.log(`   Rewrite: ${item.rewriteError}`);
+          }
+          if (item.revisions) {
+            console.log(`   Edited ${item.revisions.length}x, first draft: ${item.revisions[0].previousText}`);
+          }
+          printLint(item.lint);
+        });
+      });
+      break;
+
+    case 'thread':
+      const threadId = process.argv[3];
+      if (!threadId) {
+        out.usage('Usage: content.js thread <content-id>');
+      }
+      out.found(engine.makeThread(threadId), 'Content', threaded => {
+        console.log(`Split into ${threaded.thread.length} segment(s):`);
+        threaded.thread.forEach(seg => console.log(`\n${seg}`));
+      });
+      break;
+
+    case 'scoreboard':
+      const PredictionsTracker = require('./predictions');
+      const segments = new PredictionsTracker().generateScoreboard('thread');
+      out.print(engine.queueText(segments.join('\n\n'), 'prediction', segments.length > 1 ? { thread: segments } : {}), board => {
+        console.log(`Queued scoreboard as ${board.id}` +
+          (board.thread ? ` (thread of ${board.thread.length})` : ''));
+      });
+      break;
+
+    case 'approve':
+      const approveId = process.argv[3];
+      if (!approveId) {
+        out.usage('Usage: content.js approve <content-id> [--at <datetime>] [--force]');
+      }
+      const publishAt = flag('--at') ?? null;
+      if (process.argv.includes('--at') && Number.isNaN(new Date(publishAt).getTime())) {
+        out.fail('validation', `Invalid --at datetime: ${publishAt}`);
+        break;
+      }
+      const approved = engine.approve(approveId, publishAt, { force: process.argv.includes('--force') });
+      if (approved && approved.error && approved.lint) {
+        out.fail(approved.code, approved.error, {
+          lint: approved.lint,
+          lines: approved.lint.map(r => `${r.rule}: ${r.message}`)
+        });
+        break;
+      }
+      out.found(approved, 'Content', item => {
+        console.log(item.publishAt ? `Approved for ${item.publishAt}:` : 'Approved for next open slot:');
+        console.log(item.text);
+      });
+      break;
+
+    case 'post':
+      const postId = process.argv[3];
+      if (!postId) {
+        out.usage('Usage: content.js post <content-id> [--dry-run]');
+      }
+      const dryRun = process.argv.includes('--dry-run');
+      const publisher = createPublisher(dryRun ? 'dry-run' : CONFIG.publisher, {
+        dryRunPath: CONFIG.dryRunPath
+      });
+      engine.publish(postId, publisher).then(result => out.result(result, ({ item }) => {
+        console.log(`Posted via ${publisher.name}: ${item.tweetUrl}`);
+        if (item.tweetIds) {
+          console.log(`Thread of ${item.tweetIds.length} tweets`);
+        }
+        console.log(item.text);
+      })).catch(failed);
+      break;
 
-  case 'status':
-    console.log(engine.status());
-    break;
+    case 'run':
+      engine.actor = 'scheduler';
+      const scheduler = new Scheduler(engine, createPublisher(
+        process.argv.includes('--dry-run') ? 'dry-run' : CONFIG.publisher,
+        { dryRunPath: CONFIG.dryRunPath }
+      ), {
+        config: CONFIG.schedule,
+        logPath: CONFIG.schedulerLogPath
+      });
+      const report = result => out.line({ at: new Date().toISOString(), ...result }, ({ posted, skipped }) => {
+        const time = new Date().toLocaleTimeString();
+        posted.forEach(item => console.log(`[${time}] posted ${item.id}: ${item.tweetUrl}`));
+        if (posted.length === 0) {
+          console.log(`[${time}] nothing posted (${skipped.length} approved item(s) waiting)`);
+        }
+        if (process.argv.includes('--once')) {
+          skipped.forEach(s => console.log(`   skipped ${s.id}: ${s.reason}`));
+        }
+      });
+      if (process.argv.includes('--once')) {
+        scheduler.tick().then(report).catch(failed);
+      } else {
+        if (!out.json) console.log(`Autoposting every ${CONFIG.schedule.pollSeconds}s... (Ctrl+C to stop)`);
+        scheduler.start(report);
+      }
+      break;
 
-  default:
-    console.log(`
+    case 'metrics':
+      const metricsCommand = process.argv[3];
+      if (metricsCommand === 'sync') {
+        const client = process.argv.includes('--fixture') || process.argv.includes('--offline')
+          ? new metrics.FixtureMetricsClient(flag('--fixture') || CONFIG.metricsFixturePath)
+          : new metrics.XMetricsClient({ recordPath: flag('--record') || null });
+        engine.syncMetrics(client).then(result => out.print({ client: client.name, ...result }, ({ synced, missing, skipped }) => {
+          console.log(`Synced ${synced.length} post(s) via ${client.name}`);
+          if (missing.length > 0) console.log(`No metrics returned for: ${missing.join(', ')}`);
+          if (skipped > 0) console.log(`Skipped ${skipped} post(s) without a trackable tweet ID`);
+        })).catch(e => out.fail('error', `Metrics sync failed: ${e.message}`));
+      } else if (metricsCommand === 'report') {
+        out.print(engine.metricsReport(), metricsReport => {
+          if (metricsReport.posts === 0) {
+            console.log('No metrics yet. Run: content.js metrics sync');
+            return;
+          }
+          const o = metricsReport.overall;
+          console.log(`Engagement across ${metricsReport.posts} post(s): ` +
+            `${o.impressions} avg impressions, ${o.engagementRate ?? '-'}% engagement`);
+          [
+            ['By type', metricsReport.byType],
+            ['By template pattern', metricsReport.byPattern],
+            ['By hour posted', metricsReport.byHour],
+            ['By source', metricsReport.bySource]
+          ].forEach(([title, groups]) => {
+            console.log(`\n${title}:`);
+            Object.entries(groups).forEach(([key, g]) => {
+              console.log(`  ${key.padEnd(52)} ${String(g.posts).padStart(3)} post(s)  ` +
+                `${String(g.likes).padStart(6)} likes  ${String(g.reposts).padStart(5)} reposts  ` +
+                `${String(g.replies).padStart(5)} replies  ${String(g.impressions).padStart(8)} impr  ` +
+                `${g.engagementRate ?? '-'}%`);
+            });
+          });
+        });
+      } else {
+        out.usage('Usage: content.js metrics <sync|report> [--offline | --fixture <file>] [--record <file>]');
+      }
+      break;
+
+    case 'add':
+      const addText = process.argv[3];
+      if (!addText || !process.argv.includes('--type')) {
+        out.usage('Usage: content.js add "<text>" --type <type>');
+      }
+      out.result(engine.addDraft(addText, flag('--type')), added => {
+        console.log(`Queued ${added.id}` + (added.thread ? ` (thread of ${added.thread.length})` : ''));
+        printLint(added.lint);
+      });
+      break;
+
+    case 'edit':
+      const editId = process.argv[3];
+      if (!editId) {
+        out.usage('Usage: content.js edit <content-id> [--text "<text>"] [--note "<why>"]');
+      }
+      const toEdit = engine.queue.find(i => i.id === editId);
+      if (!toEdit) {
+        out.fail('not_found', 'Content not found');
+        break;
+      }
+      let newText;
+      if (process.argv.includes('--text')) {
+        newText = flag('--text');
+      } else {
+        // Round-trip the text through $EDITOR via a temp file
+        const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+        const tmpFile = path.join(os.tmpdir(), `${editId}.txt`);
+        fs.writeFileSync(tmpFile, toEdit.text + '\n');
+        const result = spawnSync(editor, [tmpFile], { stdio: 'inherit', shell: true });
+        newText = fs.readFileSync(tmpFile, 'utf8');
+        fs.rmSync(tmpFile, { force: true });
+        if (result.status !== 0) {
+          out.fail('error', `${editor} exited with status ${result.status}; nothing changed`);
+          break;
+        }
+      }
+      newText = (newText || '').trim();
+      if (!newText) {
+        out.fail('validation', 'Text is empty; nothing changed');
+        break;
+      }
+      if (newText === toEdit.text) {
+        out.print({ ...toEdit, changed: false }, () => console.log('No changes'));
+        break;
+      }
+      const edited = engine.edit(editId, newText, flag('--note') ?? null);
+      if (edited.error) {
+        out.result(edited);
+        break;
+      }
+      out.print({ ...edited, changed: true }, item => {
+        console.log(`Edited ${item.id} (revision ${item.revisions.length}, status ${item.status}):`);
+        console.log(item.text);
+        printLint(item.lint);
+      });
+      break;
+
+    case 'reject':
+      const rejectId = process.argv[3];
+      if (!rejectId) {
+        out.usage('Usage: content.js reject <content-id> [--reason "<why>"]');
+      }
+      out.found(engine.reject(rejectId, flag('--reason') ?? null), 'Content', rejected => {
+        console.log(`Rejected ${rejected.id}` + (rejected.rejectReason ? `: ${rejected.rejectReason}` : ''));
+      });
+      break;
+
+    case 'requeue':
+      const requeueId = process.argv[3];
+      if (!requeueId) {
+        out.usage('Usage: content.js requeue <content-id>');
+      }
+      out.found(engine.requeue(requeueId), 'Content', requeued => {
+        console.log(`Back in pending: ${requeued.id}`);
+      });
+      break;
+
+    case 'purge':
+      const purgeStatus = flag('--status');
+      const age = process.argv.includes('--older-than') ? /^(\d+)([mhd])$/.exec(flag('--older-than') || '') : null;
+      if (!['pending', 'approved', 'rejected'].includes(purgeStatus) || (process.argv.includes('--older-than') && !age)) {
+        out.usage('Usage: content.js purge --status <pending|approved|rejected> [--older-than <N>m|h|d]');
+      }
+      const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+      out.print(engine.purge(purgeStatus, age ? parseInt(age[1]) * unitMs[age[2]] : 0), purged => {
+        console.log(`Purged ${purged.length} ${purgeStatus} item(s)`);
+        purged.forEach(item => console.log(`   ${item.id}: ${item.text.split('\n')[0].substring(0, 60)}`));
+      });
+      break;
+
+    case 'status':
+      out.print(engine.status(), status => console.dir(status, { depth: null }));
+      break;
+
+    default:
+      out.help(command, `
 Kira Content Engine
 
 Usage:
-  content.js generate [count]     Generate new content ideas
+  content.js generate [count] [--rewrite <provider>]
+                                  Generate new content ideas, optionally
+                                  rewritten (openai, local, stub, none)
   content.js pending              Show pending content
-  content.js approve <id>         Approve content for posting
-  content.js post <id>            Post approved content to X
+  content.js approve <id> [--at <datetime>] [--force]
+                                  Approve content for posting (next open
+                                  slot for its type, or at a fixed time);
+                                  voice lint errors block unless --force
+  content.js post <id> [--dry-run]
+                                  Post approved content to X
+                                  (--dry-run or KIRA_PUBLISHER=dry-run
+                                  writes to data/dry-run-posts.jsonl)
+  content.js add "<text>" --type <type>
+                                  Queue a hand-written draft
+  content.js edit <id> [--text "<text>"] [--note "<why>"]
+                                  Edit queued text (opens $EDITOR without
+                                  --text); earlier text is kept in revisions
+  content.js reject <id> [--reason "<why>"]
+                                  Reject content
+  content.js requeue <id>         Move rejected/approved content back to pending
+  content.js purge --status <status> [--older-than 7d]
+                                  Delete queue items with that status
+  content.js thread <id>          Split long content into a numbered thread
+  content.js scoreboard           Queue the predictions scoreboard
+  content.js run [--once] [--dry-run]
+                                  Autopost due approved content
+  content.js sources              List activity sources and recent events
+  content.js metrics sync [--offline | --fixture <file>] [--record <file>]
+                                  Snapshot likes/reposts/replies/impressions/
+                                  bookmarks for posted tweets (--offline
+                                  replays data/metrics-fixture.json)
+  content.js metrics report       Engagement by type, pattern, hour, source
   content.js status               Show engine status
 
+Every command takes --json for machine-readable output. Exit codes:
+0 ok, 1 error, 2 usage, 3 not found, 4 validation, 5 state (see lib/cli.js)
+
 Examples:
   node content.js generate 5
   node content.js pending
   node content.js approve content_1234567890_0
-    `);
+      `);
+  }
 }
 
 module.exports = ContentEngine;
+module.exports.LIFECYCLE = LIFECYCLE;
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+/**
+ * Kira Review Dashboard
+ *
+ * Local web UI for the review work the CLIs do: pending content
+ * (edit/approve/reject inline), detected clips, the booking pipeline and
+ * the prediction board. Every request goes through the same classes the
+ * CLIs use, freshly loaded so it always shows what's on disk.
+ *
+ * Binds to a loopback address only (there is no auth, so anything else
+ * is refused). POSTs must be JSON objects and come from the dashboard's
+ * own origin (see checkPost), so other web pages the operator has open
+ * can't drive it.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const ContentEngine = require('./content');
+const ClipDetector = require('./clip');
+const BookingSystem = require('./booking');
+const PredictionsTracker = require('./predictions');
+const { trajectory } = require('./lib/calibration');
+
+// Every name the dashboard answers to; it never binds anywhere else
+const LOOPBACK = ['127.0.0.1', 'localhost', '::1'];
+
+const CONFIG = {
+  host: '127.0.0.1',
+  port: 8780,
+  pagePath: path.join(__dirname, 'dashboard.html'),
+  maxBodyBytes: 64 * 1024
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+class Dashboard {
+  constructor(options = {}) {
+    this.host = options.host || CONFIG.host;
+    this.port = options.port ?? CONFIG.port;
+    if (!LOOPBACK.includes(this.host)) {
+      throw new Error(`The dashboard has no auth, so it only binds to ${LOOPBACK.join(', ')} (not ${this.host})`);
+    }
+    this.server = null;
+    this.routes = [
+      ['GET', /^\/$/, () => this.page()],
+      ['GET', /^\/api\/content$/, () => this.content()],
+      ['POST', /^\/api\/content\/([\w-]+)\/edit$/, (id, body) => this.editContent(id, body)],
+      ['POST', /^\/api\/content\/([\w-]+)\/approve$/, (id, body) => this.approveContent(id, body)],
+      ['POST', /^\/api\/content\/([\w-]+)\/reject$/, (id, body) => this.rejectContent(id, body)],
+      ['GET', /^\/api\/clips$/, () => this.clips()],
+      ['POST', /^\/api\/clips\/([\w-]+)\/approve$/, id => this.approveClip(id)],
+      ['POST', /^\/api\/clips\/([\w-]+)\/reject$/, (id, body) => this.rejectClip(id, body)],
+      ['GET', /^\/api\/bookings$/, () => this.bookings()],
+      ['GET', /^\/api\/predictions$/, () => this.predictions()]
+    ];
+  }
+
+  page() {
+    return { type: 'text/html; charset=utf-8', body: fs.readFileSync(CONFIG.pagePath, 'utf8') };
+  }
+
+  content() {
+    const engine = new ContentEngine({ actor: 'dashboard' });
+    const withLint = item => ({ ...item, lint: engine.lintItem(item) });
+    return {
+      pending: engine.getPending().map(withLint),
+      approved: engine.queue.filter(item => item.status === 'approved').map(withLint),
+      status: engine.status()
+    };
+  }
+
+  editContent(id, body) {
+    const text = typeof body.text === 'string' ? body.text.trim() : '';
+    if (!text) throw new HttpError(400, 'text is required');
+    return this.found(new ContentEngine({ actor: 'dashboard' }).edit(id, text, body.note || null), 'Content');
+  }
+
+  approveContent(id, body) {
+    if (body.publishAt && Number.isNaN(new Date(body.publishAt).getTime())) {
+      throw new HttpError(400, `Invalid publishAt: ${body.publishAt}`);
+    }
+    const result = new ContentEngine({ actor: 'dashboard' }).approve(id, body.publishAt || null, { force: body.force === true });
+    return this.found(result, 'Content');
+  }
+
+  rejectContent(id, body) {
+    return this.found(new ContentEngine({ actor: 'dashboard' }).reject(id, body.reason || null), 'Content');
+  }
+
+  clips() {
+    const detector = new ClipDetector();
+    return {
+      clips: detector.clips
+        .slice()
+        .reverse()
+        .map(clip => ({ ...clip, breakdown: detector.scoreBreakdown(clip.indicators || []) })),
+      stats: detector.stats()
+    };
+  }
+
+  approveClip(id) {
+    return this.found(new ClipDetector({ actor: 'dashboard' }).approve(id), 'Clip');
+  }
+
+  rejectClip(id, body) {
+    return this.found(new ClipDetector({ actor: 'dashboard' }).reject(id, body.reason || null), 'Clip');
+  }
+
+  bookings() {
+    const system = new BookingSystem();
+    const upcoming = system.getUpcoming();
+    const awaiting = system.getAwaitingPayment();
+    return {
+      pipeline: {
+        pending: system.getPending(),
+        awaitingPayment: awaiting,
+        upcoming,
+        completed: system.bookings.filter(b => b.status === 'completed'),
+        other: system.bookings.filter(b =>
+          !['pending', 'approved', 'paid', 'completed'].includes(b.status)
+        )
+      },
+      stats: system.getStats()
+    };
+  }
+
+  predictions() {
+    const tracker = new PredictionsTracker();
+    return {
+      predictions: tracker.list('all').map(p => ({ ...p, trajectory: trajectory(p) })),
+      stats: tracker.stats(),
+      scoreboard: tracker.generateScoreboard('text'),
+      card: tracker.generateScoreboard('svg')
+    };
+  }
+
+  /**
+   * 404 for a missing item, 409 for an { error } result (illegal
+   * transition, lint errors)
+   */
+  found(result, what) {
+    if (!result) throw new HttpError(404, `${what} not found`);
+    if (result.error) throw new HttpError(result.code === 'not_found' ? 404 : 409, result.error);
+    return result;
+  }
+
+  /**
+   * Refuse POSTs a cross-site page could send: a Host that isn't a
+   * loopback name (DNS rebinding), a foreign Origin, or a body that isn't
+   * application/json (which browsers can't send cross-origin without a
+   * CORS preflight this server never answers)
+   */
+  checkPost(req) {
+    const port = this.server ? this.server.address().port : this.port;
+    const hosts = LOOPBACK.map(name => `${name.includes(':') ? `[${name}]` : name}:${port}`);
+
+    if (!hosts.includes(req.headers.host)) {
+      throw new HttpError(403, `Unexpected Host header: ${req.headers.host}`);
+    }
+    const origin = req.headers.origin;
+    if (origin !== undefined && !hosts.some(host => origin === `http://${host}`)) {
+      throw new HttpError(403, `Cross-origin request refused: ${origin}`);
+    }
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+      throw new HttpError(415, 'POST bodies must be application/json');
+    }
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > CONFIG.maxBodyBytes) {
+          // Drain the rest rather than drop the socket, so the 413 gets through
+          req.removeAllListeners('data');
+          req.resume();
+          reject(new HttpError(413, 'Request body too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        if (chunks.length === 0) return resolve({});
+        let body;
+        try {
+          body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (e) {
+          return reject(new HttpError(400, `Invalid JSON body: ${e.message}`));
+        }
+        // Handlers read fields off the body, so null, numbers and arrays are out
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+          return reject(new HttpError(400, 'JSON body must be an object'));
+        }
+        resolve(body);
+      });
+      req.on('error', reject);
+    });
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const send = (status, type, body) => {
+      res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+      res.end(body);
+    };
+
+    try {
+      const route = this.routes.find(([method, pattern]) => method === req.method && pattern.test(pathname));
+      if (!route) {
+        const knownPath = this.routes.some(([, pattern]) => pattern.test(pathname));
+        throw new HttpError(knownPath ? 405 : 404, knownPath ? 'Method not allowed' : 'Not found');
+      }
+
+      const [method, pattern, handler] = route;
+      if (method === 'POST') this.checkPost(req);
+      const body = method === 'POST' ? await this.readBody(req) : {};
+      const [, id] = pathname.match(pattern);
+      const result = handler(id, body);
+
+      if (result && result.type && typeof result.body === 'string') {
+        send(200, result.type, result.body);
+      } else {
+        send(200, 'application/json', JSON.stringify(result));
+      }
+    } catch (e) {
+      const status = e instanceof HttpError ? e.status : 500;
+      if (status === 500) console.error(`${req.method} ${pathname} failed:`, e);
+      send(status, 'application/json', JSON.stringify({ error: e.message }));
+    }
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => resolve(this.server.address()));
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+if (require.main === module) {
+  const command = process.argv[2];
+
+  switch (command) {
+    case 'serve':
+      const portIndex = process.argv.indexOf('--port');
+      const hostIndex = process.argv.indexOf('--host');
+      const port = portIndex !== -1 ? parseInt(process.argv[portIndex + 1]) : CONFIG.port;
+      if (Number.isNaN(port)) {
+        console.error('Usage: dashboard.js serve [--port <port>] [--host <host>]');
+        process.exit(1);
+      }
+      let dashboard;
+      try {
+        dashboard = new Dashboard({
+          port,
+          host: hostIndex !== -1 ? process.argv[hostIndex + 1] : CONFIG.host
+        });
+      } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+      }
+      dashboard.start().then(address => {
+        console.log(`Dashboard at http://${address.address}:${address.port}/ (Ctrl+C to stop)`);
+      }).catch(e => {
+        console.error(`Can't start dashboard: ${e.message}`);
+        process.exitCode = 1;
+      });
+      break;
+
+    default:
+      console.log(`
+Kira Review Dashboard
+
+Usage:
+  dashboard.js serve [--port <port>] [--host <host>]
+                               Serve the review UI (default 127.0.0.1:${CONFIG.port});
+                               --host must be ${LOOPBACK.join(', ')}
+
+Examples:
+  node dashboard.js serve
+  node dashboard.js serve --port 9000
+      `);
+  }
+}
+
+module.exports = Dashboard;
@@ -0,0 +1,170 @@
+/**
+ * Audit Log
+ *
+ * One append-only JSONL file of every state change made by the content
+ * engine, clip detector, bookings and predictions. Each line is
+ *
+ *   { seq, at, entity, id, action, actor, changes: { field: { from, to } }, prev, hash }
+ *
+ * where `hash` is the SHA-256 of the entry (without its hash) and `prev`
+ * is the previous entry's hash, so editing or deleting any line breaks
+ * the chain. The latest { seq, hash } is also kept in `<file>.head`,
+ * which is what catches lines cut off the end. Appends take the same
+ * advisory lock as the JSON stores.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Store } = require('./store');
+
+const GENESIS = '0'.repeat(64);
+
+// Fields that aren't worth diffing (history is append-only anyway)
+const IGNORED_FIELDS = ['history'];
+
+/**
+ * Top-level fields that differ between two versions of an item.
+ * Either side may be null (created / removed).
+ */
+function diff(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    const from = (before ? before[key] : null) ?? null;
+    const to = (after ? after[key] : null) ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  }
+  return changes;
+}
+
+function hashEntry(entry) {
+  const { seq, at, entity, id, action, actor, changes, prev } = entry;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ seq, at, entity, id, action, actor, changes, prev }))
+    .digest('hex');
+}
+
+class AuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.headPath = `${filePath}.head`;
+    // Only used for its lock
+    this.lock = new Store(filePath);
+  }
+
+  /**
+   * Log one item's change. Nothing is written if nothing changed.
+   */
+  record(entity, id, action, before, after, actor) {
+    const changes = diff(before, after);
+    if (Object.keys(changes).length === 0) return [];
+    return this.append([{ entity, id, action, actor, changes }]);
+  }
+
+  /**
+   * Log every item (matched by id) that differs between two versions
+   * of a collection
+   */
+  recordChanges(entity, action, before, after, actor) {
+    const byId = list => new Map(list.map(item => [item.id, item]));
+    const old = byId(before);
+    const current = byId(after);
+    const entries = [];
+    for (const id of new Set([...old.keys(), ...current.keys()])) {
+      const changes = diff(old.get(id) || null, current.get(id) || null);
+      if (Object.keys(changes).length > 0) entries.push({ entity, id, action, actor, changes });
+    }
+    return entries.length > 0 ? this.append(entries) : [];
+  }
+
+  append(entries) {
+    return this.lock.withLock(() => {
+      let head = this.readHead() || { seq: 0, hash: GENESIS };
+      const at = new Date().toISOString();
+      const lines = entries.map(entry => {
+        const full = { seq: head.seq + 1, at, ...entry, prev: head.hash };
+        full.hash = hashEntry(full);
+        head = { seq: full.seq, hash: full.hash };
+        return full;
+      });
+
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, lines.map(line => JSON.stringify(line) + '\n').join(''));
+      const tmpPath = `${this.headPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(head));
+      fs.renameSync(tmpPath, this.headPath);
+      return lines;
+    });
+  }
+
+  readHead() {
+    if (!fs.existsSync(this.headPath)) return null;
+    return JSON.parse(fs.readFileSync(this.headPath, 'utf8'));
+  }
+
+  readLines() {
+    if (!fs.existsSync(this.filePath)) return [];
+    return fs.readFileSync(this.filePath, 'utf8').split('\n').filter(line => line.trim());
+  }
+
+  /**
+   * Entries matching { entity, id, since, until } (all optional)
+   */
+  query({ entity = null, id = null, since = null, until = null } = {}) {
+    return this.readLines()
+      .map(line => JSON.parse(line))
+      .filter(e => !entity || e.entity === entity)
+      .filter(e => !id || e.id === id)
+      .filter(e => !since || new Date(e.at) >= since)
+      .filter(e => !until || new Date(e.at) <= until);
+  }
+
+  /**
+   * Walk the chain. Returns { ok, entries, problems: [{ line, message }] }.
+   */
+  verify() {
+    const problems = [];
+    const lines = this.readLines();
+    let expected = { seq: 0, hash: GENESIS };
+
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        problems.push({ line: index + 1, message: `not valid JSON: ${e.message}` });
+        return;
+      }
+      if (entry.seq !== expected.seq + 1) {
+        problems.push({ line: index + 1, message: `seq ${entry.seq}, expected ${expected.seq + 1} (entries missing or reordered)` });
+      }
+      if (entry.prev !== expected.hash) {
+        problems.push({ line: index + 1, message: `prev hash doesn't match entry ${expected.seq}` });
+      }
+      if (hashEntry(entry) !== entry.hash) {
+        problems.push({ line: index + 1, message: `hash mismatch (entry ${entry.seq} was modified)` });
+      }
+      expected = { seq: entry.seq, hash: entry.hash };
+    });
+
+    const head = this.readHead();
+    if (!head && lines.length > 0) {
+      problems.push({ line: null, message: `${this.headPath} is missing` });
+    } else if (head && (head.seq !== expected.seq || head.hash !== expected.hash)) {
+      problems.push({
+        line: null,
+        message: head.seq > expected.seq
+          ? `log ends at entry ${expected.seq} but the head says ${head.seq} (truncated)`
+          : `last entry ${expected.seq} doesn't match the head (entry ${head.seq})`
+      });
+    }
+
+    return { ok: problems.length === 0, entries: lines.length, problems };
+  }
+}
+
+module.exports = { AuditLog, diff };
@@ -0,0 +1,243 @@
+/**
+ * Availability
+ *
+ * Bookable session slots from a weekly schedule in one time zone:
+ *
+ *   {
+ *     timeZone: 'America/New_York',          // IANA name the hours are in
+ *     weekly: [                              // days are 0 (Sun) - 6 (Sat)
+ *       { days: [1, 2, 3, 4], hours: ['14:00-18:00'] }
+ *     ],
+ *     slotMinutes: 30,                       // sessions start on this grid and last this long
+ *     bufferMinutes: 15,                     // kept clear before and after every session
+ *     minNoticeHours: 24,                    // earliest bookable slot, from now
+ *     horizonDays: 21,                       // latest bookable slot, from now
+ *     maxPerWeek: 5                          // sessions per week (Sun-Sat in timeZone)
+ *   }
+ *
+ * Busy times are { start, end } Dates (already-scheduled sessions).
+ * Nothing here reads the clock; callers pass `now`.
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Error message for a time zone Intl doesn't know, or null
+ */
+function validateTimeZone(timeZone) {
+  try {
+    formatter(timeZone);
+    return null;
+  } catch (e) {
+    return `unknown time zone "${timeZone}"`;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ */
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(formatter(timeZone).formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+/**
+ * The instant a wall-clock time in a time zone happens. Times skipped by
+ * a DST jump land just after it.
+ */
+function zonedTime(year, month, day, hour, minute, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = instant => {
+    const p = zonedParts(new Date(instant), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(instant / MINUTE) * MINUTE;
+  };
+  const guess = wall - offsetAt(wall);
+  // Re-check in case the guess crossed a DST change
+  const exact = new Date(wall - offsetAt(guess));
+  return zonedParts(exact, timeZone).hour === hour ? exact : new Date(guess);
+}
+
+/**
+ * "2026-02-15 14:00" (or "2026-02-15T14:00") is read as wall-clock time
+ * in `timeZone`; anything with a Z or offset is an exact instant.
+ * Returns a Date or null, including for dates and times that don't
+ * exist ("2026-02-30 14:00", "2026-01-01 25:00") rather than rolling them over.
+ */
+function parseTime(value, timeZone) {
+  if (!value) return null;
+  const local = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::00)?$/);
+  if (local) {
+    const [year, month, day, hour, minute] = local.slice(1).map(Number);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth || hour > 23 || minute > 59) return null;
+    return zonedTime(year, month, day, hour, minute, timeZone);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * "Mon 2026-02-16 14:00" in a time zone
+ */
+function formatLocal(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][p.weekday];
+  return `${weekday} ${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * Sunday the instant's week starts on in a time zone, "2026-02-15"
+ */
+function weekOf(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const sunday = new Date(Date.UTC(p.year, p.month - 1, p.day) - p.weekday * DAY);
+  return sunday.toISOString().slice(0, 10);
+}
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Every slot start the weekly schedule allows between two instants,
+ * ignoring notice, bookings and capacity
+ */
+function scheduleSlots(config, from, to) {
+  const starts = [];
+  const first = zonedParts(from, config.timeZone);
+  for (let offset = 0; ; offset++) {
+    const calendar = new Date(Date.UTC(first.year, first.month - 1, first.day) + offset * DAY);
+    const [year, month, day, weekday] = [
+      calendar.getUTCFullYear(), calendar.getUTCMonth() + 1, calendar.getUTCDate(), calendar.getUTCDay()
+    ];
+    if (zonedTime(year, month, day, 0, 0, config.timeZone) > to) break;
+
+    config.weekly.filter(rule => rule.days.includes(weekday)).forEach(rule => {
+      rule.hours.forEach(range => {
+        const [open, close] = range.split('-').map(toMinutes);
+        for (let m = open; m + config.slotMinutes <= close; m += config.slotMinutes) {
+          const start = zonedTime(year, month, day, Math.floor(m / 60), m % 60, config.timeZone);
+          if (start >= from && start <= to) starts.push(start);
+        }
+      });
+    });
+  }
+  // A DST jump can map two wall-clock times to the same instant
+  return [...new Set(starts.map(start => start.getTime()))].sort((a, b) => a - b).map(time => new Date(time));
+}
+
+/**
+ * The busy time a slot starting at `start` overlaps (buffers included), or null
+ */
+function conflict(start, config, busy) {
+  const buffer = config.bufferMinutes * MINUTE;
+  const end = new Date(start.getTime() + config.slotMinutes * MINUTE);
+  return busy.find(b => start.getTime() < b.end.getTime() + buffer && end.getTime() + buffer > b.start.getTime()) || null;
+}
+
+/**
+ * Sessions already booked per week, { '2026-02-15': 3 }
+ */
+function weekCounts(config, busy) {
+  const counts = {};
+  busy.forEach(b => {
+    const week = weekOf(b.start, config.timeZone);
+    counts[week] = (counts[week] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Why a session can't start at `start`, or null if it can:
+ *   { error, code: 'validation' }  not a slot in the weekly schedule, too soon, too far out
+ *   { error, code: 'state' }       overlaps a booked session, or that week is full
+ */
+function check(start, config, busy, now) {
+  const slot = scheduleSlots(config, new Date(start.getTime() - DAY), new Date(start.getTime() + DAY))
+    .find(s => s.getTime() === start.getTime());
+  const local = formatLocal(start, config.timeZone);
+  if (!slot) {
+    return { error: `${local} (${config.timeZone}) isn't an open slot; see booking.js slots`, code: 'validation' };
+  }
+  if (start < new Date(now.getTime() + config.minNoticeHours * 60 * MINUTE)) {
+    return { error: `${local} is less than ${config.minNoticeHours}h away`, code: 'validation' };
+  }
+  if (start > new Date(now.getTime() + config.horizonDays * DAY)) {
+    return { error: `${local} is more than ${config.horizonDays} days out`, code: 'validation' };
+  }
+
+  const clash = conflict(start, config, busy);
+  if (clash) {
+    return {
+      error: `${local} overlaps ${clash.id || 'a booked session'} at ${formatLocal(clash.start, config.timeZone)}` +
+        ` (sessions keep ${config.bufferMinutes} minutes apart)`,
+      code: 'state'
+    };
+  }
+  const week = weekOf(start, config.timeZone);
+  if ((weekCounts(config, busy)[week] || 0) >= config.maxPerWeek) {
+    return { error: `The week of ${week} is fully booked (${config.maxPerWeek} sessions). Try another week.`, code: 'state' };
+  }
+  return null;
+}
+
+/**
+ * Open slots from now until `days` ahead (capped at the horizon):
+ * [{ start, end, local, week }]
+ */
+function openSlots(config, busy, now, days = config.horizonDays) {
+  const from = new Date(now.getTime() + config.minNoticeHours * 60 * MINUTE);
+  const to = new Date(now.getTime() + Math.min(days, config.horizonDays) * DAY);
+  const counts = weekCounts(config, busy);
+
+  return scheduleSlots(config, from, to)
+    .filter(start => !conflict(start, config, busy))
+    .filter(start => (counts[weekOf(start, config.timeZone)] || 0) < config.maxPerWeek)
+    .map(start => ({
+      start: start.toISOString(),
+      end: new Date(start.getTime() + config.slotMinutes * MINUTE).toISOString(),
+      local: formatLocal(start, config.timeZone),
+      week: weekOf(start, config.timeZone)
+    }));
+}
+
+module.exports = {
+  validateTimeZone,
+  zonedParts,
+  zonedTime,
+  parseTime,
+  formatLocal,
+  weekOf,
+  scheduleSlots,
+  conflict,
+  check,
+  openSlots
+};
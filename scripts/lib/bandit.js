@@ -0,0 +1,166 @@
+/**
+ * Performance-Weighted Selection
+ *
+ * Thompson sampling over past engagement. Every posted item with a
+ * metrics snapshot is one pull of two arms: its type and its
+ * `template#pattern`. The reward is the post's engagement rate scaled
+ * against the best post so far (0-1), folded into a Beta(1 + wins,
+ * 1 + losses) posterior per arm.
+ *
+ * Type weights multiply the static priorities, centred so an average
+ * performer gets 1x. Arms with no history are left alone: a type with
+ * no results keeps its static priority, and a template with no results
+ * picks patterns uniformly at random, exactly as before.
+ *
+ * `exploration` is the chance that any single draw ignores history and
+ * samples from the flat prior instead, so weak arms still get retried.
+ */
+
+const { latestSnapshots, engagement } = require('./metrics');
+
+const PRIOR = { alpha: 1, beta: 1 };
+const PRIOR_MEAN = PRIOR.alpha / (PRIOR.alpha + PRIOR.beta);
+
+function standardNormal(random) {
+  // Box-Muller; 1 - random() keeps log() away from 0
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Gamma(shape, 1) draw (Marsaglia & Tsang)
+ */
+function sampleGamma(shape, random) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = standardNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+function sampleBeta(alpha, beta, random) {
+  const x = sampleGamma(alpha, random);
+  return x / (x + sampleGamma(beta, random));
+}
+
+/**
+ * One { type, arm, reward } per posted item that has metrics
+ */
+function rewards(posted, snapshots) {
+  const latest = latestSnapshots(snapshots);
+  const rated = posted
+    .filter(item => latest.has(item.id) && latest.get(item.id).impressions > 0)
+    .map(item => {
+      const snapshot = latest.get(item.id);
+      return { item, rate: engagement(snapshot) / snapshot.impressions };
+    });
+
+  const best = Math.max(0, ...rated.map(r => r.rate));
+  return rated.map(({ item, rate }) => ({
+    type: item.type,
+    pattern: item.pattern === undefined ? null : `${item.template || item.type}#${item.pattern}`,
+    reward: best > 0 ? rate / best : 0
+  }));
+}
+
+function posteriors(results, key) {
+  const arms = {};
+  results.filter(r => r[key] !== null).forEach(r => {
+    const arm = arms[r[key]] || (arms[r[key]] = { posts: 0, alpha: PRIOR.alpha, beta: PRIOR.beta });
+    arm.posts++;
+    arm.alpha += r.reward;
+    arm.beta += 1 - r.reward;
+  });
+  return arms;
+}
+
+class Selector {
+  /**
+   * posted: posted content items; snapshots: metrics store rows;
+   * options: { exploration, random }
+   */
+  constructor(posted, snapshots, options = {}) {
+    this.exploration = options.exploration ?? 0.1;
+    this.random = options.random || Math.random;
+
+    const results = rewards(posted, snapshots);
+    this.types = posteriors(results, 'type');
+    this.patterns = posteriors(results, 'pattern');
+  }
+
+  hasHistory() {
+    return Object.keys(this.types).length > 0;
+  }
+
+  /**
+   * Posterior draw for an arm (or a prior draw, when exploring)
+   */
+  draw(arm) {
+    if (!arm || this.random() < this.exploration) {
+      return sampleBeta(PRIOR.alpha, PRIOR.beta, this.random);
+    }
+    return sampleBeta(arm.alpha, arm.beta, this.random);
+  }
+
+  /**
+   * Sampled priority for an idea of this type. No history: unchanged.
+   */
+  priority(type, basePriority) {
+    const arm = this.types[type];
+    if (!arm) return basePriority;
+    return Math.round(basePriority * (this.draw(arm) / PRIOR_MEAN) * 10) / 10;
+  }
+
+  /**
+   * Pick one of templates.fillablePatterns' candidates for a template.
+   * Falls back to a uniform pick when none of the template's patterns
+   * have results yet.
+   */
+  choosePattern(template, candidates) {
+    const arms = candidates.map(c => this.patterns[`${template}#${c.index}`]);
+    if (arms.every(arm => !arm)) {
+      return candidates[Math.floor(this.random() * candidates.length)];
+    }
+
+    let best = null;
+    let bestScore = -1;
+    candidates.forEach((candidate, i) => {
+      const score = this.draw(arms[i]);
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Current expected weights (posterior mean relative to the prior),
+   * for reporting rather than selection
+   */
+  weights() {
+    const describe = arms => {
+      const result = {};
+      Object.entries(arms)
+        .map(([key, arm]) => [key, arm, arm.alpha / (arm.alpha + arm.beta)])
+        .sort((a, b) => b[2] - a[2])
+        .forEach(([key, arm, mean]) => {
+          result[key] = { posts: arm.posts, weight: +(mean / PRIOR_MEAN).toFixed(2) };
+        });
+      return result;
+    };
+    return { types: describe(this.types), patterns: describe(this.patterns) };
+  }
+}
+
+module.exports = { Selector, rewards, sampleBeta };
@@ -0,0 +1,45 @@
+/**
+ * Booking Model
+ *
+ * The shape of bookings.json, shared by booking.js and the bookings
+ * activity source: the status lifecycle and the store's schema version
+ * and migration.
+ */
+
+const { Lifecycle } = require('./lifecycle');
+
+// Bookings that have a session on the calendar
+const HOLDS_SLOT = ['approved', 'paid', 'completed'];
+
+// pending -> approved -> paid -> completed, cancellable until completed
+const LIFECYCLE = new Lifecycle('booking', {
+  pending: ['approved', 'cancelled'],
+  approved: ['paid', 'cancelled'],
+  paid: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+}, {
+  approved: (booking, { scheduledTime }) =>
+    !scheduledTime || Number.isNaN(new Date(scheduledTime).getTime())
+      ? `invalid scheduled time: ${scheduledTime}`
+      : null,
+  paid: (booking, { solanaTx }) => solanaTx ? null : 'a payment transaction is required'
+});
+
+/**
+ * Schema 2: paid bookings have status 'paid' (they used to stay
+ * 'approved' with paid: true)
+ */
+const STORE_OPTIONS = {
+  schemaVersion: 2,
+  migrate(bookings, version) {
+    if (version < 2) {
+      bookings.forEach(b => {
+        if (b.status === 'approved' && b.paid) b.status = 'paid';
+      });
+    }
+    return bookings;
+  }
+};
+
+module.exports = { HOLDS_SLOT, LIFECYCLE, STORE_OPTIONS };
@@ -0,0 +1,129 @@
+/**
+ * Prediction Calibration
+ *
+ * Scores resolved predictions against the confidence they were made
+ * with. Each outcome becomes a value between 0 and 1 (correct = 1,
+ * incorrect = 0, partial = the configured credit), and is compared to
+ * p = confidence / 100:
+ *
+ *   Brier score  mean (p - outcome)^2            0 is perfect, 0.25 is always saying 50%
+ *   log loss     mean -ln(p) if right, -ln(1 - p) if wrong (weighted for partials)
+ *
+ * The calibration table buckets predictions by stated confidence and
+ * shows how often each bucket actually came true. Predictions revised
+ * after they were made can be scored on their original confidence (the
+ * default) or their final one (see finalConfidence).
+ */
+
+const DEFAULTS = {
+  partialCredit: 0.5,
+  bucketSize: 10,
+  // Keeps log loss finite for 0% / 100% calls
+  epsilon: 0.01
+};
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+function outcomeValue(outcome, options = DEFAULTS) {
+  if (outcome === 'correct') return 1;
+  if (outcome === 'partial') return options.partialCredit;
+  return 0;
+}
+
+/**
+ * Confidence a prediction ended on: its last revision, or as made
+ */
+function finalConfidence(prediction) {
+  const revisions = prediction.revisions || [];
+  return revisions.length > 0 ? revisions[revisions.length - 1].confidence : prediction.confidence;
+}
+
+/**
+ * Confidence trajectory, original first: [70, 55, 40]
+ */
+function trajectory(prediction) {
+  return [prediction.confidence, ...(prediction.revisions || []).map(r => r.confidence)]
+    .filter((confidence, i, all) => i === 0 || confidence !== all[i - 1]);
+}
+
+/**
+ * Calibration buckets ("70–80") with stated vs observed hit rate, in %
+ */
+function calibrationTable(scored, options = DEFAULTS) {
+  const buckets = new Map();
+  for (const { confidence, value } of scored) {
+    const low = Math.min(Math.floor(confidence / options.bucketSize) * options.bucketSize, 100 - options.bucketSize);
+    if (!buckets.has(low)) buckets.set(low, []);
+    buckets.get(low).push({ confidence, value });
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([low, items]) => {
+      const stated = items.reduce((sum, i) => sum + i.confidence, 0) / items.length;
+      const observed = items.reduce((sum, i) => sum + i.value, 0) / items.length * 100;
+      return {
+        range: `${low}–${low + options.bucketSize}`,
+        count: items.length,
+        stated: round(stated, 1),
+        observed: round(observed, 1),
+        gap: round(observed - stated, 1)
+      };
+    });
+}
+
+/**
+ * Accuracy (credit-weighted, %), Brier score, log loss and calibration
+ * table for a list of resolved predictions. `options.final` scores the
+ * final confidence instead of the original.
+ */
+function score(predictions, options = DEFAULTS) {
+  const scored = predictions.map(p => ({
+    confidence: Number(options.final ? finalConfidence(p) : p.confidence),
+    value: outcomeValue(p.outcome, options)
+  }));
+  if (scored.length === 0) {
+    return { count: 0, accuracy: null, brier: null, logLoss: null, calibration: [] };
+  }
+
+  let brier = 0;
+  let logLoss = 0;
+  for (const { confidence, value } of scored) {
+    const p = Math.min(Math.max(confidence / 100, options.epsilon), 1 - options.epsilon);
+    brier += (p - value) ** 2;
+    logLoss -= value * Math.log(p) + (1 - value) * Math.log(1 - p);
+  }
+
+  return {
+    count: scored.length,
+    accuracy: round(scored.reduce((sum, s) => sum + s.value, 0) / scored.length * 100, 1),
+    brier: round(brier / scored.length),
+    logLoss: round(logLoss / scored.length),
+    calibration: calibrationTable(scored, options)
+  };
+}
+
+/**
+ * score() per group, keyed by keyFn(prediction)
+ */
+function scoreBy(predictions, keyFn, options = DEFAULTS) {
+  const groups = {};
+  predictions.forEach(p => {
+    const key = keyFn(p);
+    (groups[key] = groups[key] || []).push(p);
+  });
+  return Object.fromEntries(
+    Object.keys(groups).sort().map(key => [key, score(groups[key], options)])
+  );
+}
+
+/**
+ * Month a prediction resolved in, "2026-03"
+ */
+function resolvedMonth(prediction) {
+  return (prediction.resolvedAt || prediction.resolutionDate || '').slice(0, 7) || 'unknown';
+}
+
+module.exports = {
+  DEFAULTS, outcomeValue, finalConfidence, trajectory, score, scoreBy, calibrationTable, resolvedMonth
+};
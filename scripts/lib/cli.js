@@ -0,0 +1,139 @@
+/**
+ * CLI Output
+ *
+ * Shared output and exit-code handling for the CLIs. Every script
+ * accepts a global `--json` flag: results are printed as one JSON
+ * document on stdout (long-running commands print one JSON object per
+ * line), and failures as `{ "error": "...", "code": "..." }` on stdout
+ * with the matching exit code. Without it, results print as text and
+ * failures go to stderr.
+ *
+ * Exit codes:
+ *
+ *   0  ok
+ *   1  error       anything unexpected (I/O, network, corrupt data)
+ *   2  usage       missing or malformed arguments, unknown command
+ *   3  not_found   the ID doesn't exist
+ *   4  validation  input was understood but rejected (bad date, lint errors)
+ *   5  state       not allowed in the item's current state
+ *
+ * Library methods report failures as `{ error, code }` with one of the
+ * codes above (or return null for not-found), and the CLIs pass those
+ * through `out.result()` / `out.found()`.
+ */
+
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  not_found: 3,
+  validation: 4,
+  state: 5
+};
+
+class Output {
+  /**
+   * Takes `--json` out of argv (in place) so positional arguments stay put
+   */
+  constructor(argv = process.argv) {
+    const index = argv.indexOf('--json');
+    this.json = index !== -1;
+    if (this.json) {
+      argv.splice(index, 1);
+      // Crashes (corrupt store, lock timeouts) still come out as JSON
+      const crash = e => {
+        this.fail('error', e.message);
+        process.exit(EXIT_CODES.error);
+      };
+      process.on('uncaughtException', crash);
+      process.on('unhandledRejection', crash);
+    }
+  }
+
+  /**
+   * Print a successful result: as JSON, or through `text(data)`
+   * (plain console.log when no formatter is given)
+   */
+  print(data, text = null) {
+    if (this.json) {
+      console.log(JSON.stringify(data, null, 2));
+    } else if (text) {
+      text(data);
+    } else {
+      console.log(data);
+    }
+    return data;
+  }
+
+  /**
+   * One line of a stream (for `run` / `watch`): a JSON line, or text
+   */
+  line(data, text) {
+    if (this.json) {
+      console.log(JSON.stringify(data));
+    } else {
+      text(data);
+    }
+  }
+
+  /**
+   * Report a failure and set the exit code. `details` go into the JSON
+   * error object; in text mode, `details.lines` are printed after the message.
+   */
+  fail(code, message, details = {}) {
+    if (!(code in EXIT_CODES)) code = 'error';
+    if (this.json) {
+      const { lines, ...rest } = details;
+      console.log(JSON.stringify({ error: message, code, ...rest }, null, 2));
+    } else {
+      console.error(message);
+      (details.lines || []).forEach(line => console.error(`   ${line}`));
+    }
+    process.exitCode = EXIT_CODES[code];
+    return null;
+  }
+
+  /**
+   * Usage error: report and exit straight away
+   */
+  usage(message) {
+    this.fail('usage', message);
+    process.exit(EXIT_CODES.usage);
+  }
+
+  /**
+   * Print a `{ error, code }` / success result from a library method
+   */
+  result(result, text = null) {
+    if (result && result.error) {
+      const { error, code, ...details } = result;
+      return this.fail(code || 'error', error, details);
+    }
+    return this.print(result, text);
+  }
+
+  /**
+   * Print a value, or a not_found failure when it's null (and pass
+   * `{ error, code }` results through like `result()`)
+   */
+  found(value, what, text = null) {
+    if (!value) return this.fail('not_found', `${what} not found`);
+    return this.result(value, text);
+  }
+
+  /**
+   * Help text; an unknown command is a usage error
+   */
+  help(command, text) {
+    if (command) {
+      this.fail('usage', `Unknown command: ${command}`);
+    }
+    if (this.json) {
+      if (!command) console.log(JSON.stringify({ usage: text.trim() }, null, 2));
+    } else {
+      console.log(text);
+    }
+  }
+}
+
+module.exports = { EXIT_CODES, Output };
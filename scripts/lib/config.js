@@ -0,0 +1,209 @@
+/**
+ * Config
+ *
+ * One place that decides where data and workspace files live. Each
+ * setting is resolved from, lowest to highest precedence:
+ *
+ *   1. built-in defaults (relative to this repo checkout)
+ *   2. the config file (kira.config.json in the repo, or --config / KIRA_CONFIG)
+ *   3. environment variables (KIRA_DATA_DIR, ...)
+ *   4. CLI flags (--data-dir)
+ *
+ * and remembers which of those it came from, for `config.js show`.
+ * Relative paths in the config file are resolved against the file's own
+ * directory; relative paths from env or flags against the working directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+// The repo normally lives at <workspace>/skills/kira_content
+const DEFAULT_WORKSPACE = path.resolve(REPO_ROOT, '..', '..');
+
+const PUBLISHERS = ['x', 'dry-run'];
+const REWRITERS = ['none', 'openai', 'local', 'stub'];
+
+const SETTINGS = {
+  dataDir: { env: 'KIRA_DATA_DIR', flag: '--data-dir', type: 'path' },
+  workspaceDir: { env: 'KIRA_WORKSPACE', type: 'path' },
+  projectsDir: { env: 'KIRA_PROJECTS_DIR', type: 'path' },
+  memoryDir: { env: 'KIRA_MEMORY_DIR', type: 'path' },
+  sourcesDir: { env: 'KIRA_SOURCES_DIR', type: 'path' },
+  publisher: { env: 'KIRA_PUBLISHER', type: 'string' },
+  stateUrl: { env: 'KIRA_STATE_URL', type: 'string' },
+  rewriter: { env: 'KIRA_REWRITER', type: 'string' },
+  rewriteUrl: { env: 'KIRA_REWRITE_URL', type: 'string' },
+  rewriteModel: { env: 'KIRA_REWRITE_MODEL', type: 'string' },
+  voiceRulesPath: { env: 'KIRA_VOICE_RULES', type: 'path' },
+  actor: { env: 'KIRA_ACTOR', flag: '--actor', type: 'string' }
+};
+
+// Data files, always inside dataDir
+const FILES = {
+  contentQueuePath: 'content-queue.json',
+  postedContentPath: 'posted-content.json',
+  predictionsPath: 'predictions.json',
+  bookingsPath: 'bookings.json',
+  clipsPath: 'clips.json',
+  dryRunPath: 'dry-run-posts.jsonl',
+  metricsPath: 'metrics.json',
+  metricsFixturePath: 'metrics-fixture.json',
+  resolverFixturePath: 'resolver-fixture.json',
+  schedulerLogPath: 'scheduler-log.jsonl',
+  auditLogPath: 'audit-log.jsonl'
+};
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Pull `--flag value` / `--flag=value` out of argv (in place) so the
+ * scripts' positional arguments stay where they expect them
+ */
+function takeFlag(argv, flag) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag) {
+      if (i + 1 >= argv.length) throw new ConfigError(`${flag} needs a value`);
+      const [, value] = argv.splice(i, 2);
+      return value;
+    }
+    if (argv[i].startsWith(`${flag}=`)) {
+      const [arg] = argv.splice(i, 1);
+      return arg.slice(flag.length + 1);
+    }
+  }
+  return undefined;
+}
+
+function readConfigFile(configPath) {
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (e) {
+    throw new ConfigError(`Can't read config file ${configPath}: ${e.message}`);
+  }
+}
+
+/**
+ * Resolve the effective config. Returns { values, origins }.
+ */
+function loadConfig({ argv = process.argv, env = process.env, cwd = process.cwd() } = {}) {
+  const values = {};
+  const origins = {};
+  const set = (key, value, origin, baseDir) => {
+    values[key] = SETTINGS[key].type === 'path' ? path.resolve(baseDir, value) : value;
+    origins[key] = origin;
+  };
+
+  // Config file location itself
+  const flagConfig = takeFlag(argv, '--config');
+  let configPath = null;
+  if (flagConfig) {
+    configPath = path.resolve(cwd, flagConfig);
+  } else if (env.KIRA_CONFIG) {
+    configPath = path.resolve(cwd, env.KIRA_CONFIG);
+  } else if (fs.existsSync(path.join(REPO_ROOT, 'kira.config.json'))) {
+    configPath = path.join(REPO_ROOT, 'kira.config.json');
+  }
+  if ((flagConfig || env.KIRA_CONFIG) && !fs.existsSync(configPath)) {
+    throw new ConfigError(`Config file not found: ${configPath}`);
+  }
+
+  // 1. defaults
+  set('dataDir', path.join(REPO_ROOT, 'data'), 'default', REPO_ROOT);
+  set('workspaceDir', DEFAULT_WORKSPACE, 'default', REPO_ROOT);
+  set('sourcesDir', path.join(REPO_ROOT, 'sources'), 'default', REPO_ROOT);
+  set('publisher', 'x', 'default');
+  set('stateUrl', 'http://localhost:8766/state', 'default');
+  set('rewriter', 'none', 'default');
+  set('voiceRulesPath', path.join(REPO_ROOT, 'voice-rules.json'), 'default', REPO_ROOT);
+
+  // 2. config file
+  if (configPath) {
+    const fileValues = readConfigFile(configPath);
+    const unknown = Object.keys(fileValues).filter(k => !(k in SETTINGS));
+    if (unknown.length > 0) {
+      throw new ConfigError(`Unknown setting(s) in ${configPath}: ${unknown.join(', ')}`);
+    }
+    Object.entries(fileValues).forEach(([key, value]) => {
+      if (typeof value !== 'string') {
+        throw new ConfigError(`${key} in ${configPath} must be a string`);
+      }
+      set(key, value, `config file (${configPath})`, path.dirname(configPath));
+    });
+  }
+
+  // 3. env, 4. flags
+  Object.entries(SETTINGS).forEach(([key, setting]) => {
+    if (env[setting.env]) set(key, env[setting.env], `env ${setting.env}`, cwd);
+  });
+  Object.entries(SETTINGS).forEach(([key, setting]) => {
+    if (!setting.flag) return;
+    const value = takeFlag(argv, setting.flag);
+    if (value !== undefined) set(key, value, `flag ${setting.flag}`, cwd);
+  });
+
+  // Workspace subdirectories follow workspaceDir unless set themselves
+  ['projectsDir', 'memoryDir'].forEach(key => {
+    if (!(key in values)) {
+      values[key] = path.join(values.workspaceDir, key === 'projectsDir' ? 'projects' : 'memory');
+      origins[key] = `derived from workspaceDir`;
+    }
+  });
+
+  Object.entries(FILES).forEach(([key, file]) => {
+    values[key] = path.join(values.dataDir, file);
+    origins[key] = 'derived from dataDir';
+  });
+
+  validate(values);
+  return { values, origins, configPath };
+}
+
+function validate(values) {
+  if (!PUBLISHERS.includes(values.publisher)) {
+    throw new ConfigError(`publisher must be one of ${PUBLISHERS.join(', ')} (got "${values.publisher}")`);
+  }
+  if (fs.existsSync(values.dataDir) && !fs.statSync(values.dataDir).isDirectory()) {
+    throw new ConfigError(`dataDir is not a directory: ${values.dataDir}`);
+  }
+  if (!REWRITERS.includes(values.rewriter)) {
+    throw new ConfigError(`rewriter must be one of ${REWRITERS.join(', ')} (got "${values.rewriter}")`);
+  }
+  if (values.rewriteUrl && !/^https?:\/\//.test(values.rewriteUrl)) {
+    throw new ConfigError(`rewriteUrl must be an http(s) URL (got "${values.rewriteUrl}")`);
+  }
+  if (!/^https?:\/\//.test(values.stateUrl)) {
+    throw new ConfigError(`stateUrl must be an http(s) URL (got "${values.stateUrl}")`);
+  }
+}
+
+let cached = null;
+
+/**
+ * Effective config for the running script, resolved once per process.
+ * Bad config is reported and exits, since nothing can run without it.
+ */
+function getConfig() {
+  if (!cached) {
+    try {
+      cached = loadConfig();
+    } catch (e) {
+      if (!(e instanceof ConfigError)) throw e;
+      console.error(`Config error: ${e.message}`);
+      process.exit(1);
+    }
+  }
+  return cached.values;
+}
+
+function describeConfig() {
+  getConfig();
+  return cached;
+}
+
+module.exports = { REPO_ROOT, SETTINGS, FILES, ConfigError, loadConfig, getConfig, describeConfig };
@@ -0,0 +1,115 @@
+/**
+ * Lifecycles
+ *
+ * Explicit state machines for content, clips, bookings and predictions.
+ * Each entity has a transition table (status -> statuses it may move to)
+ * and optional guards per target status. Every move is appended to the
+ * item's `history` as { at, from, to, actor, note }; entries are never
+ * rewritten or removed.
+ *
+ * Illegal moves throw a TransitionError with code 'state'; failed guards
+ * throw one with code 'validation' (the same codes lib/cli maps to exit
+ * codes). Store.apply (behind the scripts' with* helpers) turns these
+ * into { error, code }.
+ */
+
+const os = require('os');
+const { getConfig } = require('./config');
+
+class TransitionError extends Error {
+  constructor(message, code = 'state') {
+    super(message);
+    this.name = 'TransitionError';
+    this.code = code;
+  }
+
+  toResult() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+/**
+ * Who is making changes from this process: --actor / KIRA_ACTOR, or cli:<user>
+ */
+function defaultActor() {
+  const { actor } = getConfig();
+  if (actor) return actor;
+  try {
+    return `cli:${os.userInfo().username}`;
+  } catch (e) {
+    return 'cli';
+  }
+}
+
+class Lifecycle {
+  /**
+   * entity: name used in messages; transitions: { status: [next...] };
+   * guards: { status: (item, context) => error message or null }
+   */
+  constructor(entity, transitions, guards = {}) {
+    this.entity = entity;
+    this.transitions = transitions;
+    this.guards = guards;
+  }
+
+  statuses() {
+    return Object.keys(this.transitions);
+  }
+
+  can(item, to) {
+    return (this.transitions[item.status] || []).includes(to);
+  }
+
+  /**
+   * Throw unless `item` may move to `to` right now
+   */
+  check(item, to, context = {}) {
+    if (!(to in this.transitions)) {
+      throw new TransitionError(`Unknown ${this.entity} status "${to}"`, 'validation');
+    }
+    if (!this.can(item, to)) {
+      const allowed = this.transitions[item.status] || [];
+      throw new TransitionError(
+        `${item.id} is ${item.status}; ${this.entity} can't go from ${item.status} to ${to}` +
+        (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ` (${item.status} is final)`)
+      );
+    }
+    const guard = this.guards[to];
+    const problem = guard ? guard(item, context) : null;
+    if (problem) {
+      throw new TransitionError(`Can't move ${item.id} to ${to}: ${problem}`, 'validation');
+    }
+  }
+
+  /**
+   * Move an item to a new status and record it in its history
+   */
+  transition(item, to, { actor = defaultActor(), note = null, at = new Date(), ...context } = {}) {
+    this.check(item, to, context);
+    const from = item.status;
+    item.status = to;
+    this.record(item, from, to, actor, note, at);
+    return item;
+  }
+
+  /**
+   * Stamp a newly created item with its initial status
+   */
+  create(item, status, { actor = defaultActor(), note = null, at = new Date() } = {}) {
+    if (!(status in this.transitions)) {
+      throw new TransitionError(`Unknown ${this.entity} status "${status}"`, 'validation');
+    }
+    item.status = status;
+    this.record(item, null, status, actor, note, at);
+    return item;
+  }
+
+  record(item, from, to, actor, note, at) {
+    item.history = item.history || [];
+    const entry = { at: at.toISOString(), from, to, actor };
+    if (note) entry.note = note;
+    item.history.push(entry);
+  }
+}
+
+module.exports = { Lifecycle, TransitionError, defaultActor };
@@ -0,0 +1,182 @@
+/**
+ * Memory Log Parser
+ *
+ * Turns a daily memory markdown file into individual records:
+ * decisions, blockers, wins and lessons, each with the sentence it came
+ * from, the bullet it sat in and the heading above it. A sentence's own
+ * wording decides its kind; headings like "## Blockers" or "## Shipped"
+ * classify the sentences underneath them that don't say. A
+ * "Mistake: X. Fix: Y" bullet is kept whole as one mistake record, with
+ * the fix as its `solution`.
+ */
+
+const KINDS = {
+  decision: /\b(decided to|chose to|opted for|going with|switched to|settled on)\b/i,
+  blocker: /\b(blocked|stuck|issue|problem|error|fail(ed|ing|ure)?|broke|broken|bug|crash(ed)?)\b/i,
+  win: /\b(completed|shipped|working|success|achieved|launched|fixed|solved|resolved|done)\b/i,
+  lesson: /\b(learned|lesson|turns out|realized|note to self|til|takeaway)\b/i
+};
+
+const MISTAKE = /^mistake:\s*(.+?)\s+(?:fix|solution):\s*(.+)$/i;
+
+// Checked in this order so "fixed the bug" counts as a win, not a blocker
+const KIND_ORDER = ['lesson', 'decision', 'win', 'blocker'];
+
+const HEADING_KINDS = [
+  { kind: 'blocker', pattern: /\b(blockers?|issues?|problems?|bugs?)\b/i },
+  { kind: 'win', pattern: /\b(wins?|shipped|done|completed|progress)\b/i },
+  { kind: 'decision', pattern: /\b(decisions?|decided)\b/i },
+  { kind: 'lesson', pattern: /\b(lessons?|learn(ed|ings?)|til|takeaways?)\b/i }
+];
+
+/**
+ * Strip inline markdown down to plain text
+ */
+function plainText(text) {
+  return text
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(\*|_)(.+?)\1/g, '$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^\[[ x]\]\s*/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function sentences(text) {
+  return text.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
+}
+
+function classify(sentence, headingKind) {
+  return KIND_ORDER.find(kind => KINDS[kind].test(sentence)) || headingKind;
+}
+
+/**
+ * Parse one day's markdown into headings and classified records
+ */
+function parseMemory(content, date = null) {
+  const headings = [];
+  const records = [];
+  let heading = null;
+  let headingKind = null;
+  let item = null;
+
+  const flush = () => {
+    if (!item) return;
+    const text = plainText(item.lines.join(' '));
+    const mistake = text.match(MISTAKE);
+    if (mistake) {
+      records.push({
+        kind: 'mistake',
+        text: mistake[1],
+        solution: mistake[2],
+        next: null,
+        item: text,
+        heading,
+        date,
+        line: item.line
+      });
+      item = null;
+      return;
+    }
+
+    const parts = sentences(text);
+
+    parts.forEach((sentence, i) => {
+      const kind = classify(sentence, headingKind);
+      if (!kind) return;
+      records.push({
+        kind,
+        text: sentence,
+        next: parts[i + 1] || null,
+        item: text,
+        heading,
+        date,
+        line: item.line
+      });
+    });
+    item = null;
+  };
+
+  content.split('\n').forEach((raw, index) => {
+    const headingMatch = raw.match(/^(#{1,6})\s+(.*)$/);
+    if (headingMatch) {
+      flush();
+      heading = plainText(headingMatch[2]);
+      headingKind = (HEADING_KINDS.find(h => h.pattern.test(heading)) || {}).kind || null;
+      headings.push({ level: headingMatch[1].length, text: heading, line: index + 1 });
+      return;
+    }
+
+    const bulletMatch = raw.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+    if (bulletMatch) {
+      flush();
+      item = { lines: [bulletMatch[1]], line: index + 1 };
+      return;
+    }
+
+    if (!raw.trim()) {
+      flush();
+      return;
+    }
+
+    // Paragraph text, or a wrapped continuation of the current bullet
+    if (item) {
+      item.lines.push(raw.trim());
+    } else {
+      item = { lines: [raw.trim()], line: index + 1 };
+    }
+  });
+  flush();
+
+  return { date, headings, records };
+}
+
+function dedupeKey(record) {
+  return `${record.kind}:${record.text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()}`;
+}
+
+/**
+ * Merge records from several days, collapsing entries that recur
+ * (e.g. the same blocker carried over day to day) into one record
+ * with every date it appeared on
+ */
+function mergeDays(days) {
+  const byKey = new Map();
+
+  days.forEach(day => day.records.forEach(record => {
+    const key = dedupeKey(record);
+    const existing = byKey.get(key);
+    if (existing) {
+      if (!existing.dates.includes(record.date)) existing.dates.push(record.date);
+      existing.occurrences++;
+      existing.lastDate = record.date;
+    } else {
+      byKey.set(key, { ...record, dates: [record.date], occurrences: 1, lastDate: record.date });
+    }
+  }));
+
+  return [...byKey.values()];
+}
+
+/**
+ * Pair each blocker in one day's records with what resolved it: the
+ * next win, decision or lesson in the same bullet, else under the same heading
+ */
+function pairRecoveries(records) {
+  const pairs = [];
+
+  records.forEach((record, i) => {
+    if (record.kind !== 'blocker') return;
+
+    const candidates = records.slice(i + 1).filter(r => r.kind !== 'blocker' && r.kind !== 'mistake');
+    const recovery = candidates.find(r => r.item === record.item)
+      || candidates.find(r => r.heading === record.heading);
+
+    if (recovery) pairs.push({ blocker: record, recovery });
+  });
+
+  return pairs;
+}
+
+module.exports = { parseMemory, mergeDays, pairRecoveries, dedupeKey, plainText };
@@ -0,0 +1,197 @@
+/**
+ * Engagement Metrics
+ *
+ * Pulls public metrics for posted tweets and stores them as time-series
+ * snapshots (one row per tweet per sync), then rolls the latest snapshot
+ * of each post up by type, template pattern, hour of day and source.
+ *
+ * Metrics clients expose `fetch(tweetIds) -> { [tweetId]: public_metrics }`.
+ * XMetricsClient calls X; FixtureMetricsClient answers from a recorded
+ * JSON file of the same shape, for offline runs and tests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createXClient } = require('./publisher');
+
+const METRICS = ['likes', 'reposts', 'replies', 'quotes', 'impressions', 'bookmarks'];
+
+// X lookup endpoint accepts at most 100 IDs per request
+const BATCH_SIZE = 100;
+
+class XMetricsClient {
+  constructor(options = {}) {
+    this.name = 'x';
+    this.client = options.client || null;
+    this.recordPath = options.recordPath || null;
+  }
+
+  async fetch(tweetIds) {
+    if (!this.client) this.client = createXClient();
+
+    const results = {};
+    for (let i = 0; i < tweetIds.length; i += BATCH_SIZE) {
+      const batch = tweetIds.slice(i, i + BATCH_SIZE);
+      const response = await this.client.v2.tweets(batch, { 'tweet.fields': ['public_metrics'] });
+      (response.data || []).forEach(tweet => {
+        results[tweet.id] = tweet.public_metrics;
+      });
+    }
+
+    // Save what X returned so later offline runs can replay it
+    if (this.recordPath) {
+      fs.mkdirSync(path.dirname(this.recordPath), { recursive: true });
+      fs.writeFileSync(this.recordPath, JSON.stringify(results, null, 2));
+    }
+
+    return results;
+  }
+}
+
+class FixtureMetricsClient {
+  constructor(fixturePath) {
+    this.name = 'fixture';
+    this.fixturePath = fixturePath;
+  }
+
+  async fetch(tweetIds) {
+    if (!fs.existsSync(this.fixturePath)) {
+      throw new Error(`Metrics fixture not found: ${this.fixturePath}`);
+    }
+    const fixture = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+
+    const results = {};
+    tweetIds.filter(id => id in fixture).forEach(id => {
+      results[id] = fixture[id];
+    });
+    return results;
+  }
+}
+
+function toSnapshot(item, publicMetrics, at) {
+  return {
+    contentId: item.id,
+    tweetId: item.tweetId,
+    at,
+    likes: publicMetrics.like_count || 0,
+    reposts: publicMetrics.retweet_count || 0,
+    replies: publicMetrics.reply_count || 0,
+    quotes: publicMetrics.quote_count || 0,
+    impressions: publicMetrics.impression_count || 0,
+    bookmarks: publicMetrics.bookmark_count || 0
+  };
+}
+
+/**
+ * Fetch metrics for every posted item with a real tweet ID and append
+ * a snapshot for each to the metrics store
+ */
+async function syncMetrics(posted, client, store, now = new Date()) {
+  const trackable = posted.filter(item => item.tweetId && (client.name !== 'x' || /^\d+$/.test(item.tweetId)));
+  const skipped = posted.length - trackable.length;
+  if (trackable.length === 0) return { synced: [], missing: [], skipped };
+
+  const fetched = await client.fetch(trackable.map(item => item.tweetId));
+  const at = now.toISOString();
+
+  const synced = trackable
+    .filter(item => fetched[item.tweetId])
+    .map(item => toSnapshot(item, fetched[item.tweetId], at));
+  const missing = trackable.filter(item => !fetched[item.tweetId]).map(item => item.id);
+
+  if (synced.length > 0) {
+    store.update(snapshots => {
+      snapshots.push(...synced);
+    });
+  }
+
+  return { synced, missing, skipped };
+}
+
+/**
+ * Most recent snapshot per content item
+ */
+function latestSnapshots(snapshots) {
+  const latest = new Map();
+  snapshots.forEach(snapshot => {
+    const current = latest.get(snapshot.contentId);
+    if (!current || snapshot.at > current.at) latest.set(snapshot.contentId, snapshot);
+  });
+  return latest;
+}
+
+function engagement(snapshot) {
+  return snapshot.likes + snapshot.reposts + snapshot.replies + snapshot.quotes + snapshot.bookmarks;
+}
+
+function summarize(rows) {
+  const totals = {};
+  METRICS.forEach(metric => {
+    totals[metric] = rows.reduce((sum, row) => sum + row.snapshot[metric], 0);
+  });
+  const engaged = rows.reduce((sum, row) => sum + engagement(row.snapshot), 0);
+
+  const averages = {};
+  METRICS.forEach(metric => {
+    averages[metric] = +(totals[metric] / rows.length).toFixed(1);
+  });
+
+  return {
+    posts: rows.length,
+    ...averages,
+    engagementRate: totals.impressions > 0 ? +(engaged / totals.impressions * 100).toFixed(2) : null
+  };
+}
+
+function groupBy(rows, keyFn) {
+  const groups = {};
+  rows.forEach(row => {
+    const key = keyFn(row);
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(row);
+  });
+
+  const result = {};
+  Object.entries(groups)
+    .map(([key, group]) => [key, summarize(group)])
+    .sort((a, b) => (b[1].engagementRate ?? -1) - (a[1].engagementRate ?? -1))
+    .forEach(([key, summary]) => { result[key] = summary; });
+  return result;
+}
+
+/**
+ * Break results down by type, template pattern, hour posted and source.
+ * `patterns` maps template name to its pattern list, to label pattern rows.
+ */
+function buildReport(posted, snapshots, patterns = {}) {
+  const latest = latestSnapshots(snapshots);
+  const rows = posted
+    .filter(item => latest.has(item.id))
+    .map(item => ({ item, snapshot: latest.get(item.id) }));
+
+  const patternLabel = ({ item }) => {
+    if (item.pattern === undefined) return `${item.template || item.type}#?`;
+    const pattern = (patterns[item.template || item.type] || [])[item.pattern];
+    const text = pattern ? (pattern.text || pattern) : '';
+    return `${item.template || item.type}#${item.pattern} ${text.replace(/\s+/g, ' ').substring(0, 40)}`;
+  };
+
+  return {
+    posts: rows.length,
+    overall: rows.length > 0 ? summarize(rows) : null,
+    byType: groupBy(rows, ({ item }) => item.type),
+    byPattern: groupBy(rows, patternLabel),
+    byHour: groupBy(rows, ({ item }) => String(new Date(item.postedAt).getHours()).padStart(2, '0') + ':00'),
+    bySource: groupBy(rows, ({ item }) => item.source || 'unknown')
+  };
+}
+
+module.exports = {
+  METRICS,
+  XMetricsClient,
+  FixtureMetricsClient,
+  syncMetrics,
+  latestSnapshots,
+  engagement,
+  buildReport
+};
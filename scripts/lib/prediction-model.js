@@ -0,0 +1,39 @@
+/**
+ * Prediction Model
+ *
+ * Outcomes, how each reads in a post, and the status lifecycle, shared
+ * by predictions.js, content.js and the predictions activity source.
+ */
+
+const { Lifecycle } = require('./lifecycle');
+
+const OUTCOMES = ['correct', 'incorrect', 'partial'];
+
+// How each outcome reads in a post ("{verdict}: {prediction}")
+const VERDICTS = {
+  correct: 'called it',
+  incorrect: 'got this one wrong',
+  partial: 'half right'
+};
+
+// A prediction resolves exactly once
+const LIFECYCLE = new Lifecycle('prediction', {
+  active: ['resolved'],
+  resolved: []
+}, {
+  resolved: (pred, { outcome }) => OUTCOMES.includes(outcome)
+    ? null
+    : `outcome must be ${OUTCOMES.join(', ')} (got "${outcome}")`
+});
+
+// Once the announcement is posted, the claim and its deadline are on the record
+const isPublished = pred => Boolean(pred.posts && pred.posts.announcement);
+
+/**
+ * What a post may cite as proof: the proof given to `resolve`, or for
+ * predictions `check` resolved, the public receipt (the raw proof names
+ * resolver internals and local files). Null when there's nothing to cite.
+ */
+const receiptFor = pred => (pred.resolvedBy === 'check' ? pred.receipt : pred.proof) || null;
+
+module.exports = { OUTCOMES, VERDICTS, LIFECYCLE, isPublished, receiptFor };
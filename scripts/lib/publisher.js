@@ -0,0 +1,116 @@
+/**
+ * Publishers
+ *
+ * Backends that take approved content and put it somewhere public.
+ * Every publisher exposes the same `publish(text, options)` method and
+ * resolves to `{ tweetId, url }`, so the content engine never needs to
+ * know whether it is talking to X or to a local file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * twitter-api-v2 client from the X_* env vars (same credentials
+ * x-debug.js checks), unless given explicitly
+ */
+function createXClient(credentials = {}) {
+  const resolved = {
+    appKey: credentials.appKey || process.env.X_API_KEY,
+    appSecret: credentials.appSecret || process.env.X_API_SECRET,
+    accessToken: credentials.accessToken || process.env.X_ACCESS_TOKEN,
+    accessSecret: credentials.accessSecret || process.env.X_ACCESS_SECRET
+  };
+
+  const missing = Object.entries(resolved)
+    .filter(([, value]) => !value)
+    .map(([key]) => key);
+  if (missing.length > 0) {
+    throw new Error(`X credentials not configured (missing: ${missing.join(', ')}). See X_API_SETUP.md`);
+  }
+
+  // Loaded lazily so dry-run setups work without the dependency installed
+  const { TwitterApi } = require('twitter-api-v2');
+  return new TwitterApi(resolved);
+}
+
+/**
+ * Posts to X through twitter-api-v2
+ */
+class XPublisher {
+  constructor(credentials = {}) {
+    this.name = 'x';
+    this.credentials = credentials;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = createXClient(this.credentials);
+    }
+    return this.client;
+  }
+
+  async publish(text, options = {}) {
+    const payload = {};
+    if (options.replyTo) {
+      payload.reply = { in_reply_to_tweet_id: options.replyTo };
+    }
+
+    const result = await this.getClient().v2.tweet(text, payload);
+    const tweetId = result.data.id;
+
+    return {
+      tweetId,
+      url: `https://x.com/i/status/${tweetId}`
+    };
+  }
+}
+
+/**
+ * Stand-in for X that appends every post to a local JSONL file.
+ * Used for tests and offline runs.
+ */
+class DryRunPublisher {
+  constructor(outputPath) {
+    this.name = 'dry-run';
+    this.outputPath = outputPath;
+  }
+
+  async publish(text, options = {}) {
+    const tweetId = `dryrun_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const entry = {
+      tweetId,
+      text,
+      replyTo: options.replyTo || null,
+      publishedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(path.dirname(this.outputPath), { recursive: true });
+    fs.appendFileSync(this.outputPath, JSON.stringify(entry) + '\n');
+
+    return {
+      tweetId,
+      url: `dry-run://${path.basename(this.outputPath)}/${tweetId}`
+    };
+  }
+}
+
+/**
+ * Build a publisher by name ('x' or 'dry-run')
+ */
+function createPublisher(name, options = {}) {
+  switch (name) {
+    case 'x':
+      return new XPublisher(options.credentials);
+    case 'dry-run':
+      if (!options.dryRunPath) {
+        throw new Error('dry-run publisher needs a dryRunPath');
+      }
+      return new DryRunPublisher(options.dryRunPath);
+    default:
+      throw new Error(`Unknown publisher: ${name}`);
+  }
+}
+
+module.exports = { createXClient, XPublisher, DryRunPublisher, createPublisher };
@@ -0,0 +1,33 @@
+/**
+ * Follower Count Resolver
+ *
+ * An X account's follower count, through the same credentials the
+ * publisher uses.
+ * params: { username: 'kira' }
+ */
+
+const { createXClient } = require('../publisher');
+
+module.exports = {
+  name: 'followers',
+
+  key({ username }) {
+    return String(username).replace(/^@/, '').toLowerCase();
+  },
+
+  validate({ username } = {}) {
+    return username ? null : 'followers needs params.username';
+  },
+
+  async read({ username }, context = {}) {
+    const handle = String(username).replace(/^@/, '');
+    const client = context.xClient || createXClient();
+    const response = await client.v2.userByUsername(handle, { 'user.fields': ['public_metrics'] });
+    if (!response.data) throw new Error(`X user @${handle} not found`);
+    return {
+      value: response.data.public_metrics.followers_count,
+      source: `https://x.com/${handle}`,
+      link: `https://x.com/${handle}`
+    };
+  }
+};
@@ -0,0 +1,135 @@
+/**
+ * Prediction Resolvers
+ *
+ * A prediction can carry a machine-checkable condition:
+ *
+ *   {
+ *     source: 'price',                           // resolver name
+ *     params: { asset: 'solana', currency: 'usd' },
+ *     comparator: '>=',                          // > >= < <= == !=
+ *     threshold: 300,
+ *     deadline: '2026-03-01T00:00:00Z'           // optional, defaults to resolutionDate
+ *   }
+ *
+ * read "the metric is >= 300 at some check before the deadline". A
+ * resolver is a module exporting
+ *
+ *   {
+ *     name: 'price',
+ *     key(params) -> 'solana/usd',               // identifies the reading, for fixtures
+ *     validate(params) -> error message or null,
+ *     read(params, context) -> { value, source, link } (or a Promise of one)
+ *   }
+ *
+ * `source` says exactly where the reading came from and stays on the
+ * prediction record; `link`, when there is one, is a public page for the
+ * same number and is all a post gets to cite.
+ *
+ * context carries `dataDir` and `timeoutMs`, which network reads pass to
+ * AbortSignal.timeout so a hung endpoint can't stall `check`.
+ *
+ * With a fixture file, every resolver answers from it instead of the
+ * network: { "price:solana/usd": 312.4, "followers:kira": 10234, ... }.
+ */
+
+const fs = require('fs');
+
+const BUILT_IN = [
+  require('./price'),
+  require('./followers'),
+  require('./json')
+];
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+/**
+ * Answers from a recorded `{ "<resolver>:<key>": value }` file
+ */
+class FixtureResolver {
+  constructor(resolver, fixturePath) {
+    this.name = resolver.name;
+    this.resolver = resolver;
+    this.fixturePath = fixturePath;
+  }
+
+  key(params) {
+    return this.resolver.key(params);
+  }
+
+  validate(params) {
+    return this.resolver.validate(params);
+  }
+
+  read(params) {
+    if (!fs.existsSync(this.fixturePath)) {
+      throw new Error(`Resolver fixture not found: ${this.fixturePath}`);
+    }
+    const fixtures = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+    const id = `${this.name}:${this.key(params)}`;
+    if (!(id in fixtures)) throw new Error(`No fixture for ${id}`);
+    return { value: fixtures[id], source: `fixture ${this.fixturePath}` };
+  }
+}
+
+/**
+ * Resolvers by name, optionally all answering from a fixture file
+ */
+function createRegistry({ fixturePath = null, resolvers = BUILT_IN } = {}) {
+  return Object.fromEntries(resolvers.map(resolver => [
+    resolver.name,
+    fixturePath ? new FixtureResolver(resolver, fixturePath) : resolver
+  ]));
+}
+
+/**
+ * Error message for a malformed condition, or null
+ */
+function validateCondition(condition, registry = createRegistry()) {
+  if (!condition || typeof condition !== 'object') return 'condition must be an object';
+  const resolver = registry[condition.source];
+  if (!resolver) {
+    return `unknown condition source "${condition.source}" (one of: ${Object.keys(registry).join(', ')})`;
+  }
+  if (!(condition.comparator in COMPARATORS)) {
+    return `comparator must be one of ${Object.keys(COMPARATORS).join(' ')}`;
+  }
+  if (condition.threshold === undefined || condition.threshold === null) return 'condition needs a threshold';
+  if (condition.deadline && Number.isNaN(new Date(condition.deadline).getTime())) {
+    return `invalid condition deadline: ${condition.deadline}`;
+  }
+  return resolver.validate(condition.params || {});
+}
+
+/**
+ * Read a prediction's condition and decide:
+ *   met      - true at this check, before the deadline
+ *   failed   - not true at a check after the deadline
+ *   late     - true now, but only after the deadline (needs a human)
+ *   pending  - not true yet, deadline still ahead
+ */
+async function evaluate(prediction, registry, context = {}, now = new Date()) {
+  const condition = prediction.condition;
+  const resolver = registry[condition.source];
+  const params = condition.params || {};
+  const { value, source, link = null } = await resolver.read(params, context);
+
+  const deadline = new Date(condition.deadline || prediction.resolutionDate);
+  const holds = COMPARATORS[condition.comparator](value, condition.threshold);
+  const expired = now > deadline;
+  const state = holds ? (expired ? 'late' : 'met') : (expired ? 'failed' : 'pending');
+
+  const proof = `${condition.source}:${resolver.key(params)} was ${value} at ${now.toISOString()} ` +
+    `(needs ${condition.comparator} ${condition.threshold} by ${deadline.toISOString()}); ${source}`;
+  // The public version of the proof: the reading and where anyone can check it
+  const receipt = `${value} on ${now.toISOString().slice(0, 10)}` + (link ? ` (${link})` : '');
+  return { state, value, proof, receipt };
+}
+
+module.exports = { BUILT_IN, COMPARATORS, FixtureResolver, createRegistry, validateCondition, evaluate };
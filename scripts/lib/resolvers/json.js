@@ -0,0 +1,53 @@
+/**
+ * JSON Resolver
+ *
+ * A number (or string) out of a JSON document, read from a local file
+ * or fetched from an endpoint. Relative file paths are resolved against
+ * the data directory.
+ * params: { path: 'premium.json' | url: 'https://...', field: 'stats.subscribers' }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TIMEOUT_MS = 15000;
+
+function pick(document, field) {
+  return String(field).split('.').reduce((value, part) => (value == null ? undefined : value[part]), document);
+}
+
+module.exports = {
+  name: 'json',
+
+  key({ url, path: filePath, field }) {
+    return `${url || filePath}#${field}`;
+  },
+
+  validate({ url, path: filePath, field } = {}) {
+    if (!url && !filePath) return 'json needs params.url or params.path';
+    if (url && !/^https?:\/\//.test(url)) return `json params.url must be http(s) (got "${url}")`;
+    return field ? null : 'json needs params.field (dot path into the document)';
+  },
+
+  async read({ url, path: filePath, field }, context = {}) {
+    let document;
+    let source;
+    let link = null;
+    if (url) {
+      const response = await fetch(url, { signal: AbortSignal.timeout(context.timeoutMs || TIMEOUT_MS) });
+      if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+      document = await response.json();
+      source = url;
+      link = url;
+    } else {
+      source = path.resolve(context.dataDir || process.cwd(), filePath);
+      document = JSON.parse(fs.readFileSync(source, 'utf8'));
+    }
+
+    const value = pick(document, field);
+    if (value === undefined || value === null || typeof value === 'object') {
+      throw new Error(`${field} in ${source} is not a number or string`);
+    }
+    return { value, source, link };
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Price Resolver
+ *
+ * Spot price of a coin from CoinGecko's simple price API.
+ * params: { asset: 'solana' (CoinGecko coin id), currency: 'usd' }
+ */
+
+const API_URL = 'https://api.coingecko.com/api/v3/simple/price';
+const COIN_URL = 'https://www.coingecko.com/en/coins';
+const TIMEOUT_MS = 15000;
+
+module.exports = {
+  name: 'price',
+
+  key({ asset, currency = 'usd' }) {
+    return `${asset}/${currency}`.toLowerCase();
+  },
+
+  validate({ asset } = {}) {
+    return asset ? null : 'price needs params.asset (a CoinGecko coin id, e.g. "solana")';
+  },
+
+  async read({ asset, currency = 'usd' }, context = {}) {
+    const url = `${API_URL}?ids=${encodeURIComponent(asset)}&vs_currencies=${encodeURIComponent(currency)}`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(context.timeoutMs || TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`CoinGecko returned ${response.status}`);
+    const body = await response.json();
+    const value = body[asset] && body[asset][currency.toLowerCase()];
+    if (typeof value !== 'number') throw new Error(`No ${currency} price for "${asset}"`);
+    return { value, source: url, link: `${COIN_URL}/${encodeURIComponent(asset)}` };
+  }
+};
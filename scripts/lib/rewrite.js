@@ -0,0 +1,185 @@
+/**
+ * Rewrite Stage
+ *
+ * Optional pass that turns a filled template into something that reads
+ * less like string substitution. Providers expose
+ * `complete(messages, draft) -> Promise<string>` over chat-style messages:
+ *
+ *   OpenAIProvider  any OpenAI-compatible /chat/completions endpoint
+ *   LocalProvider   a local model server (Ollama's /api/chat)
+ *   StubProvider    deterministic, no network; for tests and offline runs
+ *
+ * Rewritten text has to pass the voice linter (lib/voice) without errors.
+ * A rewrite that doesn't is retried with the violations fed back, and after the last
+ * attempt the caller keeps the original text.
+ */
+
+const { lint, errorsIn, DEFAULT_RULES } = require('./voice');
+
+const SYSTEM_PROMPT = `You rewrite draft tweets for Kira, an AI agent that builds in public.
+Voice: all lowercase except acronyms and tickers (AI, SOL), dry, direct, first person, no hashtags, no emoji.
+Keep every fact, number, name and date from the draft. Don't add claims the draft and context don't support.
+Stay under 280 characters. Reply with the tweet text only.`;
+
+async function postJson(url, body, { headers = {}, timeoutMs }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!response.ok) {
+    const detail = (await response.text()).substring(0, 200);
+    throw new Error(`${url} returned ${response.status}: ${detail}`);
+  }
+  return response.json();
+}
+
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.url || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.model = options.model || 'gpt-4o-mini';
+    this.apiKey = options.apiKey || process.env.KIRA_REWRITE_API_KEY || process.env.OPENAI_API_KEY;
+    this.timeoutMs = options.timeoutMs || 30000;
+  }
+
+  async complete(messages) {
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    const result = await postJson(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages,
+      temperature: 0.7
+    }, { headers, timeoutMs: this.timeoutMs });
+    return result.choices?.[0]?.message?.content || '';
+  }
+}
+
+class LocalProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.baseUrl = (options.url || 'http://localhost:11434').replace(/\/$/, '');
+    this.model = options.model || 'llama3.1';
+    this.timeoutMs = options.timeoutMs || 120000;
+  }
+
+  async complete(messages) {
+    const result = await postJson(`${this.baseUrl}/api/chat`, {
+      model: this.model,
+      messages,
+      stream: false
+    }, { timeoutMs: this.timeoutMs });
+    return result.message?.content || '';
+  }
+}
+
+/**
+ * Deterministic stand-in. Returns canned `responses[draft]` when given,
+ * otherwise the draft with its sentence starts lowercased and
+ * whitespace tidied.
+ */
+class StubProvider {
+  constructor(options = {}) {
+    this.name = 'stub';
+    this.model = 'stub';
+    this.responses = options.responses || {};
+  }
+
+  async complete(messages, draft) {
+    if (draft in this.responses) return this.responses[draft];
+
+    return draft
+      .replace(/[ \t]+/g, ' ')
+      .replace(/(^|[.!?]\s+|\n\s*)([A-Z][a-z][\w']*)/g, (match, lead, word) => lead + word.toLowerCase())
+      .trim();
+  }
+}
+
+function createProvider(name, options = {}) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider(options);
+    case 'local':
+      return new LocalProvider(options);
+    case 'stub':
+      return new StubProvider(options);
+    default:
+      throw new Error(`Unknown rewrite provider: ${name}`);
+  }
+}
+
+function buildMessages(draft, context, feedback) {
+  const lines = [`Draft: ${draft}`];
+  if (context.type) lines.push(`Type: ${context.type}`);
+  if (context.source) lines.push(`Source: ${context.source}${context.event ? ` (${context.event})` : ''}`);
+  if (context.data && Object.keys(context.data).length > 0) {
+    lines.push(`Context: ${JSON.stringify(context.data)}`);
+  }
+  if (feedback.length > 0) {
+    lines.push(`Your last attempt broke these rules, fix them: ${feedback.map(v => v.message).join('; ')}`);
+  }
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: lines.join('\n') }
+  ];
+}
+
+/**
+ * Strip the wrapping quotes and labels models like to add
+ */
+function clean(text) {
+  let cleaned = text.trim();
+  let previous;
+  do {
+    previous = cleaned;
+    cleaned = cleaned
+      .replace(/^(tweet|rewrite|rewritten)\s*:\s*/i, '')
+      .replace(/^["'“](.*)["'”]$/s, '$1')
+      .trim();
+  } while (cleaned !== previous);
+  return cleaned;
+}
+
+/**
+ * Rewrite a draft. Resolves to { text, attempts } on success, or
+ * { error, violations } when no attempt passed the voice rules.
+ * Provider failures resolve to { error } rather than throwing.
+ */
+async function rewrite(draft, context, provider, options = {}) {
+  const rules = options.rules || DEFAULT_RULES;
+  const attempts = options.attempts || 2;
+  let violations = [];
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    let text;
+    try {
+      text = clean(await provider.complete(buildMessages(draft, context, violations), draft));
+    } catch (e) {
+      return { error: `${provider.name} rewrite failed: ${e.message}` };
+    }
+
+    if (!text) {
+      violations = [{ rule: 'empty', message: 'empty response' }];
+      continue;
+    }
+    violations = errorsIn(lint(text, context, rules));
+    if (violations.length === 0) {
+      return { text, attempts: attempt };
+    }
+  }
+
+  return {
+    error: `rewrite broke voice rules after ${attempts} attempt(s): ${violations.map(v => v.message).join('; ')}`,
+    violations
+  };
+}
+
+module.exports = {
+  SYSTEM_PROMPT,
+  OpenAIProvider,
+  LocalProvider,
+  StubProvider,
+  createProvider,
+  rewrite
+};
@@ -0,0 +1,200 @@
+/**
+ * Posting Scheduler
+ *
+ * Decides which approved queue items are due and posts them through the
+ * engine's normal publish/markPosted path. An item is due when either
+ * its explicit `publishAt` has passed, or (without one) a posting slot
+ * for its type is currently open and hasn't been used yet.
+ *
+ * The clock is injectable (`options.now`) so schedules can be tested
+ * without waiting for real time to pass. Posts are stamped with it too,
+ * so the min-gap check compares like with like.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE = 60 * 1000;
+
+class Scheduler {
+  constructor(engine, publisher, options = {}) {
+    this.engine = engine;
+    this.publisher = publisher;
+    this.config = options.config;
+    this.logPath = options.logPath || null;
+    this.now = options.now || (() => new Date());
+    this.timer = null;
+  }
+
+  /**
+   * Slot config for a content type, falling back to `default`
+   */
+  slotsFor(type) {
+    return this.config.slots[type] || this.config.slots.default || { days: [], times: [] };
+  }
+
+  /**
+   * Start of the currently open slot for a type, or null
+   */
+  openSlot(type, now = this.now()) {
+    const { days, times } = this.slotsFor(type);
+    if (!days.includes(now.getDay())) return null;
+
+    const windowMs = this.config.slotWindowMinutes * MINUTE;
+    for (const time of times) {
+      const [hours, minutes] = time.split(':').map(Number);
+      const start = new Date(now);
+      start.setHours(hours, minutes, 0, 0);
+      if (now >= start && now - start < windowMs) {
+        return start;
+      }
+    }
+    return null;
+  }
+
+  lastPostedAt(filter = () => true) {
+    const times = this.engine.posted
+      .filter(filter)
+      .map(item => new Date(item.postedAt).getTime())
+      .filter(t => !Number.isNaN(t));
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+  }
+
+  /**
+   * Work out what could be posted right now without posting anything
+   */
+  plan() {
+    const now = this.now();
+    const due = [];
+    const skipped = [];
+
+    const approved = this.engine.queue.filter(item => item.status === 'approved');
+    for (const item of approved) {
+      if (item.publishAt) {
+        if (new Date(item.publishAt) > now) {
+          skipped.push({ item, reason: `scheduled for ${item.publishAt}` });
+        } else {
+          due.push(item);
+        }
+        continue;
+      }
+
+      const slot = this.openSlot(item.type, now);
+      if (!slot) {
+        skipped.push({ item, reason: `no open ${item.type} slot` });
+        continue;
+      }
+
+      const lastOfType = this.lastPostedAt(p => p.type === item.type);
+      if (lastOfType && lastOfType >= slot) {
+        skipped.push({ item, reason: `${item.type} slot at ${slot.toISOString()} already used` });
+        continue;
+      }
+
+      due.push(item);
+    }
+
+    // Explicitly scheduled items first, then by priority
+    due.sort((a, b) => {
+      if (a.publishAt && b.publishAt) return new Date(a.publishAt) - new Date(b.publishAt);
+      if (a.publishAt) return -1;
+      if (b.publishAt) return 1;
+      return b.priority - a.priority;
+    });
+
+    // Only one post per tick, and never closer than the minimum gap
+    const lastPost = this.lastPostedAt();
+    const nextAllowed = lastPost
+      ? new Date(lastPost.getTime() + this.config.minGapMinutes * MINUTE)
+      : null;
+
+    if (nextAllowed && now < nextAllowed) {
+      due.forEach(item => skipped.push({
+        item,
+        reason: `min gap: last post ${lastPost.toISOString()}, next allowed ${nextAllowed.toISOString()}`
+      }));
+      return { due: [], skipped };
+    }
+
+    due.slice(1).forEach(item => skipped.push({ item, reason: 'waiting behind another due item' }));
+    return { due: due.slice(0, 1), skipped };
+  }
+
+  /**
+   * Run one scheduling pass: post whatever is due and record skips
+   */
+  async tick() {
+    this.engine.reload();
+    const { due, skipped } = this.plan();
+    const posted = [];
+
+    for (const item of due) {
+      const result = await this.engine.publish(item.id, this.publisher, { now: this.now() });
+      if (result.error) {
+        skipped.push({ item, reason: `publish failed: ${result.error}` });
+      } else {
+        posted.push(result.item);
+        this.log({ action: 'posted', id: item.id, tweetId: result.item.tweetId });
+      }
+    }
+
+    this.recordSkips(skipped);
+
+    return {
+      posted,
+      skipped: skipped.map(({ item, reason }) => ({ id: item.id, type: item.type, reason }))
+    };
+  }
+
+  /**
+   * Store the latest skip reason on each item, logging only when it changes
+   * so a polling daemon doesn't flood the log with repeats
+   */
+  recordSkips(skipped) {
+    const at = this.now().toISOString();
+
+    this.engine.withQueue(queue => {
+      let changed = false;
+      for (const { item, reason } of skipped) {
+        const queued = queue.find(i => i.id === item.id);
+        if (!queued || queued.skipReason === reason) continue;
+
+        queued.skipReason = reason;
+        queued.skippedAt = at;
+        changed = true;
+        this.log({ action: 'skipped', id: item.id, reason });
+      }
+      // Nothing new to record: leave the file alone
+      if (!changed) return null;
+    });
+  }
+
+  log(entry) {
+    if (!this.logPath) return;
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+    fs.appendFileSync(this.logPath, JSON.stringify({ at: this.now().toISOString(), ...entry }) + '\n');
+  }
+
+  /**
+   * Poll forever, calling onTick with each pass's result
+   */
+  start(onTick = () => {}) {
+    const run = async () => {
+      try {
+        onTick(await this.tick());
+      } catch (e) {
+        console.error('Scheduler tick failed:', e);
+      }
+    };
+    run();
+    this.timer = setInterval(run, this.config.pollSeconds * 1000);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = Scheduler;
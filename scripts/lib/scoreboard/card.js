@@ -0,0 +1,107 @@
+/**
+ * Scoreboard Card Layout
+ *
+ * Lays the card out once as plain shapes, which svg.js serializes and
+ * png.js rasterizes:
+ *
+ *   { type: 'rect', x, y, w, h, fill }
+ *   { type: 'text', x, y (baseline), text, size, fill, anchor: 'start' | 'end' }
+ *
+ * Text sizes are multiples of 8 so the PNG's 8px bitmap font scales
+ * evenly, and text is shortened assuming that font's width (0.75 of
+ * the size per character), which is wider than any monospace SVG font.
+ */
+
+const { daysLeftLabel, accuracyLabel, shorten } = require('./format');
+
+const WIDTH = 800;
+const PAD = 40;
+const CHAR_WIDTH = 0.75;
+
+const COLORS = {
+  background: '#0f1117',
+  text: '#e6e6e6',
+  muted: '#9aa4b2',
+  accent: '#7ee787',
+  bar: '#58a6ff',
+  track: '#242a36',
+  soon: '#f0883e'
+};
+
+/**
+ * { width, height, shapes } for a board
+ */
+function layout(board) {
+  const shapes = [];
+  const rect = (x, y, w, h, fill) => shapes.push({ type: 'rect', x, y, w: Math.max(0, w), h, fill });
+  const text = (x, y, value, size, fill = COLORS.text, anchor = 'start') => {
+    shapes.push({ type: 'text', x, y, text: String(value), size, fill, anchor });
+  };
+  const fits = (value, width, size) => shorten(value, Math.floor(width / (size * CHAR_WIDTH)));
+  const inner = WIDTH - 2 * PAD;
+  const fixed = (value, places) => value === null || value === undefined ? '-' : value.toFixed(places);
+  let y = PAD;
+
+  text(PAD, y + 24, "KIRA'S PREDICTION SCOREBOARD", 24);
+  y += 48;
+  text(PAD, y + 16, fits(`updated ${board.generated.slice(0, 10)} · ${accuracyLabel(board)}`, inner, 16), 16, COLORS.muted);
+  y += 40;
+
+  const stats = [
+    [board.accuracy === null ? '-' : `${board.accuracy.toFixed(1)}%`, 'ACCURACY'],
+    [board.resolved, 'RESOLVED'],
+    [board.activeCount, 'ACTIVE'],
+    [fixed(board.brier, 3), 'BRIER']
+  ];
+  stats.forEach(([value, label], i) => {
+    const x = PAD + i * (inner / stats.length);
+    text(x, y + 32, value, 32, COLORS.accent);
+    text(x, y + 56, label, 16, COLORS.muted);
+  });
+  y += 88;
+
+  if (board.calibration.length > 0) {
+    text(PAD, y + 16, 'CALIBRATION: STATED VS. CAME TRUE', 16, COLORS.muted);
+    y += 32;
+    const trackX = PAD + 128;
+    const trackW = inner - 128 - 136;
+    board.calibration.forEach(b => {
+      text(PAD, y + 16, `${b.range}%`, 16);
+      rect(trackX, y + 2, trackW, 16, COLORS.track);
+      rect(trackX, y + 2, trackW * b.observed / 100, 16, COLORS.bar);
+      // Where the bar would end if perfectly calibrated
+      rect(trackX + trackW * Math.min(b.stated, 99.5) / 100, y - 2, 3, 24, COLORS.text);
+      text(WIDTH - PAD, y + 16, `${Math.round(b.observed)}% (${b.count})`, 16, COLORS.text, 'end');
+      y += 32;
+    });
+    y += 16;
+  }
+
+  text(PAD, y + 16, 'ACTIVE PREDICTIONS', 16, COLORS.muted);
+  y += 32;
+  if (board.active.length === 0) {
+    text(PAD, y + 16, 'nothing open', 16, COLORS.muted);
+    y += 32;
+  }
+  board.active.forEach(p => {
+    const confidence = `${p.trajectory.join('% → ')}%`;
+    const confidenceWidth = confidence.length * 16 * CHAR_WIDTH + 16;
+    text(PAD, y + 16, fits(p.prediction, inner - confidenceWidth, 16), 16);
+    text(WIDTH - PAD, y + 16, confidence, 16, COLORS.accent, 'end');
+    y += 28;
+    const label = daysLeftLabel(p);
+    const trackW = inner - 176;
+    rect(PAD, y, trackW, 8, COLORS.track);
+    rect(PAD, y, trackW * p.elapsed, 8, p.daysLeft <= 7 ? COLORS.soon : COLORS.bar);
+    text(WIDTH - PAD, y + 8, label, 16, COLORS.muted, 'end');
+    y += 32;
+  });
+
+  y += 8;
+  text(PAD, y + 16, 'bookmark this. i track publicly.', 16, COLORS.muted);
+  y += 16 + PAD;
+
+  return { width: WIDTH, height: y, background: COLORS.background, shapes };
+}
+
+module.exports = { layout, COLORS };
@@ -0,0 +1,31 @@
+/**
+ * Scoreboard Formatting
+ *
+ * Labels and text bars shared by the scoreboard renderers.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Text bar for a 0-1 fraction: bar(0.7, 10) -> "███████░░░"
+ */
+function bar(fraction, width = 10, full = '█', empty = '░') {
+  const filled = Math.round(Math.min(Math.max(fraction, 0), 1) * width);
+  return full.repeat(filled) + empty.repeat(width - filled);
+}
+
+function daysLeftLabel(p) {
+  if (p.overdue) return 'overdue';
+  if (p.daysLeft === 0) return 'due today';
+  return `${p.daysLeft} ${p.daysLeft === 1 ? 'day' : 'days'} left`;
+}
+
+function accuracyLabel(board) {
+  return board.accuracy === null ? 'no calls resolved yet' : `${board.accuracy.toFixed(1)}% accuracy`;
+}
+
+function shorten(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+module.exports = { DAY, bar, daysLeftLabel, accuracyLabel, shorten };
@@ -0,0 +1,75 @@
+/**
+ * HTML Scoreboard
+ *
+ * A standalone page (inline styles, no scripts or external assets).
+ */
+
+const { daysLeftLabel, accuracyLabel } = require('./format');
+
+function esc(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+  ));
+}
+
+const meter = fraction => `<div class="meter"><div style="width:${(Math.min(Math.max(fraction, 0), 1) * 100).toFixed(1)}%"></div></div>`;
+
+const STYLE = `
+  body { font: 15px/1.4 -apple-system, system-ui, sans-serif; background: #0f1117; color: #e6e6e6; max-width: 760px; margin: 2em auto; padding: 0 1em; }
+  h1 { font-size: 1.4em; } h2 { font-size: 1.05em; color: #9aa4b2; text-transform: uppercase; letter-spacing: .05em; margin-top: 2em; }
+  .stats { display: flex; gap: 2em; } .stats b { display: block; font-size: 1.8em; color: #7ee787; }
+  table { width: 100%; border-collapse: collapse; } td, th { text-align: left; padding: .4em .5em; border-bottom: 1px solid #242a36; }
+  th { color: #9aa4b2; font-weight: normal; } .meter { background: #242a36; height: .6em; border-radius: .3em; min-width: 8em; }
+  .meter div { background: #58a6ff; height: 100%; border-radius: .3em; } .meta { color: #9aa4b2; font-size: .85em; }`;
+
+module.exports = {
+  name: 'html',
+  extension: 'html',
+  binary: false,
+
+  render(board) {
+    const fixed = (value, places) => value === null || value === undefined ? '-' : value.toFixed(places);
+    const stat = (value, label) => `<div><b>${esc(value)}</b>${esc(label)}</div>`;
+
+    const calibration = board.calibration.length === 0 ? '' : `<h2>Calibration</h2>
+<table><tr><th>Confidence</th><th>Calls</th><th>Stated</th><th>Came true</th><th></th></tr>
+${board.calibration.map(b => `<tr><td>${esc(b.range)}%</td><td>${esc(b.count)}</td><td>${esc(b.stated)}%</td>` +
+  `<td>${esc(b.observed)}%</td><td>${meter(b.observed / 100)}</td></tr>`).join('\n')}
+</table>`;
+
+    const active = board.active.length === 0 ? '<p class="meta">Nothing open.</p>' : `<table>
+<tr><th>Prediction</th><th>Confidence</th><th>Resolves</th><th>Time left</th></tr>
+${board.active.map(p => `<tr><td>${esc(p.prediction)}</td><td>${esc(p.trajectory.join('% → '))}%</td>` +
+  `<td>${esc(p.resolutionDate)}</td><td>${meter(p.elapsed)}<span class="meta">${esc(daysLeftLabel(p))}</span></td></tr>`).join('\n')}
+</table>`;
+
+    const revised = board.final && board.final.revised > 0
+      ? `<p class="meta">On final revisions: Brier ${esc(fixed(board.final.brier, 3))} (${esc(board.final.revised)} revised)</p>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Prediction Scoreboard</title>
+<style>${STYLE}
+</style>
+</head>
+<body>
+<h1>📊 Kira's Prediction Scoreboard</h1>
+<p class="meta">Updated ${esc(board.generated.slice(0, 10))} · ${esc(accuracyLabel(board))}</p>
+<div class="stats">
+${stat(board.accuracy === null ? '-' : `${board.accuracy.toFixed(1)}%`, 'accuracy')}
+${stat(board.resolved, 'resolved')}
+${stat(board.activeCount, 'active')}
+${stat(fixed(board.brier, 3), 'Brier score')}
+</div>
+${revised}
+${calibration}
+<h2>Active</h2>
+${active}
+</body>
+</html>
+`;
+  }
+};
@@ -0,0 +1,84 @@
+/**
+ * Scoreboard Renderers
+ *
+ * The predictions scoreboard as one board model (built from tracker
+ * stats and the active list) and a renderer per output format:
+ *
+ *   text      one post, trimmed to fit X's 280 limit
+ *   thread    numbered posts, each within the limit
+ *   markdown  for the repo / README
+ *   html      standalone page
+ *   svg       scoreboard card
+ *   png       the same card, rasterized locally (no browser, no network)
+ *
+ * A renderer is a module exporting
+ *
+ *   {
+ *     name: 'svg',
+ *     extension: 'svg',
+ *     binary: false,                    // true when render returns a Buffer
+ *     render(board) -> string | string[] | Buffer
+ *   }
+ *
+ * Every format shows accuracy, the calibration buckets and a days-left
+ * bar per active prediction.
+ */
+
+const { finalConfidence, trajectory } = require('../calibration');
+const { DAY } = require('./format');
+
+/**
+ * Everything a renderer draws, from stats() and the active predictions
+ */
+function buildBoard(stats, active, now = new Date()) {
+  return {
+    generated: now.toISOString(),
+    total: stats.total,
+    resolved: stats.resolved,
+    activeCount: stats.active,
+    accuracy: stats.resolved > 0 ? Number(stats.accuracy) : null,
+    brier: stats.brier,
+    logLoss: stats.logLoss,
+    final: stats.final,
+    calibration: stats.calibration,
+    active: active.map(p => {
+      const made = new Date(p.dateMade);
+      const deadline = new Date(p.resolutionDate);
+      const span = Math.max(deadline - made, 1);
+      return {
+        id: p.id,
+        prediction: p.prediction,
+        category: p.category,
+        confidence: finalConfidence(p),
+        trajectory: trajectory(p),
+        resolutionDate: deadline.toISOString().slice(0, 10),
+        daysLeft: Math.max(0, Math.ceil((deadline - now) / DAY)),
+        overdue: now > deadline,
+        // Share of the prediction's window already used up, 0-1
+        elapsed: Math.min(Math.max((now - made) / span, 0), 1)
+      };
+    })
+  };
+}
+
+const RENDERERS = Object.fromEntries([
+  require('./text'),
+  require('./thread'),
+  require('./markdown'),
+  require('./html'),
+  require('./svg'),
+  require('./png')
+].map(renderer => [renderer.name, renderer]));
+
+const FORMATS = Object.keys(RENDERERS);
+
+/**
+ * Render a board in one of FORMATS
+ */
+function render(format, board) {
+  const renderer = RENDERERS[format];
+  if (!renderer) throw new Error(`Unknown scoreboard format "${format}" (one of: ${FORMATS.join(', ')})`);
+  return renderer.render(board);
+}
+
+module.exports = { buildBoard, RENDERERS, FORMATS, render };
@@ -0,0 +1,57 @@
+/**
+ * Markdown Scoreboard
+ *
+ * Tables for the repo / README, with text bars in code spans so they
+ * line up.
+ */
+
+const { bar, daysLeftLabel, accuracyLabel } = require('./format');
+
+// Pipes and newlines would break a table row
+const cell = value => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(() => '---').join('|')}|`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+module.exports = {
+  name: 'markdown',
+  extension: 'md',
+  binary: false,
+
+  render(board) {
+    const fixed = (value, places) => value === null || value === undefined ? '-' : value.toFixed(places);
+    const parts = [
+      '## Prediction Scoreboard',
+      `_Updated ${board.generated.slice(0, 10)}. ${accuracyLabel(board)}._`,
+      table(
+        ['Accuracy', 'Resolved', 'Active', 'Brier', 'Log loss'],
+        [[board.accuracy === null ? '-' : `${board.accuracy.toFixed(1)}%`, board.resolved, board.activeCount,
+          fixed(board.brier, 3), fixed(board.logLoss, 3)]]
+      )
+    ];
+    if (board.final && board.final.revised > 0) {
+      parts.push(`Scored on final revisions instead: Brier ${fixed(board.final.brier, 3)}, ` +
+        `log loss ${fixed(board.final.logLoss, 3)} (${board.final.revised} revised).`);
+    }
+
+    if (board.calibration.length > 0) {
+      parts.push('### Calibration', table(
+        ['Confidence', 'Calls', 'Stated', 'Came true', ''],
+        board.calibration.map(b => [`${b.range}%`, b.count, `${b.stated}%`, `${b.observed}%`, `\`${bar(b.observed / 100)}\``])
+      ));
+    }
+
+    parts.push('### Active', board.active.length === 0 ? '_Nothing open._' : table(
+      ['Prediction', 'Confidence', 'Resolves', 'Time left'],
+      board.active.map(p => [p.prediction, `${p.trajectory.join('% → ')}%`, p.resolutionDate,
+        `\`${bar(p.elapsed)}\` ${daysLeftLabel(p)}`])
+    ));
+
+    return parts.join('\n\n') + '\n';
+  }
+};
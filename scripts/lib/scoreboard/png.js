@@ -0,0 +1,115 @@
+/**
+ * PNG Scoreboard
+ *
+ * The scoreboard card (see card.js) rasterized in plain Node: rects are
+ * filled directly, text uses the bitmap font in font.js scaled to the
+ * nearest multiple of 8px, and the pixels are encoded as an RGB PNG
+ * with zlib.
+ */
+
+const zlib = require('zlib');
+const { layout } = require('./card');
+const font = require('./font');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+const rgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+class Canvas {
+  constructor(width, height, background) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  fillRect(x, y, w, h, color) {
+    const [r, g, b] = rgb(color);
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + w));
+    const y1 = Math.min(this.height, Math.round(y + h));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const i = (py * this.width + px) * 3;
+        this.pixels[i] = r;
+        this.pixels[i + 1] = g;
+        this.pixels[i + 2] = b;
+      }
+    }
+  }
+
+  text(x, baseline, value, size, color, anchor = 'start') {
+    const scale = Math.max(1, Math.round(size / 8));
+    const chars = [...value];
+    const advance = font.CELL_WIDTH * scale;
+    let left = anchor === 'end' ? x - chars.length * advance + scale : x;
+    const top = baseline - font.GLYPH_HEIGHT * scale;
+
+    for (const char of chars) {
+      font.glyph(char).forEach((row, gy) => row.forEach((on, gx) => {
+        if (on) this.fillRect(left + gx * scale, top + gy * scale, scale, scale, color);
+      }));
+      left += advance;
+    }
+  }
+
+  encode() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    // 8-bit RGB, default compression/filter, no interlace
+    header.set([8, 2, 0, 0, 0], 8);
+
+    const stride = this.width * 3;
+    const raw = Buffer.alloc((stride + 1) * this.height);
+    for (let y = 0; y < this.height; y++) {
+      // Each scanline starts with filter type 0 (none)
+      this.pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+      SIGNATURE,
+      chunk('IHDR', header),
+      chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+      chunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+}
+
+module.exports = {
+  name: 'png',
+  extension: 'png',
+  binary: true,
+
+  render(board) {
+    const card = layout(board);
+    const canvas = new Canvas(card.width, card.height, card.background);
+    card.shapes.forEach(s => {
+      if (s.type === 'rect') canvas.fillRect(s.x, s.y, s.w, s.h, s.fill);
+      else canvas.text(s.x, s.y, s.text, s.size, s.fill, s.anchor);
+    });
+    return canvas.encode();
+  }
+};
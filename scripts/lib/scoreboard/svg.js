@@ -0,0 +1,41 @@
+/**
+ * SVG Scoreboard
+ *
+ * The scoreboard card (see card.js) as a standalone SVG.
+ */
+
+const { layout } = require('./card');
+
+const FONT = "'DejaVu Sans Mono', Menlo, Consolas, monospace";
+
+function esc(value) {
+  return String(value).replace(/[&<>"']/g, c => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]
+  ));
+}
+
+function shape(s) {
+  if (s.type === 'rect') {
+    return `<rect x="${s.x}" y="${s.y}" width="${s.w.toFixed(1)}" height="${s.h}" fill="${s.fill}"/>`;
+  }
+  const anchor = s.anchor === 'end' ? ' text-anchor="end"' : '';
+  return `<text x="${s.x}" y="${s.y}" font-size="${s.size}" fill="${s.fill}"${anchor}>${esc(s.text)}</text>`;
+}
+
+module.exports = {
+  name: 'svg',
+  extension: 'svg',
+  binary: false,
+
+  render(board) {
+    const card = layout(board);
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${card.width}" height="${card.height}" viewBox="0 0 ${card.width} ${card.height}">`,
+      `<rect width="100%" height="100%" fill="${card.background}"/>`,
+      `<g font-family="${esc(FONT)}">`,
+      ...card.shapes.map(shape),
+      '</g>',
+      '</svg>'
+    ].join('\n') + '\n';
+  }
+};
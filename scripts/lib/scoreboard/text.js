@@ -0,0 +1,42 @@
+/**
+ * Text Scoreboard
+ *
+ * One post: the headline numbers, then as many calibration buckets and
+ * upcoming deadlines (soonest first, overdue last) as fit in 280
+ * characters.
+ */
+
+const { fits } = require('../thread');
+const voice = require('../voice');
+const { bar, daysLeftLabel, accuracyLabel, shorten } = require('./format');
+
+module.exports = {
+  name: 'text',
+  extension: 'txt',
+  binary: false,
+
+  render(board) {
+    let text = `📊 prediction scoreboard\n${accuracyLabel(board)}`;
+    if (board.resolved > 0) text += ` over ${board.resolved} calls · brier ${board.brier.toFixed(3)}`;
+    text += ` · ${board.activeCount} active`;
+
+    const sections = [
+      board.calibration.map(b => `${b.range}% calls ${bar(b.observed / 100, 5)} ${Math.round(b.observed)}% true`),
+      [...board.active]
+        .sort((a, b) => (a.overdue - b.overdue) || (a.daysLeft - b.daysLeft))
+        .map(p => `${shorten(voice.lowercaseStarts(p.prediction), 40)} ${bar(p.elapsed, 5)} ${daysLeftLabel(p)}`)
+    ];
+
+    for (const lines of sections.filter(s => s.length > 0)) {
+      let section = '';
+      for (const line of lines) {
+        const candidate = section ? `${section}\n${line}` : line;
+        if (!fits(`${text}\n\n${candidate}`)) break;
+        section = candidate;
+      }
+      if (section) text += `\n\n${section}`;
+    }
+
+    return text;
+  }
+};
@@ -0,0 +1,68 @@
+/**
+ * Thread Scoreboard
+ *
+ * Numbered posts: headline numbers, the calibration table, the active
+ * predictions (packed a few per post) and the sign-off. Each post fits
+ * within X's limit including its "n/N" suffix.
+ *
+ * This is the variant `content.js scoreboard` queues as a prediction
+ * post, so it is written to pass the voice lint: claims are lowercased
+ * and the sign-off carries "nfa" when any open call is about crypto.
+ */
+
+const { MAX_LENGTH, weightedLength } = require('../thread');
+const voice = require('../voice');
+const { bar, daysLeftLabel, accuracyLabel } = require('./format');
+
+const SIGN_OFF = 'bookmark this. i track publicly.\nwrong = accountability thread. right = victory lap.';
+
+/**
+ * Pack blocks into posts of at most `budget`, in order
+ */
+function pack(blocks, budget, joiner = '\n\n') {
+  const posts = [];
+  for (const block of blocks) {
+    const last = posts[posts.length - 1];
+    if (last && weightedLength(`${last}${joiner}${block}`) <= budget) {
+      posts[posts.length - 1] = `${last}${joiner}${block}`;
+    } else {
+      posts.push(block);
+    }
+  }
+  return posts;
+}
+
+module.exports = {
+  name: 'thread',
+  extension: 'txt',
+  binary: false,
+
+  render(board) {
+    let headline = `📊 prediction scoreboard\n\n${accuracyLabel(board)}`;
+    if (board.resolved > 0) {
+      headline += ` over ${board.resolved} resolved calls\nbrier score ${board.brier.toFixed(3)} (0 = perfect, 0.25 = coin flip)`;
+      if (board.final && board.final.revised > 0) {
+        headline += `\non final revisions: ${board.final.brier.toFixed(3)} (${board.final.revised} revised)`;
+      }
+    }
+    headline += `\n${board.activeCount} calls still open`;
+
+    // Room for the " n/N" suffix
+    const budget = MAX_LENGTH - ' 99/99'.length;
+    const calibration = board.calibration.length === 0 ? [] : pack([
+      'calibration, stated vs. came true:',
+      ...board.calibration.map(b => `${b.range}%  ${bar(b.observed / 100)} ${Math.round(b.observed)}% (${b.count})`)
+    ], budget, '\n');
+    const predictions = board.active.map(p =>
+      `${voice.lowercaseStarts(p.prediction)}\n${p.trajectory.join('% → ')}% · resolves ${p.resolutionDate}\n${bar(p.elapsed)} ${daysLeftLabel(p)}`
+    );
+
+    const crypto = board.active.some(p => p.category === 'crypto' || voice.aboutCrypto(p.prediction));
+    const signOff = crypto ? `${SIGN_OFF} nfa.` : SIGN_OFF;
+
+    // Headline and calibration get posts of their own; predictions share
+    const posts = [headline, ...calibration, ...pack([...predictions, signOff], budget)];
+    if (posts.length === 1) return posts;
+    return posts.map((post, i) => `${post} ${i + 1}/${posts.length}`);
+  }
+};
@@ -0,0 +1,80 @@
+/**
+ * Similarity
+ *
+ * Local near-duplicate scoring: texts are reduced to word shingles
+ * (overlapping runs of `size` words) and compared with Jaccard
+ * similarity, so "AI agents are cron jobs with better marketing" and
+ * "most AI agents are just cron jobs with better marketing" score high
+ * while sharing a few common words does not.
+ *
+ * Cooldowns are the other half of dedupe: `{ days, perTopic }` stops a
+ * type (or a type on one topic) repeating however it is worded.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function tokens(text) {
+  return text
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[^\p{L}\p{N}$%]+/gu, ' ')
+    .split(' ')
+    .filter(Boolean);
+}
+
+function shingles(text, size = 2) {
+  const words = tokens(text);
+  if (words.length < size) return new Set(words.length > 0 ? [words.join(' ')] : []);
+
+  const result = new Set();
+  for (let i = 0; i <= words.length - size; i++) {
+    result.add(words.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const s of a) {
+    if (b.has(s)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function similarity(a, b, size = 2) {
+  return jaccard(shingles(a, size), shingles(b, size));
+}
+
+/**
+ * Most similar item to `text`, or null if nothing reaches the threshold
+ */
+function mostSimilar(text, items, { threshold, size = 2 }) {
+  const target = shingles(text, size);
+  let best = null;
+
+  for (const item of items) {
+    const score = jaccard(target, shingles(item.text, size));
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { item, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * An item that puts `candidate` inside its type's cooldown: same type,
+ * same topic if the cooldown is per topic, not rejected, and generated or
+ * posted within `days` of now. Null if there is none.
+ */
+function cooldownHit(candidate, items, { days, perTopic }, now = Date.now()) {
+  const since = now - days * DAY;
+  return items.find(item =>
+    item.type === candidate.type &&
+    item.status !== 'rejected' &&
+    (!perTopic || (candidate.topic && item.topic === candidate.topic)) &&
+    new Date(item.postedAt || item.generated).getTime() >= since
+  ) || null;
+}
+
+module.exports = { tokens, shingles, jaccard, similarity, mostSimilar, cooldownHit };
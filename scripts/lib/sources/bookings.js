@@ -0,0 +1,29 @@
+/**
+ * Bookings Source
+ *
+ * Build With Kira sessions completed in the window.
+ */
+
+const { Store } = require('../store');
+const { STORE_OPTIONS } = require('../booking-model');
+
+module.exports = {
+  name: 'bookings',
+
+  collect({ since, config }) {
+    const bookings = new Store(config.bookingsPath, STORE_OPTIONS).read();
+
+    return bookings
+      .filter(b => b.status === 'completed' && new Date(b.completedAt) >= since)
+      .map(b => ({
+        type: 'booking_completed',
+        timestamp: b.completedAt,
+        templates: ['behind_scenes'],
+        payload: {
+          bookingId: b.id,
+          session_topic: b.topic,
+          session_notes: b.notes
+        }
+      }));
+  }
+};
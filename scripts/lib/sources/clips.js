@@ -0,0 +1,36 @@
+/**
+ * Clips Source
+ *
+ * Stream clips approved in the window (including ones posted since),
+ * with the chat line that best captures the moment.
+ */
+
+const { Store } = require('../store');
+
+module.exports = {
+  name: 'clips',
+
+  collect({ since, config }) {
+    const clips = new Store(config.clipsPath).read();
+
+    return clips
+      .filter(c => ['approved', 'posted'].includes(c.status) && new Date(c.approvedAt) >= since)
+      .map(c => {
+        const quote = (c.messages || [])
+          .map(m => m.message)
+          .filter(Boolean)
+          .sort((a, b) => b.length - a.length)[0];
+
+        return {
+          type: 'clip_approved',
+          timestamp: c.approvedAt,
+          templates: ['behind_scenes'],
+          payload: {
+            clipId: c.id,
+            clip_score: c.score,
+            clip_quote: quote
+          }
+        };
+      });
+  }
+};
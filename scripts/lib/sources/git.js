@@ -0,0 +1,255 @@
+/**
+ * Git Source
+ *
+ * Recent commits across every repo under the projects directory,
+ * grouped per project into work sessions (commits no more than
+ * `commitWindowHours` apart). Each session is classified by
+ * conventional-commit prefix or keywords and measured with
+ * `git log --numstat`, then emitted as one event whose payload fills
+ * the build_update placeholders. Merges, WIP and chore commits are
+ * dropped as noise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const HOUR = 60 * 60 * 1000;
+
+// Most significant first; also used to break ties when picking a group's category
+const CATEGORIES = ['feat', 'fix', 'perf', 'refactor', 'docs', 'other'];
+
+const KEYWORDS = {
+  feat: /\b(add|adds|added|implement|introduce|ship|support|new)\b/i,
+  fix: /\b(fix|fixes|fixed|bug|resolve|patch|crash|broken)\b/i,
+  perf: /\b(perf|faster|speed ?up|optimi[sz]e|cache|latency)\b/i,
+  refactor: /\b(refactor|clean ?up|restructure|rename|extract|simplify)\b/i,
+  docs: /\b(docs?|readme|changelog|comments?)\b/i
+};
+
+const PRIORITIES = { feat: 8, perf: 8, fix: 7, refactor: 6, other: 6, docs: 4 };
+
+const CONVENTIONAL = /^(\w+)(?:\(([^)]+)\))?!?:\s*(.+)$/;
+const NOISE = [
+  /^merge\b/i,
+  /^revert "merge/i,
+  /\bwip\b/i,
+  /^(fixup|squash)!/i,
+  /^chore(\(.+\))?!?:/i,
+  /^(bump|release) v?\d/i
+];
+
+// Field, record and header terminators that can't appear in commit text
+const FS = '\x1f';
+const RS = '\x1e';
+const END = '\x1d';
+
+function isNoise(message) {
+  return NOISE.some(pattern => pattern.test(message));
+}
+
+/**
+ * Work out a commit's category, scope and human description
+ */
+function classifyCommit(message) {
+  const match = message.match(CONVENTIONAL);
+  if (match && CATEGORIES.includes(match[1].toLowerCase())) {
+    return { category: match[1].toLowerCase(), scope: match[2] || null, description: match[3].trim() };
+  }
+
+  const description = match ? match[3].trim() : message.trim();
+  const category = CATEGORIES.find(c => KEYWORDS[c] && KEYWORDS[c].test(message)) || 'other';
+  return { category, scope: match ? match[2] || null : null, description };
+}
+
+function parseLog(output, project) {
+  return output.split(RS).filter(r => r.trim()).map(record => {
+    const [header, stats = ''] = record.split(END);
+    const [hash, message, date, body = ''] = header.split(FS);
+
+    let added = 0;
+    let removed = 0;
+    const files = [];
+    stats.split('\n').filter(Boolean).forEach(line => {
+      const [a, r, file] = line.split('\t');
+      // Binary files report "-" for both counts
+      added += parseInt(a, 10) || 0;
+      removed += parseInt(r, 10) || 0;
+      if (file) files.push(file);
+    });
+
+    return {
+      project,
+      hash,
+      message,
+      date,
+      body: body.trim(),
+      added,
+      removed,
+      files,
+      ...classifyCommit(message)
+    };
+  });
+}
+
+/**
+ * Read non-noise commits newer than `since` from each git repo under projectsPath
+ */
+function readCommits(projectsPath, since) {
+  if (!fs.existsSync(projectsPath)) {
+    return [];
+  }
+  const projects = fs.readdirSync(projectsPath).filter(f =>
+    fs.statSync(path.join(projectsPath, f)).isDirectory()
+  );
+
+  const commits = [];
+  for (const project of projects) {
+    try {
+      const gitPath = path.join(projectsPath, project);
+      const output = execSync(
+        `git log --no-merges --since="${since.toISOString()}" --numstat ` +
+        `--pretty=format:"${RS}%h${FS}%s${FS}%aI${FS}%b${END}"`,
+        { cwd: gitPath, encoding: 'utf8', timeout: 5000, stdio: ['ignore', 'pipe', 'ignore'] }
+      );
+      commits.push(...parseLog(output, project).filter(c => !isNoise(c.message)));
+    } catch (e) {
+      // Not a git repo or no commits
+    }
+  }
+
+  return commits;
+}
+
+/**
+ * Group commits per project into sessions of commits at most windowHours apart
+ */
+function groupCommits(commits, windowHours) {
+  const byProject = new Map();
+  commits.forEach(commit => {
+    if (!byProject.has(commit.project)) byProject.set(commit.project, []);
+    byProject.get(commit.project).push(commit);
+  });
+
+  const groups = [];
+  for (const [project, projectCommits] of byProject) {
+    projectCommits.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    let current = null;
+    for (const commit of projectCommits) {
+      const time = new Date(commit.date).getTime();
+      if (!current || time - current.lastTime > windowHours * HOUR) {
+        current = { project, commits: [], lastTime: time };
+        groups.push(current);
+      }
+      current.commits.push(commit);
+      current.lastTime = time;
+    }
+  }
+
+  return groups.map(summarizeGroup);
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function summarizeGroup({ project, commits }) {
+  const counts = {};
+  commits.forEach(c => { counts[c.category] = (counts[c.category] || 0) + 1; });
+  const category = [...CATEGORIES].sort((a, b) =>
+    (counts[b] || 0) - (counts[a] || 0) || CATEGORIES.indexOf(a) - CATEGORIES.indexOf(b)
+  )[0];
+
+  // The biggest commit of the dominant kind speaks for the session
+  const lead = commits
+    .filter(c => c.category === category)
+    .sort((a, b) => (b.added + b.removed) - (a.added + a.removed))[0];
+
+  const added = commits.reduce((sum, c) => sum + c.added, 0);
+  const removed = commits.reduce((sum, c) => sum + c.removed, 0);
+  const files = new Set(commits.flatMap(c => c.files)).size;
+  const start = new Date(commits[0].date);
+  const end = new Date(commits[commits.length - 1].date);
+  const spanHours = Math.round((end - start) / HOUR);
+
+  return {
+    project,
+    category,
+    counts,
+    lead,
+    commitCount: commits.length,
+    added,
+    removed,
+    files,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    spanHours
+  };
+}
+
+function changeSize(group) {
+  return `+${group.added}/-${group.removed} lines across ${plural(group.files, 'file')}`;
+}
+
+/**
+ * Placeholder values for the build_update patterns
+ */
+function groupPayload(group) {
+  const { lead } = group;
+  const firstBodyLine = lead.body.split('\n').map(l => l.trim()).find(Boolean);
+  const breakdown = CATEGORIES
+    .filter(c => group.counts[c])
+    .map(c => `${group.counts[c]} ${c}`)
+    .join(', ');
+
+  const payload = {
+    project: group.project,
+    category: group.category,
+    commits: group.commitCount,
+    feature: lead.description.replace(/^(add|adds|added|implement|introduce|ship)\s+/i, ''),
+    metric: changeSize(group),
+    timeframe: group.commitCount === 1
+      ? 'one commit'
+      : group.spanHours < 1 ? 'under an hour' : plural(group.spanHours, 'hour'),
+    detail: `${plural(group.commitCount, 'commit')} in ${group.project} (${breakdown})`,
+    system: lead.scope || group.project
+  };
+
+  // "spent {hours} hours" only reads right for multi-hour sessions
+  if (group.spanHours >= 2) payload.hours = group.spanHours;
+
+  if (group.category === 'fix') {
+    payload.problem = lead.description.replace(/^(fix|fixes|fixed)\s+/i, '');
+    if (firstBodyLine) {
+      payload.solution = firstBodyLine;
+      payload.lesson = firstBodyLine;
+    }
+  }
+  if (group.category === 'perf') {
+    payload.achievement = lead.description;
+    payload.context = changeSize(group);
+  }
+
+  return payload;
+}
+
+module.exports = {
+  name: 'git',
+  readCommits,
+  classifyCommit,
+  groupCommits,
+  isNoise,
+
+  collect({ since, config }) {
+    const groups = groupCommits(readCommits(config.projectsPath, since), config.commitWindowHours);
+
+    return groups.map(group => ({
+      type: `commits_${group.category}`,
+      timestamp: group.end,
+      templates: ['build_update'],
+      priority: PRIORITIES[group.category],
+      payload: groupPayload(group)
+    }));
+  }
+};
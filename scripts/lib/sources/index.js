@@ -0,0 +1,101 @@
+/**
+ * Activity Sources
+ *
+ * A source is a module exporting:
+ *
+ *   {
+ *     name: 'my-source',
+ *     collect({ since, now, config }) -> event[] (or a Promise of one)
+ *   }
+ *
+ * where each event is
+ *
+ *   {
+ *     type: 'commit',                  // what happened
+ *     timestamp: '2026-02-13T...',     // when it happened
+ *     payload: { feature: '...' },     // also used to fill {placeholders}
+ *     templates: ['build_update'],     // suggested templates, best first
+ *     priority: 8                      // optional, overrides the template default
+ *   }
+ *
+ * Built-in sources live next to this file. Any .js file in the plugin
+ * directory is loaded as an extra source, so other subsystems can feed
+ * the content engine without touching content.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUILT_IN = [
+  require('./git'),
+  require('./memory'),
+  require('./predictions'),
+  require('./bookings'),
+  require('./clips')
+];
+
+function validateSource(source, origin) {
+  if (!source || typeof source.name !== 'string' || typeof source.collect !== 'function') {
+    throw new Error(`${origin} must export { name, collect }`);
+  }
+  return source;
+}
+
+/**
+ * Built-in sources plus every plugin found in pluginDir
+ */
+function loadSources(pluginDir) {
+  const sources = [...BUILT_IN];
+  if (!pluginDir || !fs.existsSync(pluginDir)) return sources;
+
+  const files = fs.readdirSync(pluginDir).filter(f => f.endsWith('.js')).sort();
+  for (const file of files) {
+    const fullPath = path.resolve(pluginDir, file);
+    try {
+      const source = validateSource(require(fullPath), fullPath);
+      if (sources.some(s => s.name === source.name)) {
+        throw new Error(`duplicate source name "${source.name}"`);
+      }
+      sources.push(source);
+    } catch (e) {
+      console.error(`Skipping source plugin ${file}: ${e.message}`);
+    }
+  }
+
+  return sources;
+}
+
+function normalizeEvent(event, sourceName) {
+  const timestamp = new Date(event.timestamp);
+  return {
+    source: sourceName,
+    type: event.type || 'activity',
+    timestamp: Number.isNaN(timestamp.getTime()) ? null : timestamp.toISOString(),
+    payload: event.payload || {},
+    templates: Array.isArray(event.templates) ? event.templates : [],
+    priority: event.priority
+  };
+}
+
+/**
+ * Run every source and return their events, newest first.
+ * A failing source is reported in `errors` rather than stopping the rest.
+ */
+async function collectEvents(sources, context) {
+  const events = [];
+  const errors = [];
+
+  for (const source of sources) {
+    try {
+      const collected = await source.collect(context);
+      (collected || []).forEach(event => events.push(normalizeEvent(event, source.name)));
+    } catch (e) {
+      errors.push({ source: source.name, message: e.message });
+    }
+  }
+
+  events.sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+  return { events, errors };
+}
+
+module.exports = { BUILT_IN, loadSources, collectEvents, validateSource };
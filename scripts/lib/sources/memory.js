@@ -0,0 +1,105 @@
+/**
+ * Memory Source
+ *
+ * Daily memory logs (YYYY-MM-DD.md), parsed into decisions, blockers,
+ * wins and lessons (see lib/memory-parser.js). Lessons and
+ * "Mistake: X. Fix: Y" bullets become lesson_learned ideas; blockers
+ * paired with what fixed them become behind_scenes / lesson_learned
+ * ideas. Entries that recur across days are only emitted once. Log text
+ * is copied with its sentence starts lowercased to match the voice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseMemory, mergeDays, pairRecoveries, dedupeKey } = require('../memory-parser');
+
+// "learned that X" reads badly after "thing i learned today:"
+const LESSON_LEAD = /^(til|today i learned|learned( that)?|lesson( learned)?:?|realized( that)?|note to self:?|takeaway:?)\s+/i;
+
+// Log text starts sentences with capitals; the voice doesn't. Acronyms
+// ("API", "I") stay as they are.
+const SENTENCE_START = /(^|[.!?]\s+|\n\s*)([A-Z][a-z][\w'$-]*)/g;
+const copied = text => text && text.replace(SENTENCE_START, (match, lead, word) => lead + word.toLowerCase());
+
+/**
+ * Parse the most recent `days` memory files
+ */
+function readMemory(memoryPath, days) {
+  if (!fs.existsSync(memoryPath)) {
+    return { days: [], records: [], recoveries: [] };
+  }
+
+  const parsed = fs.readdirSync(memoryPath)
+    .filter(f => f.endsWith('.md'))
+    .sort()
+    .slice(-days)
+    .map(file => parseMemory(
+      fs.readFileSync(path.join(memoryPath, file), 'utf8'),
+      file.replace('.md', '')
+    ));
+
+  // Pair within each day, then keep the latest occurrence of each pair
+  const recoveries = new Map();
+  parsed.forEach(day => pairRecoveries(day.records).forEach(pair => {
+    recoveries.set(dedupeKey(pair.blocker) + '|' + dedupeKey(pair.recovery), pair);
+  }));
+
+  return {
+    days: parsed,
+    records: mergeDays(parsed),
+    recoveries: [...recoveries.values()]
+  };
+}
+
+module.exports = {
+  name: 'memory',
+  readMemory,
+
+  collect({ since, now, config }) {
+    const days = Math.max(1, Math.ceil((now - since) / (24 * 60 * 60 * 1000)));
+    const { records, recoveries } = readMemory(config.memoryPath, days);
+    const events = [];
+
+    recoveries.forEach(({ blocker, recovery }) => events.push({
+      type: 'memory_recovery',
+      timestamp: recovery.date,
+      templates: ['behind_scenes', 'lesson_learned'],
+      payload: {
+        date: recovery.date,
+        heading: blocker.heading,
+        failure: copied(blocker.text),
+        recovery: copied(recovery.text),
+        mistake: copied(blocker.text),
+        solution: copied(recovery.text)
+      }
+    }));
+
+    records.filter(r => r.kind === 'mistake').forEach(mistake => events.push({
+      type: 'memory_mistake',
+      timestamp: mistake.lastDate,
+      templates: ['lesson_learned'],
+      payload: {
+        date: mistake.lastDate,
+        heading: mistake.heading,
+        mistake: copied(mistake.text),
+        solution: copied(mistake.solution),
+        occurrences: mistake.occurrences
+      }
+    }));
+
+    records.filter(r => r.kind === 'lesson').forEach(lesson => events.push({
+      type: 'memory_lesson',
+      timestamp: lesson.lastDate,
+      templates: ['lesson_learned'],
+      payload: {
+        date: lesson.lastDate,
+        heading: lesson.heading,
+        lesson: copied(lesson.text.replace(LESSON_LEAD, '')),
+        implication: copied(lesson.next),
+        occurrences: lesson.occurrences
+      }
+    }));
+
+    return events;
+  }
+};
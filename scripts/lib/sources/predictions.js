@@ -0,0 +1,34 @@
+/**
+ * Predictions Source
+ *
+ * Predictions from predictions.json that were resolved in the window.
+ * Ones the tracker already drafted a resolution post for are skipped.
+ */
+
+const { Store } = require('../store');
+const { VERDICTS, receiptFor } = require('../prediction-model');
+
+module.exports = {
+  name: 'predictions',
+
+  collect({ since, config }) {
+    const predictions = new Store(config.predictionsPath).read();
+
+    return predictions
+      .filter(p => p.status === 'resolved' && new Date(p.resolvedAt) >= since)
+      .filter(p => !(p.drafts && p.drafts.resolution))
+      .map(p => ({
+        type: 'prediction_resolved',
+        timestamp: p.resolvedAt,
+        templates: ['prediction_result'],
+        payload: {
+          predictionId: p.id,
+          prediction: p.prediction,
+          confidence: p.confidence,
+          outcome: p.outcome,
+          verdict: VERDICTS[p.outcome],
+          proof: receiptFor(p)
+        }
+      }));
+  }
+};
@@ -0,0 +1,260 @@
+/**
+ * JSON Store
+ *
+ * Shared persistence for every data file. Writes go to a temp file that
+ * is renamed over the original, so readers never see half a file.
+ * Writers take an advisory lock (`<file>.lock`), and `update()` re-reads
+ * the file under that lock before applying a change, so two processes
+ * (say `clip.js watch` and `clip.js approve`) can't clobber each other.
+ *
+ * Files are stamped with a schema version:
+ *
+ *   { "schemaVersion": 1, "updatedAt": "...", "data": [...] }
+ *
+ * Bare arrays written by older versions are read as schema 0 and
+ * upgraded on the next write. The previous few versions of each file are
+ * kept as `<file>.bak.1` (newest) to `<file>.bak.N`. Corrupt JSON is never
+ * treated as empty: it throws a StoreError pointing at the backups.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TransitionError } = require('./lifecycle');
+
+const DEFAULTS = {
+  schemaVersion: 1,
+  backups: 5,
+  lockTimeoutMs: 10000,
+  staleLockMs: 60000,
+  defaultValue: () => []
+};
+
+class StoreError extends Error {
+  constructor(message, filePath) {
+    super(message);
+    this.name = 'StoreError';
+    this.filePath = filePath;
+  }
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+class Store {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.options = { ...DEFAULTS, ...options };
+    this.lockDepth = 0;
+  }
+
+  backupPath(n) {
+    return `${this.filePath}.bak.${n}`;
+  }
+
+  /**
+   * Read the current data. Missing files give the default value;
+   * unreadable ones throw.
+   */
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return this.options.defaultValue();
+    }
+
+    const raw = fs.readFileSync(this.filePath, 'utf8');
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (e) {
+      const backups = fs.existsSync(this.backupPath(1))
+        ? ` Latest backup: ${this.backupPath(1)}`
+        : ' No backups found.';
+      throw new StoreError(`Corrupt JSON in ${this.filePath}: ${e.message}.${backups}`, this.filePath);
+    }
+
+    // Legacy files are the bare data with no envelope
+    const isEnvelope = parsed && !Array.isArray(parsed) && typeof parsed === 'object' &&
+      'schemaVersion' in parsed && 'data' in parsed;
+    const version = isEnvelope ? parsed.schemaVersion : 0;
+    let data = isEnvelope ? parsed.data : parsed;
+
+    if (version > this.options.schemaVersion) {
+      throw new StoreError(
+        `${this.filePath} has schema v${version}, this version only understands up to v${this.options.schemaVersion}`,
+        this.filePath
+      );
+    }
+    if (version < this.options.schemaVersion && this.options.migrate) {
+      data = this.options.migrate(data, version);
+    }
+
+    return data;
+  }
+
+  /**
+   * Replace the file's contents (locked, backed up, atomic)
+   */
+  write(data) {
+    this.withLock(() => this.writeUnlocked(data));
+    return data;
+  }
+
+  /**
+   * Read-modify-write under the lock. `mutator` may change the data in
+   * place or return a replacement, or return false to skip the write.
+   * Returns the (possibly unchanged) data.
+   */
+  update(mutator) {
+    return this.withLock(() => {
+      const current = this.read();
+      const result = mutator(current);
+      if (result === false) return current;
+
+      const next = result === undefined ? current : result;
+      this.writeUnlocked(next);
+      return next;
+    });
+  }
+
+  /**
+   * `update` for the scripts' with* helpers: runs fn on the latest data
+   * and returns { data, result } with whatever fn returned. A result that
+   * `skip` matches (default: null) skips the write; an illegal transition
+   * skips it too and comes back as the { error, code } result, with no
+   * data. With an `audit` log and an `action`, changed items are recorded
+   * under `entity` by `actor`.
+   */
+  apply(fn, { audit = null, entity = null, action = null, actor = null, skip = result => result === null } = {}) {
+    let result;
+    let before = null;
+    let data;
+    try {
+      data = this.update(current => {
+        if (audit && action) before = JSON.parse(JSON.stringify(current));
+        result = fn(current);
+        if (skip(result)) return false;
+      });
+    } catch (e) {
+      if (!(e instanceof TransitionError)) throw e;
+      return { result: e.toResult() };
+    }
+    if (before) audit.recordChanges(entity, action, before, data, actor);
+    return { data, result };
+  }
+
+  writeUnlocked(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.rotateBackups();
+
+    const envelope = {
+      schemaVersion: this.options.schemaVersion,
+      updatedAt: new Date().toISOString(),
+      data
+    };
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(envelope, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  rotateBackups() {
+    const { backups } = this.options;
+    if (backups < 1 || !fs.existsSync(this.filePath)) return;
+
+    for (let n = backups - 1; n >= 1; n--) {
+      if (fs.existsSync(this.backupPath(n))) {
+        fs.renameSync(this.backupPath(n), this.backupPath(n + 1));
+      }
+    }
+    fs.copyFileSync(this.filePath, this.backupPath(1));
+  }
+
+  /**
+   * Run fn while holding the advisory lock. Re-entrant within a process.
+   */
+  withLock(fn) {
+    this.acquire();
+    try {
+      return fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire() {
+    if (this.lockDepth > 0) {
+      this.lockDepth++;
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
+    const deadline = Date.now() + this.options.lockTimeoutMs;
+
+    for (;;) {
+      try {
+        fs.writeFileSync(this.lockPath, JSON.stringify({ pid: process.pid, at: Date.now() }), { flag: 'wx' });
+        this.lockDepth = 1;
+        return;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+      }
+
+      const holder = this.readLock();
+      if (this.isStale(holder)) {
+        fs.rmSync(this.lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new StoreError(
+          `Timed out waiting for ${this.lockPath} (held by pid ${holder ? holder.pid : 'unknown'})`,
+          this.filePath
+        );
+      }
+      sleep(25);
+    }
+  }
+
+  release() {
+    if (--this.lockDepth > 0) return;
+    this.lockDepth = 0;
+    fs.rmSync(this.lockPath, { force: true });
+  }
+
+  readLock() {
+    try {
+      return JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+    } catch (e) {
+      // Gone already, or caught mid-write
+      return null;
+    }
+  }
+
+  isStale(holder) {
+    if (!holder) {
+      // Unreadable lock: only stale once it has sat there too long
+      try {
+        return Date.now() - fs.statSync(this.lockPath).mtimeMs > this.options.staleLockMs;
+      } catch (e) {
+        return false;
+      }
+    }
+    return !processAlive(holder.pid) || Date.now() - holder.at > this.options.staleLockMs;
+  }
+}
+
+module.exports = { Store, StoreError };
@@ -0,0 +1,86 @@
+/**
+ * Template Engine
+ *
+ * Patterns are either a plain string, where every {placeholder} is
+ * required, or an object that marks some placeholders optional:
+ *
+ *   { text: "the {industry} discourse is exhausting...", optional: { industry: 'tech' } }
+ *
+ * Optional placeholders fall back to the given text when the idea has no
+ * value for them. A pattern is only eligible when all of its required
+ * placeholders can be filled, so nothing ever renders as "...".
+ */
+
+const PLACEHOLDER = /{(\w+)}/g;
+
+function normalizePattern(pattern) {
+  if (typeof pattern === 'string') {
+    return { text: pattern, optional: {} };
+  }
+  return { text: pattern.text, optional: pattern.optional || {} };
+}
+
+function placeholders(text) {
+  return [...new Set([...text.matchAll(PLACEHOLDER)].map(m => m[1]))];
+}
+
+function hasValue(data, key) {
+  const value = data[key];
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Required placeholders of a pattern that the data cannot fill
+ */
+function missingPlaceholders(pattern, data = {}) {
+  const { text, optional } = normalizePattern(pattern);
+  return placeholders(text).filter(key => !(key in optional) && !hasValue(data, key));
+}
+
+/**
+ * Patterns (with their index) whose required placeholders are all present
+ */
+function fillablePatterns(patterns, data = {}) {
+  return patterns
+    .map((pattern, index) => ({ pattern: normalizePattern(pattern), index }))
+    .filter(({ pattern }) => missingPlaceholders(pattern, data).length === 0);
+}
+
+function render(pattern, data = {}) {
+  const { text, optional } = normalizePattern(pattern);
+  return text.replace(PLACEHOLDER, (match, key) => {
+    if (hasValue(data, key)) return String(data[key]);
+    return key in optional ? String(optional[key]) : match;
+  });
+}
+
+/**
+ * Pick a fillable pattern for an idea and render it. `pick` chooses
+ * among the fillable candidates (uniformly at random by default).
+ * Returns { text, index } or { error } explaining why nothing fits.
+ */
+function fill(patterns, data = {}, random = Math.random, pick = null) {
+  if (!patterns || patterns.length === 0) {
+    return { error: 'no patterns defined for this type' };
+  }
+
+  const candidates = fillablePatterns(patterns, data);
+  if (candidates.length === 0) {
+    const closest = patterns
+      .map(p => missingPlaceholders(p, data))
+      .sort((a, b) => a.length - b.length)[0];
+    return { error: `no pattern can be filled (closest is missing: ${closest.join(', ')})` };
+  }
+
+  const choice = pick ? pick(candidates) : candidates[Math.floor(random() * candidates.length)];
+  return { text: render(choice.pattern, data), index: choice.index };
+}
+
+module.exports = {
+  normalizePattern,
+  placeholders,
+  missingPlaceholders,
+  fillablePatterns,
+  render,
+  fill
+};
@@ -0,0 +1,168 @@
+/**
+ * Threads
+ *
+ * X-style weighted length counting and splitting long text into a
+ * numbered thread. Weighting follows twitter-text: URLs count as 23,
+ * emoji and CJK characters count as 2, everything else as 1.
+ */
+
+const MAX_LENGTH = 280;
+const URL_LENGTH = 23;
+
+const URL_PATTERN = /https?:\/\/[^\s]+/g;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+// Code point ranges that count as 1 (twitter-text v3 config)
+const LIGHT_RANGES = [
+  [0, 4351],
+  [8192, 8205],
+  [8208, 8223],
+  [8242, 8247]
+];
+
+const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+function charWeight(grapheme) {
+  if (EMOJI_PATTERN.test(grapheme)) return 2;
+
+  let weight = 0;
+  for (const char of grapheme) {
+    // Combining marks and variation selectors ride along for free
+    if (/\p{M}/u.test(char)) continue;
+    const code = char.codePointAt(0);
+    weight += LIGHT_RANGES.some(([lo, hi]) => code >= lo && code <= hi) ? 1 : 2;
+  }
+  return weight;
+}
+
+/**
+ * Length of text as X counts it against the 280 limit
+ */
+function weightedLength(text) {
+  let length = 0;
+  const withoutUrls = text.replace(URL_PATTERN, () => {
+    length += URL_LENGTH;
+    return '';
+  });
+
+  for (const { segment } of segmenter.segment(withoutUrls)) {
+    length += charWeight(segment);
+  }
+  return length;
+}
+
+function fits(text, max = MAX_LENGTH) {
+  return weightedLength(text) <= max;
+}
+
+/**
+ * Cut a word that is over budget on its own (a long hash, a link without
+ * a scheme) into pieces that fit. URLs always weigh 23, so they never
+ * get here.
+ */
+function chop(word, budget) {
+  const pieces = [];
+  let current = '';
+  for (const { segment } of segmenter.segment(word)) {
+    if (current && weightedLength(current + segment) > budget) {
+      pieces.push(current);
+      current = '';
+    }
+    current += segment;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Break text into the smallest units we're willing to split between:
+ * paragraphs, then sentences, then (for very long sentences) words, and
+ * (for words longer than a whole tweet) pieces of words
+ */
+function units(text, budget) {
+  const result = [];
+
+  text.split(/\n{2,}/).map(p => p.trim()).filter(Boolean).forEach((paragraph, p) => {
+    const sentences = [];
+    paragraph.split('\n').forEach((line, l) => {
+      // Sentence ends, but not list markers like "3. "; keep line indentation
+      line.split(/(?<!^\s*\d+\.)(?<=[.!?])\s+/).filter(s => s.trim()).forEach((raw, s) => {
+        const sentence = s === 0 ? raw.trimEnd() : raw.trim();
+        let joiner = ' ';
+        if (s === 0) joiner = l === 0 ? (p === 0 ? '' : '\n\n') : '\n';
+        sentences.push({ sentence, joiner });
+      });
+    });
+
+    sentences.forEach(({ sentence, joiner }) => {
+      if (weightedLength(sentence) <= budget) {
+        result.push({ text: sentence, joiner });
+        return;
+      }
+
+      sentence.split(/\s+/).forEach((word, w) => {
+        chop(word, budget).forEach((piece, c) => {
+          result.push({ text: piece, joiner: c > 0 ? '' : w === 0 ? joiner : ' ' });
+        });
+      });
+    });
+  });
+
+  return result;
+}
+
+function pack(text, budget) {
+  const segments = [];
+  let current = '';
+
+  for (const unit of units(text, budget)) {
+    const candidate = current ? current + unit.joiner + unit.text : unit.text;
+    if (current && weightedLength(candidate) > budget) {
+      segments.push(current);
+      current = unit.text;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) segments.push(current);
+
+  return segments;
+}
+
+/**
+ * Split text into thread segments that each fit in one tweet, with
+ * "1/n" numbering. Text that already fits comes back as one segment.
+ */
+function splitThread(text, max = MAX_LENGTH) {
+  if (fits(text, max)) return [text];
+
+  // Reserve room for the " n/n" suffix; redo if the count gains a digit
+  let digits = 1;
+  let segments;
+  for (;;) {
+    const suffix = ` ${'9'.repeat(digits)}/${'9'.repeat(digits)}`;
+    segments = pack(text, max - weightedLength(suffix));
+    if (String(segments.length).length <= digits) break;
+    digits = String(segments.length).length;
+  }
+
+  return segments.map((segment, i) => `${segment} ${i + 1}/${segments.length}`);
+}
+
+/**
+ * Per-segment length check
+ */
+function validateSegments(segments, max = MAX_LENGTH) {
+  return segments.map((text, index) => {
+    const length = weightedLength(text);
+    return { index, length, ok: length <= max };
+  });
+}
+
+module.exports = {
+  MAX_LENGTH,
+  weightedLength,
+  fits,
+  splitThread,
+  validateSegments
+};
@@ -0,0 +1,237 @@
+/**
+ * Voice Linter
+ *
+ * Rule-based checks that text sounds like Kira: lowercase, fits X's
+ * weighted limit, no hashtags or marketing phrases, no template
+ * leftovers, and a disclaimer on crypto price calls.
+ *
+ * Rules are configured in voice-rules.json (see `loadRules`); each rule
+ * has a `severity` of "error", "warning" or "off", plus its own options.
+ * Anything the file leaves out keeps the defaults below.
+ *
+ * `lint(text, { type, thread }, rules)` returns a list of
+ * { rule, severity, message }; errors block approval, warnings only show.
+ */
+
+const fs = require('fs');
+const thread = require('./thread');
+const { ConfigError } = require('./config');
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+const DEFAULT_RULES = {
+  // Sentence starts must be lowercase; acronyms and tickers (AI, SOL) are fine
+  casing: { severity: 'error' },
+  // X-weighted length, checked per segment for threads
+  maxLength: { severity: 'error', max: thread.MAX_LENGTH },
+  bannedPhrases: {
+    severity: 'error',
+    phrases: [
+      'as an ai',
+      'delve',
+      'game-changer',
+      'game changer',
+      "in today's fast-paced",
+      "let's dive in",
+      'revolutionize',
+      'unlock the power'
+    ]
+  },
+  hashtags: { severity: 'error', max: 0 },
+  emoji: { severity: 'warning', max: 1 },
+  // Plural subjects followed by a singular verb ("AI agents is")
+  agreement: {
+    severity: 'error',
+    plurals: ['agents', 'bots', 'builders', 'devs', 'llms', 'memecoins', 'models', 'people', 'tokens', 'users']
+  },
+  // Unfilled {placeholders} and "..." left over from templates
+  placeholders: { severity: 'error' },
+  // Price calls on crypto need a not-financial-advice marker
+  disclaimer: {
+    severity: 'error',
+    types: ['prediction'],
+    keywords: [
+      'btc', 'bitcoin', 'eth', 'ethereum', 'sol', 'solana', 'crypto', 'token', 'tokens',
+      'coin', 'coins', 'memecoin', 'price', 'market cap', 'mcap', 'pump'
+    ],
+    phrases: ['nfa', 'not financial advice', 'dyor']
+  }
+};
+
+const SENTENCE_START = /(?:^|[.!?]\s+|\n\s*)([A-Za-z][\w'$-]*)/g;
+const HASHTAG = /(?:^|\s)#[A-Za-z_]\w*/g;
+const EMOJI = /\p{Extended_Pictographic}/gu;
+const PLACEHOLDER = /{\w+}/g;
+const ELLIPSIS = /\.\.\.|…/;
+const TICKER = /\$[A-Za-z]{2,10}\b/;
+const SINGULAR_TO_PLURAL = { is: 'are', was: 'were', has: 'have', does: 'do' };
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function containsPhrase(lowerText, phrase) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegex(phrase)}($|[^a-z0-9])`).test(lowerText);
+}
+
+function capitalizedStarts(text) {
+  return [...text.matchAll(SENTENCE_START)]
+    .map(m => m[1])
+    .filter(word => /^[A-Z]/.test(word) && word !== word.toUpperCase());
+}
+
+/**
+ * Lowercase the sentence starts the casing rule would flag, for text
+ * copied in from elsewhere (claims, log lines). Acronyms stay as they are.
+ */
+function lowercaseStarts(text) {
+  return text.replace(SENTENCE_START, (match, word) =>
+    /^[A-Z]/.test(word) && word !== word.toUpperCase()
+      ? match.slice(0, -word.length) + word.toLowerCase()
+      : match);
+}
+
+function agreementPattern(rule) {
+  return new RegExp(`\\b(${rule.plurals.map(escapeRegex).join('|')})\\s+(is|was|has|does)\\b`, 'gi');
+}
+
+/**
+ * Swap the singular verb after a plural subject the agreement rule knows
+ * ("AI agents is" -> "AI agents are"), for templates filled with topics
+ */
+function fixAgreement(text, rules = DEFAULT_RULES) {
+  return text.replace(agreementPattern(rules.agreement), (match, subject, verb) =>
+    `${subject} ${SINGULAR_TO_PLURAL[verb.toLowerCase()]}`);
+}
+
+/**
+ * Whether the disclaimer rule would want a marker on this text, were it
+ * a post of one of the rule's types
+ */
+function aboutCrypto(text, rules = DEFAULT_RULES) {
+  const rule = rules.disclaimer;
+  const lower = text.toLowerCase();
+  return TICKER.test(text) || rule.keywords.some(k => containsPhrase(lower, k.toLowerCase()));
+}
+
+function disclaimed(text, rules = DEFAULT_RULES) {
+  const lower = text.toLowerCase();
+  return rules.disclaimer.phrases.some(p => containsPhrase(lower, p.toLowerCase()));
+}
+
+const CHECKS = {
+  casing(text, context, rule) {
+    const words = capitalizedStarts(text);
+    return words.length > 0 ? [`capitalized sentence start: ${words.join(', ')}`] : [];
+  },
+
+  maxLength(text, context, rule) {
+    const segments = context.thread || [text];
+    return segments
+      .map((segment, i) => ({ length: thread.weightedLength(segment), i }))
+      .filter(({ length }) => length > rule.max)
+      .map(({ length, i }) => segments.length > 1
+        ? `segment ${i + 1} is ${length} chars, over the ${rule.max} limit`
+        : `${length} chars, over the ${rule.max} limit`);
+  },
+
+  bannedPhrases(text, context, rule) {
+    const lower = text.toLowerCase();
+    return rule.phrases
+      .filter(phrase => containsPhrase(lower, phrase.toLowerCase()))
+      .map(phrase => `banned phrase: "${phrase}"`);
+  },
+
+  hashtags(text, context, rule) {
+    const tags = (text.match(HASHTAG) || []).map(t => t.trim());
+    return tags.length > rule.max ? [`${tags.length} hashtag(s) (max ${rule.max}): ${tags.join(' ')}`] : [];
+  },
+
+  emoji(text, context, rule) {
+    const count = (text.match(EMOJI) || []).length;
+    return count > rule.max ? [`${count} emoji (max ${rule.max})`] : [];
+  },
+
+  agreement(text, context, rule) {
+    return [...text.matchAll(agreementPattern(rule))].map(m =>
+      `"${m[0]}" should be "${m[1]} ${SINGULAR_TO_PLURAL[m[2].toLowerCase()]}"`
+    );
+  },
+
+  placeholders(text, context, rule) {
+    const problems = [];
+    const left = text.match(PLACEHOLDER);
+    if (left) problems.push(`unfilled placeholder(s): ${[...new Set(left)].join(', ')}`);
+    if (ELLIPSIS.test(text)) problems.push('contains "..." (truncated or unfilled text?)');
+    return problems;
+  },
+
+  disclaimer(text, context, rule) {
+    if (!rule.types.includes(context.type)) return [];
+    const rules = { disclaimer: rule };
+    if (!aboutCrypto(text, rules) || disclaimed(text, rules)) return [];
+    return [`crypto ${context.type} without a disclaimer (${rule.phrases.join(' / ')})`];
+  }
+};
+
+/**
+ * Merge a rules file over the defaults. A missing file means defaults.
+ */
+function loadRules(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return DEFAULT_RULES;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new ConfigError(`Can't read voice rules ${filePath}: ${e.message}`);
+  }
+
+  const rules = {};
+  Object.entries(DEFAULT_RULES).forEach(([name, rule]) => {
+    rules[name] = { ...rule, ...(overrides[name] || {}) };
+  });
+
+  const unknown = Object.keys(overrides).filter(name => !(name in DEFAULT_RULES));
+  if (unknown.length > 0) {
+    throw new ConfigError(`Unknown voice rule(s) in ${filePath}: ${unknown.join(', ')}`);
+  }
+  Object.entries(rules).forEach(([name, rule]) => {
+    if (!SEVERITIES.includes(rule.severity)) {
+      throw new ConfigError(`${name}.severity in ${filePath} must be one of ${SEVERITIES.join(', ')}`);
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Run every enabled rule. context: { type, thread } of the item.
+ */
+function lint(text, context = {}, rules = DEFAULT_RULES) {
+  const results = [];
+  Object.entries(rules).forEach(([name, rule]) => {
+    if (rule.severity === 'off') return;
+    CHECKS[name](text, context, rule).forEach(message => {
+      results.push({ rule: name, severity: rule.severity, message });
+    });
+  });
+  return results;
+}
+
+function errorsIn(results) {
+  return results.filter(r => r.severity === 'error');
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  SEVERITIES,
+  loadRules,
+  lint,
+  errorsIn,
+  capitalizedStarts,
+  lowercaseStarts,
+  fixAgreement,
+  aboutCrypto,
+  disclaimed
+};
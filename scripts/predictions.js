@@ -9,25 +9,66 @@
 
 const fs = require('fs');
 const path = require('path');
+const { Store } = require('./lib/store');
+const { getConfig } = require('./lib/config');
+const { Output, EXIT_CODES } = require('./lib/cli');
+const { TransitionError, defaultActor } = require('./lib/lifecycle');
+const { AuditLog } = require('./lib/audit');
+const calibration = require('./lib/calibration');
+const resolvers = require('./lib/resolvers');
+const scoreboard = require('./lib/scoreboard');
+const { OUTCOMES, LIFECYCLE, isPublished } = require('./lib/prediction-model');
 
-const PREDICTIONS_PATH = '/workspace/kira/skills/kira_content/data/predictions.json';
+const paths = getConfig();
+
+const CONFIG = {
+  predictionsPath: paths.predictionsPath,
+  auditLogPath: paths.auditLogPath,
+  dataDir: paths.dataDir,
+  // Recorded resolver readings that `check --offline` answers from
+  resolverFixturePath: paths.resolverFixturePath,
+  // How long a resolver may wait on the network before the check gives up on it
+  resolverTimeoutMs: 15000,
+  // Draft announcement, reminder and resolution posts into the content queue
+  drafts: true,
+  // Milestone reminders: halfway to the deadline, and 7 days before it
+  reminders: {
+    halfway: (made, deadline) => new Date((made.getTime() + deadline.getTime()) / 2),
+    week_left: (made, deadline) => new Date(deadline.getTime() - 7 * 24 * 60 * 60 * 1000)
+  },
+  // Credit for a 'partial' outcome (0-1), confidence bucket width (%)
+  scoring: {
+    ...calibration.DEFAULTS,
+    partialCredit: 0.5,
+    bucketSize: 10
+  }
+};
 
 class PredictionsTracker {
-  constructor() {
+  constructor(options = {}) {
+    this.store = new Store(CONFIG.predictionsPath);
     this.predictions = this.load();
+    this.actor = options.actor || defaultActor();
+    this.audit = new AuditLog(CONFIG.auditLogPath);
+    this.drafting = options.drafts ?? CONFIG.drafts;
+    this.engine = null;
   }
 
   load() {
-    try {
-      return JSON.parse(fs.readFileSync(PREDICTIONS_PATH, 'utf8'));
-    } catch (e) {
-      return [];
-    }
+    return this.store.read();
   }
 
   save() {
-    fs.mkdirSync(path.dirname(PREDICTIONS_PATH), { recursive: true });
-    fs.writeFileSync(PREDICTIONS_PATH, JSON.stringify(this.predictions, null, 2));
+    this.store.write(this.predictions);
+  }
+
+  /**
+   * Apply a change to the latest predictions on disk (see Store.apply)
+   */
+  withPredictions(fn, action = null) {
+    const { data, result } = this.store.apply(fn, { audit: this.audit, entity: 'prediction', action, actor: this.actor });
+    if (data) this.predictions = data;
+    return result;
   }
 
   list(status = 'all') {
@@ -38,40 +79,305 @@ class PredictionsTracker {
     return preds.sort((a, b) => new Date(a.resolutionDate) - new Date(b.resolutionDate));
   }
 
-  add(prediction, confidence, category, resolutionDate, notes = '') {
+  /**
+   * Add a prediction, optionally with a machine-checkable condition
+   * (see lib/resolvers). Returns { error } for a malformed condition.
+   */
+  add(prediction, confidence, category, resolutionDate, notes = '', condition = null) {
+    const invalid = condition ? resolvers.validateCondition(condition) : null;
+    if (invalid) return { error: `Invalid condition: ${invalid}`, code: 'validation' };
+
     const pred = {
       id: `pred_${Date.now()}`,
       prediction,
       dateMade: new Date().toISOString(),
       confidence,
       category,
-      status: 'active',
       resolutionDate,
       notes
     };
-    this.predictions.push(pred);
-    this.save();
-    return pred;
+    if (condition) pred.condition = condition;
+    LIFECYCLE.create(pred, 'active', { actor: this.actor });
+    this.withPredictions(predictions => {
+      predictions.push(pred);
+    }, 'create');
+
+    const draft = this.draft(pred.id, 'announcement');
+    return this.withDraft(pred.id, draft);
   }
 
-  resolve(id, outcome, proof = '') {
+  /**
+   * Content engine that drafts this tracker's posts, or null when
+   * drafting is off
+   */
+  drafter() {
+    return this.drafting ? this.contentEngine() : null;
+  }
+
+  contentEngine() {
+    if (!this.engine) {
+      const ContentEngine = require('./content');
+      this.engine = new ContentEngine({ actor: this.actor });
+    }
+    return this.engine;
+  }
+
+  /**
+   * Draft a post about a prediction into the content queue and keep its
+   * content ID in `drafts[kind]`. Returns the queued item, { error }, or
+   * null when drafting is off.
+   */
+  draft(id, kind, now = new Date()) {
+    const engine = this.drafter();
     const pred = this.predictions.find(p => p.id === id);
-    if (!pred) return null;
+    if (!engine || !pred) return null;
 
-    pred.status = 'resolved';
-    pred.outcome = outcome; // 'correct', 'incorrect', 'partial'
-    pred.resolvedAt = new Date().toISOString();
-    pred.proof = proof;
+    const item = engine.draftPrediction(pred, kind, now);
+    if (item.error) return item;
+    this.withPredictions(predictions => {
+      const current = predictions.find(p => p.id === id);
+      if (!current) return null;
+      current.drafts = { ...current.drafts, [kind]: item.id };
+    }, 'draft');
+    return item;
+  }
 
-    this.save();
-    return pred;
+  /**
+   * The stored prediction, with a failed draft's error alongside
+   */
+  withDraft(id, draft) {
+    const pred = this.predictions.find(p => p.id === id);
+    return draft && draft.error ? { ...pred, draftError: draft.error } : pred;
   }
 
-  stats() {
+  /**
+   * Draft reminders for active predictions that have passed a milestone
+   * (CONFIG.reminders). Only the latest milestone passed is drafted, so
+   * a check that runs late skips straight to the current one.
+   */
+  remind({ now = new Date(), dryRun = false } = {}) {
+    const drafted = [];
+    for (const pred of this.list('active')) {
+      const made = new Date(pred.dateMade);
+      const deadline = new Date((pred.condition && pred.condition.deadline) || pred.resolutionDate);
+      if (now >= deadline) continue;
+
+      const milestones = Object.entries(CONFIG.reminders)
+        .map(([kind, at]) => ({ kind, at: at(made, deadline) }))
+        .filter(({ at }) => at > made && at <= now)
+        .sort((a, b) => a.at - b.at);
+      const latest = milestones[milestones.length - 1];
+      if (!latest || (pred.drafts && latest.kind in pred.drafts)) continue;
+
+      if (dryRun) {
+        drafted.push({ id: pred.id, kind: latest.kind, contentId: null });
+        continue;
+      }
+      const item = this.draft(pred.id, latest.kind, now);
+      if (!item) continue;
+      if (item.error) {
+        drafted.push({ id: pred.id, kind: latest.kind, error: item.error });
+        continue;
+      }
+      drafted.push({ id: pred.id, kind: latest.kind, contentId: item.id });
+    }
+    return drafted;
+  }
+
+  /**
+   * Record the tweet a prediction draft was posted as, under posts[kind]
+   */
+  recordPost(id, kind, item) {
+    return this.withPredictions(predictions => {
+      const pred = predictions.find(p => p.id === id);
+      if (!pred) return null;
+
+      pred.posts = {
+        ...pred.posts,
+        [kind]: { contentId: item.id, tweetId: item.tweetId, tweetUrl: item.tweetUrl, postedAt: item.postedAt }
+      };
+      return pred;
+    }, 'post');
+  }
+
+  /**
+   * Refill the drafts still waiting in the content queue after a
+   * prediction's claim or deadline changed, so none goes out with the old
+   * text. Runs even with drafting off, since the drafts already exist.
+   * Returns [{ kind, contentId, error? }] for the drafts it touched.
+   */
+  redraft(id, now = new Date()) {
+    const pred = this.predictions.find(p => p.id === id);
+    if (!pred || !pred.drafts) return [];
+
+    return Object.entries(pred.drafts)
+      .filter(([kind]) => !(pred.posts && pred.posts[kind]))
+      .map(([kind, contentId]) => {
+        const item = this.contentEngine().redraftPrediction(contentId, pred, kind, now);
+        if (!item) return null;
+        return item.error ? { kind, contentId, error: item.error } : { kind, contentId };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Revise an active prediction. `confidence` and `note` append a
+   * timestamped entry to `revisions` (the original confidence is kept);
+   * `prediction` and `resolutionDate` are edited in place, but only
+   * until the announcement has been posted, and queued drafts are
+   * refilled with the new text (see redraft).
+   */
+  update(id, { confidence, note, prediction, resolutionDate } = {}) {
+    const updated = this.withPredictions(predictions => {
+      const pred = predictions.find(p => p.id === id);
+      if (!pred) return null;
+      if (pred.status !== 'active') {
+        throw new TransitionError(`${pred.id} is ${pred.status}; only active predictions can be revised`);
+      }
+      if ((prediction !== undefined || resolutionDate !== undefined) && isPublished(pred)) {
+        throw new TransitionError(
+          `${pred.id} was announced at ${pred.posts.announcement.tweetUrl}; its claim and deadline can't change`
+        );
+      }
+
+      if (prediction !== undefined) pred.prediction = prediction;
+      if (resolutionDate !== undefined) pred.resolutionDate = resolutionDate;
+      if (confidence !== undefined || note !== undefined) {
+        pred.revisions = [...(pred.revisions || []), {
+          at: new Date().toISOString(),
+          confidence: confidence ?? calibration.finalConfidence(pred),
+          note: note || null,
+          actor: this.actor
+        }];
+      }
+      return pred;
+    }, 'revise');
+    if (!updated || updated.error || (prediction === undefined && resolutionDate === undefined)) return updated;
+
+    const redrafted = this.redraft(id);
+    return redrafted.length > 0 ? { ...updated, redrafted } : updated;
+  }
+
+  /**
+   * Attach (or replace) the condition on an active prediction. A
+   * published prediction's condition can't move its deadline.
+   */
+  setCondition(id, condition) {
+    const invalid = resolvers.validateCondition(condition);
+    if (invalid) return { error: `Invalid condition: ${invalid}`, code: 'validation' };
+
+    return this.withPredictions(predictions => {
+      const pred = predictions.find(p => p.id === id);
+      if (!pred) return null;
+      if (pred.status !== 'active') {
+        throw new TransitionError(`${pred.id} is ${pred.status}; only active predictions take a condition`);
+      }
+      const deadline = c => new Date((c && c.deadline) || pred.resolutionDate).getTime();
+      if (isPublished(pred) && deadline(condition) !== deadline(pred.condition)) {
+        throw new TransitionError(`${pred.id} was announced; its condition can't move the deadline`);
+      }
+
+      pred.condition = condition;
+      return pred;
+    }, 'condition');
+  }
+
+  /**
+   * Resolve a prediction and draft its resolution post
+   */
+  resolve(id, outcome, proof = '', extra = {}) {
+    const resolved = this.withPredictions(predictions => {
+      const pred = predictions.find(p => p.id === id);
+      if (!pred) return null;
+
+      LIFECYCLE.transition(pred, 'resolved', { actor: this.actor, outcome, note: extra.resolvedBy || null });
+      pred.outcome = outcome;
+      pred.resolvedAt = new Date().toISOString();
+      pred.proof = proof;
+      Object.assign(pred, extra);
+
+      return pred;
+    }, 'resolve');
+    if (!resolved || resolved.error) return resolved;
+
+    return this.withDraft(id, this.draft(id, 'resolution'));
+  }
+
+  /**
+   * Check every active prediction: resolve the ones whose condition is
+   * met (or failed at the deadline) with the reading as proof, and
+   * report the ones past their resolution date that still need a human.
+   * Resolver failures are reported in `errors` and change nothing
+   * (the CLI exits 1 when there are any). Fixture readings aren't real,
+   * so a check against a fixture is always a dry run.
+   */
+  async check({ fixturePath = null, dryRun = false, now = new Date() } = {}) {
+    const registry = resolvers.createRegistry({ fixturePath });
+    const context = { dataDir: CONFIG.dataDir, timeoutMs: CONFIG.resolverTimeoutMs };
+    const report = {
+      dryRun: dryRun || Boolean(fixturePath),
+      resolved: [],
+      pending: [],
+      overdue: [],
+      reminders: [],
+      errors: []
+    };
+    const overdue = (pred, reason) => report.overdue.push({
+      id: pred.id,
+      prediction: pred.prediction,
+      resolutionDate: pred.resolutionDate,
+      reason
+    });
+
+    for (const pred of this.list('active')) {
+      const deadline = new Date((pred.condition && pred.condition.deadline) || pred.resolutionDate);
+      if (!pred.condition) {
+        if (now > deadline) overdue(pred, 'no condition; resolve manually');
+        continue;
+      }
+
+      let result;
+      try {
+        result = await resolvers.evaluate(pred, registry, context, now);
+      } catch (e) {
+        report.errors.push({ id: pred.id, source: pred.condition.source, message: e.message });
+        if (now > deadline) overdue(pred, `resolver failed: ${e.message}`);
+        continue;
+      }
+
+      if (result.state === 'pending') {
+        report.pending.push({ id: pred.id, value: result.value, proof: result.proof });
+      } else if (result.state === 'late') {
+        overdue(pred, `condition met only after the deadline: ${result.proof}`);
+      } else {
+        const outcome = result.state === 'met' ? 'correct' : 'incorrect';
+        if (!report.dryRun) {
+          const resolved = this.resolve(pred.id, outcome, result.proof, { resolvedBy: 'check', receipt: result.receipt });
+          if (!resolved || resolved.error) {
+            report.errors.push({ id: pred.id, message: resolved ? resolved.error : 'Prediction not found' });
+            continue;
+          }
+        }
+        report.resolved.push({ id: pred.id, prediction: pred.prediction, outcome, proof: result.proof });
+      }
+    }
+
+    report.reminders = this.remind({ now, dryRun: report.dryRun });
+    return report;
+  }
+
+  /**
+   * Accuracy and calibration of resolved predictions: overall, by
+   * category and by month resolved, scored on the confidence each was
+   * made with. `final` scores the same predictions on their last
+   * revision. Accuracy gives partial outcomes `scoring.partialCredit`.
+   */
+  stats(scoring = CONFIG.scoring) {
     const resolved = this.predictions.filter(p => p.status === 'resolved');
-    const correct = resolved.filter(p => p.outcome === 'correct');
+    const overall = calibration.score(resolved, scoring);
+    const final = calibration.score(resolved, { ...scoring, final: true });
     const byCategory = {};
-    
+
     this.predictions.forEach(p => {
       if (!byCategory[p.category]) {
         byCategory[p.category] = { total: 0, correct: 0 };
@@ -81,99 +387,307 @@ class PredictionsTracker {
         byCategory[p.category].correct++;
       }
     });
+    Object.entries(calibration.scoreBy(resolved, p => p.category, scoring)).forEach(([category, score]) => {
+      Object.assign(byCategory[category], score);
+    });
 
     return {
       total: this.predictions.length,
       active: this.predictions.filter(p => p.status === 'active').length,
       resolved: resolved.length,
-      accuracy: resolved.length > 0 ? (correct.length / resolved.length * 100).toFixed(1) : 0,
-      byCategory
+      accuracy: resolved.length > 0 ? overall.accuracy.toFixed(1) : 0,
+      partialCredit: scoring.partialCredit,
+      brier: overall.brier,
+      logLoss: overall.logLoss,
+      calibration: overall.calibration,
+      final: {
+        revised: resolved.filter(p => (p.revisions || []).length > 0).length,
+        brier: final.brier,
+        logLoss: final.logLoss,
+        calibration: final.calibration
+      },
+      byCategory,
+      overTime: calibration.scoreBy(resolved, calibration.resolvedMonth, scoring)
     };
   }
 
-  generateScoreboard() {
-    const active = this.list('active');
-    const stats = this.stats();
+  /**
+   * The scoreboard in one of scoreboard.FORMATS (text, thread, markdown,
+   * html, svg, png), from the same stats and active list
+   */
+  generateScoreboard(format = 'text', now = new Date()) {
+    return scoreboard.render(format, scoreboard.buildBoard(this.stats(), this.list('active'), now));
+  }
+}
 
-    let text = `📊 Kira's Prediction Scoreboard\n\n`;
-    text += `Accuracy: ${stats.accuracy}% (${stats.resolved} resolved)\n`;
-    text += `Active predictions: ${stats.active}\n\n`;
+/**
+ * Condition JSON from the command line, or { error }
+ */
+function parseCondition(json) {
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    return { error: `Condition is not valid JSON: ${e.message}`, code: 'validation' };
+  }
+}
 
-    text += `🎯 ACTIVE PREDICTIONS:\n\n`;
-    active.forEach((p, i) => {
-      const daysLeft = Math.ceil((new Date(p.resolutionDate) - new Date()) / (1000 * 60 * 60 * 24));
-      text += `${i + 1}. ${p.prediction}\n`;
-      text += `   Confidence: ${p.confidence}% | ${daysLeft} days left\n\n`;
-    });
+/**
+ * Text report for `stats`
+ */
+function printStats(stats) {
+  const fixed = (value, places) => value === null ? '-' : value.toFixed(places);
+  const summary = s => `accuracy ${fixed(s.accuracy, 1)}%, Brier ${fixed(s.brier, 3)}, log loss ${fixed(s.logLoss, 3)}`;
 
-    text += `Bookmark this. I track publicly.\n`;
-    text += `Wrong = accountability thread. Right = victory lap.\n`;
+  console.log(`${stats.total} predictions: ${stats.active} active, ${stats.resolved} resolved`);
+  console.log(`Partial outcomes count as ${stats.partialCredit} correct`);
+  if (stats.resolved === 0) return;
 
-    return text;
+  console.log(`\nOverall: accuracy ${stats.accuracy}%, Brier ${fixed(stats.brier, 3)}, log loss ${fixed(stats.logLoss, 3)}`);
+  if (stats.final.revised > 0) {
+    console.log(`On final confidence (${stats.final.revised} revised): Brier ${fixed(stats.final.brier, 3)}, log loss ${fixed(stats.final.logLoss, 3)}`);
   }
+  console.log('\nCalibration (stated confidence vs. how often it came true):');
+  stats.calibration.forEach(b => {
+    console.log(`   ${b.range.padEnd(7)} ${String(b.count).padStart(3)} predictions  stated ${b.stated}%  observed ${b.observed}%  (${b.gap >= 0 ? '+' : ''}${b.gap})`);
+  });
+
+  console.log('\nBy category:');
+  Object.entries(stats.byCategory).forEach(([category, c]) => {
+    console.log(`   ${category}: ${c.total} total` + (c.count ? `, ${c.count} resolved, ${summary(c)}` : ''));
+  });
+
+  console.log('\nBy month resolved:');
+  Object.entries(stats.overTime).forEach(([month, m]) => {
+    console.log(`   ${month}: ${m.count} resolved, ${summary(m)}`);
+  });
 }
 
-// CLI
-const tracker = new PredictionsTracker();
-const command = process.argv[2];
-
-switch (command) {
-  case 'list':
-    const status = process.argv[3] || 'all';
-    console.log(tracker.list(status));
-    break;
-
-  case 'add':
-    const [prediction, confidence, category, resolutionDate, notes] = process.argv.slice(3);
-    if (!prediction || !confidence || !category || !resolutionDate) {
-      console.error('Usage: predictions.js add "prediction text" confidence category YYYY-MM-DD [notes]');
-      process.exit(1);
-    }
-    const newPred = tracker.add(prediction, parseInt(confidence), category, resolutionDate, notes);
-    console.log('Added prediction:');
-    console.log(newPred);
-    break;
-
-  case 'resolve':
-    const [id, outcome, proof] = process.argv.slice(3);
-    if (!id || !outcome) {
-      console.error('Usage: predictions.js resolve <id> correct|incorrect|partial [proof]');
-      process.exit(1);
-    }
-    const resolved = tracker.resolve(id, outcome, proof);
-    if (resolved) {
-      console.log('Resolved prediction:');
-      console.log(resolved);
-    } else {
-      console.error('Prediction not found');
-    }
-    break;
+/**
+ * Text listing for `list`, with each prediction's confidence trajectory
+ */
+function printList(predictions) {
+  if (predictions.length === 0) console.log('No predictions');
+  predictions.forEach(p => {
+    console.log(`${p.id} [${p.outcome || p.status}] ${p.prediction}`);
+    console.log(`   ${p.category} | resolves ${p.resolutionDate} | confidence ${calibration.trajectory(p).join('% → ')}%`);
+    (p.revisions || []).forEach(r => {
+      console.log(`   ${r.at.slice(0, 10)} ${r.confidence}%` + (r.note ? `: ${r.note}` : ''));
+    });
+  });
+}
+
+/**
+ * Where a prediction's drafts landed in the content queue
+ */
+function printDrafts(pred, kinds) {
+  if (pred.draftError) console.error(`Could not draft post: ${pred.draftError}`);
+  kinds.filter(kind => pred.drafts && pred.drafts[kind]).forEach(kind => {
+    console.log(`Drafted ${kind} post ${pred.drafts[kind]} (approve it with content.js approve)`);
+  });
+}
+
+// CLI (only when run directly, so other scripts can require the class)
+if (require.main === module) {
+  const out = new Output();
+  const noDraftIndex = process.argv.indexOf('--no-draft');
+  if (noDraftIndex !== -1) process.argv.splice(noDraftIndex, 1);
+  const tracker = new PredictionsTracker({ drafts: noDraftIndex === -1 });
+  const command = process.argv[2];
+  const flag = name => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+
+  switch (command) {
+    case 'list':
+      const status = process.argv[3] || 'all';
+      if (!['active', 'resolved', 'all'].includes(status)) {
+        out.usage('Usage: predictions.js list [active|resolved|all]');
+      }
+      out.print(tracker.list(status), printList);
+      break;
+
+    case 'add':
+      const conditionIndex = process.argv.indexOf('--condition');
+      const conditionJson = conditionIndex !== -1 ? process.argv.splice(conditionIndex, 2)[1] : null;
+      const [prediction, confidence, category, resolutionDate, notes] = process.argv.slice(3);
+      if (!prediction || !confidence || !category || !resolutionDate) {
+        out.usage('Usage: predictions.js add "prediction text" confidence category YYYY-MM-DD [notes]');
+      }
+      const confidenceValue = Number(confidence);
+      if (!Number.isInteger(confidenceValue) || confidenceValue < 0 || confidenceValue > 100) {
+        out.fail('validation', `Confidence must be a whole number from 0 to 100 (got "${confidence}")`);
+        break;
+      }
+      if (Number.isNaN(new Date(resolutionDate).getTime())) {
+        out.fail('validation', `Invalid resolution date: ${resolutionDate}`);
+        break;
+      }
+      const condition = conditionJson ? parseCondition(conditionJson) : null;
+      if (condition && condition.error) {
+        out.result(condition);
+        break;
+      }
+      out.result(tracker.add(prediction, confidenceValue, category, resolutionDate, notes, condition), newPred => {
+        console.log('Added prediction:');
+        console.log(newPred);
+        printDrafts(newPred, ['announcement']);
+      });
+      break;
+
+    case 'resolve':
+      const [id, outcome, proof] = process.argv.slice(3);
+      if (!id || !outcome) {
+        out.usage('Usage: predictions.js resolve <id> correct|incorrect|partial [proof]');
+      }
+      out.found(tracker.resolve(id, outcome, proof), 'Prediction', resolved => {
+        console.log('Resolved prediction:');
+        console.log(resolved);
+        printDrafts(resolved, ['resolution']);
+      });
+      break;
 
-  case 'stats':
-    console.log(tracker.stats());
-    break;
+    case 'update':
+      const updateId = process.argv[3];
+      const changes = {
+        confidence: flag('--confidence'),
+        note: flag('--note'),
+        prediction: flag('--text'),
+        resolutionDate: flag('--date')
+      };
+      Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
+      if (!updateId || updateId.startsWith('--') || Object.keys(changes).length === 0) {
+        out.usage('Usage: predictions.js update <id> [--confidence N] [--note "..."] [--text "..."] [--date YYYY-MM-DD]');
+      }
+      if (changes.confidence !== undefined) {
+        changes.confidence = Number(changes.confidence);
+        if (!Number.isInteger(changes.confidence) || changes.confidence < 0 || changes.confidence > 100) {
+          out.fail('validation', `Confidence must be a whole number from 0 to 100 (got "${flag('--confidence')}")`);
+          break;
+        }
+      }
+      if (changes.resolutionDate !== undefined && Number.isNaN(new Date(changes.resolutionDate).getTime())) {
+        out.fail('validation', `Invalid resolution date: ${changes.resolutionDate}`);
+        break;
+      }
+      out.found(tracker.update(updateId, changes), 'Prediction', updated => {
+        console.log(`Updated ${updated.id}: confidence ${calibration.trajectory(updated).join('% → ')}%`);
+        (updated.redrafted || []).forEach(r => console.log(r.error
+          ? `Could not redraft ${r.kind} post ${r.contentId}: ${r.error}`
+          : `Redrafted ${r.kind} post ${r.contentId} (back to pending; approve it again with content.js approve)`));
+      });
+      break;
 
-  case 'scoreboard':
-    console.log(tracker.generateScoreboard());
-    break;
+    case 'condition':
+      const [conditionId, json] = process.argv.slice(3);
+      if (!conditionId || !json) {
+        out.usage('Usage: predictions.js condition <id> \'{"source":"price","params":{...},"comparator":">=","threshold":300}\'');
+      }
+      const parsed = parseCondition(json);
+      out.found(parsed.error ? parsed : tracker.setCondition(conditionId, parsed), 'Prediction', pred => {
+        console.log(`Condition set on ${pred.id}: ${JSON.stringify(pred.condition)}`);
+      });
+      break;
+
+    case 'check':
+      const offline = process.argv.includes('--offline') || process.argv.includes('--fixture');
+      const fixtureIndex = process.argv.indexOf('--fixture');
+      tracker.check({
+        fixturePath: offline ? (fixtureIndex !== -1 ? process.argv[fixtureIndex + 1] : CONFIG.resolverFixturePath) : null,
+        dryRun: process.argv.includes('--dry-run')
+      }).then(report => out.print(report, ({ dryRun, resolved, pending, overdue, reminders, errors }) => {
+        const verb = dryRun ? 'Would resolve' : 'Resolved';
+        resolved.forEach(r => console.log(`${verb} ${r.id} as ${r.outcome}: ${r.prediction}\n   ${r.proof}`));
+        pending.forEach(p => console.log(`Pending ${p.id}: ${p.proof}`));
+        overdue.forEach(o => console.log(`OVERDUE ${o.id} (due ${o.resolutionDate}): ${o.prediction}\n   ${o.reason}`));
+        reminders.forEach(r => {
+          if (r.error) console.error(`Could not draft ${r.kind} reminder for ${r.id}: ${r.error}`);
+          else console.log(dryRun ? `Would draft ${r.kind} reminder for ${r.id}` : `Drafted ${r.kind} reminder for ${r.id}: ${r.contentId}`);
+        });
+        errors.forEach(e => console.error(`Error checking ${e.id}: ${e.message}`));
+        if (resolved.length + pending.length + overdue.length + reminders.length + errors.length === 0) {
+          console.log('Nothing to check');
+        }
+      })).then(report => {
+        // The report still prints in full; a failed resolver makes the run fail
+        if (report.errors.length > 0) process.exitCode = EXIT_CODES.error;
+      }).catch(e => out.fail('error', e.message));
+      break;
+
+    case 'stats':
+      const creditIndex = process.argv.indexOf('--partial-credit');
+      const partialCredit = creditIndex !== -1 ? Number(process.argv[creditIndex + 1]) : CONFIG.scoring.partialCredit;
+      if (!(partialCredit >= 0 && partialCredit <= 1)) {
+        out.fail('validation', `--partial-credit must be between 0 and 1 (got "${process.argv[creditIndex + 1]}")`);
+        break;
+      }
+      out.print(tracker.stats({ ...CONFIG.scoring, partialCredit }), printStats);
+      break;
 
-  default:
-    console.log(`
+    case 'scoreboard':
+      const format = flag('--format') || 'text';
+      const renderer = scoreboard.RENDERERS[format];
+      if (!renderer) {
+        out.usage(`--format must be one of ${scoreboard.FORMATS.join(', ')}`);
+      }
+      const board = tracker.generateScoreboard(format);
+      // Images go to a file; text formats print unless --out is given
+      const outPath = flag('--out') || (renderer.binary ? path.join(CONFIG.dataDir, `scoreboard.${renderer.extension}`) : null);
+      if (outPath) {
+        fs.writeFileSync(outPath, Array.isArray(board) ? board.join('\n\n') : board);
+        out.print({ format, path: outPath }, () => console.log(`Wrote ${format} scoreboard to ${outPath}`));
+      } else if (Array.isArray(board)) {
+        out.print({ format, thread: board }, ({ thread }) => console.log(thread.join('\n\n---\n\n')));
+      } else {
+        out.print({ format, text: board }, ({ text }) => console.log(text));
+      }
+      break;
+
+    default:
+      out.help(command, `
 Kira Predictions Tracker
 
 Usage:
   predictions.js list [active|resolved|all]  List predictions
-  predictions.js add "text" conf cat date    Add new prediction
+  predictions.js add "text" conf cat date [notes] [--condition '<json>']
+                                             Add new prediction
+  predictions.js condition <id> '<json>'     Attach a machine-checkable condition
   predictions.js resolve <id> outcome        Mark as resolved
-  predictions.js stats                       Show statistics
-  predictions.js scoreboard                  Generate scoreboard post
+  predictions.js update <id> [--confidence N] [--note "..."]
+                                             Revise confidence (kept as history)
+  predictions.js update <id> [--text "..."] [--date YYYY-MM-DD]
+                                             Fix the claim (until it's announced)
+  predictions.js check [--offline | --fixture <file>] [--dry-run]
+                                             Auto-resolve by condition, list overdue
+                                             (--offline/--fixture only report)
+  predictions.js stats [--partial-credit 0.5]
+                                             Accuracy, Brier score, log loss, calibration
+  predictions.js scoreboard [--format <format>] [--out <file>]
+                                             Render the scoreboard: ${scoreboard.FORMATS.join(', ')}
+                                             (png is drawn locally and written to
+                                             data/scoreboard.png unless --out is given)
+
+Adding a prediction drafts its announcement into the content queue; check
+drafts the halfway and 7-days-left reminders; resolving drafts the victory
+lap or accountability post. Posting a draft records its tweet on the
+prediction. Pass --no-draft to skip drafting.
+
+Every command takes --json for machine-readable output. Exit codes:
+0 ok, 1 error, 2 usage, 3 not found, 4 validation, 5 state (see lib/cli.js)
 
 Examples:
   node predictions.js list active
   node predictions.js add "SOL hits 300" 75 crypto 2026-03-01 "ETF momentum"
   node predictions.js resolve pred_123 correct "https://proof.com"
+  node predictions.js update pred_123 --confidence 55 --note "ETF delayed"
+  node predictions.js condition pred_1 '{"source":"price","params":{"asset":"solana"},"comparator":">=","threshold":300}'
+  node predictions.js check --offline
   node predictions.js scoreboard
-    `);
+  node predictions.js scoreboard --format markdown --out SCOREBOARD.md
+  node predictions.js scoreboard --format png
+      `);
+  }
 }
 
 module.exports = PredictionsTracker;
+module.exports.OUTCOMES = OUTCOMES;
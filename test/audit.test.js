@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { useTempData, removeTempData, run } = require('./helpers');
+
+const root = useTempData();
+test.after(() => removeTempData(root));
+
+const { getConfig } = require('../scripts/lib/config');
+const { AuditLog, diff } = require('../scripts/lib/audit');
+const ContentEngine = require('../scripts/content');
+
+const { auditLogPath } = getConfig();
+
+/**
+ * A fresh log with three chained entries
+ */
+function seeded() {
+  fs.rmSync(auditLogPath, { force: true });
+  fs.rmSync(`${auditLogPath}.head`, { force: true });
+  const log = new AuditLog(auditLogPath);
+  log.record('content', 'content_1', 'create', null, { id: 'content_1', text: 'one' }, 'test');
+  log.record('content', 'content_1', 'edit', { id: 'content_1', text: 'one' }, { id: 'content_1', text: 'two' }, 'test');
+  log.record('content', 'content_1', 'approve', { status: 'pending' }, { status: 'approved' }, 'test');
+  return log;
+}
+
+function lines() {
+  return fs.readFileSync(auditLogPath, 'utf8').split('\n').filter(Boolean);
+}
+
+test('diff lists changed top-level fields and ignores history', () => {
+  assert.deepStrictEqual(
+    diff({ text: 'a', status: 'pending', history: [1] }, { text: 'a', status: 'approved', history: [1, 2] }),
+    { status: { from: 'pending', to: 'approved' } }
+  );
+  assert.deepStrictEqual(diff(null, { id: 'x' }), { id: { from: null, to: 'x' } });
+});
+
+test('recordChanges logs only the items that changed, under the actor', () => {
+  const log = seeded();
+  const before = [{ id: 'a', status: 'pending' }, { id: 'b', status: 'pending' }];
+  const after = [{ id: 'a', status: 'approved' }, { id: 'b', status: 'pending' }, { id: 'c', status: 'pending' }];
+  const entries = log.recordChanges('content', 'approve', before, after, 'ada');
+  assert.deepStrictEqual(entries.map(e => [e.seq, e.id, e.actor]), [[4, 'a', 'ada'], [5, 'c', 'ada']]);
+  assert.deepStrictEqual(log.recordChanges('content', 'approve', after, after, 'ada'), []);
+  assert.deepStrictEqual(log.verify(), { ok: true, entries: 5, problems: [] });
+});
+
+test('the scripts record who changed what', () => {
+  const engine = new ContentEngine();
+  const item = engine.addDraft('auditing the queue.', 'build_update');
+  engine.approve(item.id);
+
+  const entries = new AuditLog(auditLogPath).query({ entity: 'content', id: item.id });
+  assert.deepStrictEqual(entries.map(e => [e.action, e.actor]), [['create', 'test'], ['approve', 'test']]);
+  assert.deepStrictEqual(entries[1].changes.status, { from: 'pending', to: 'approved' });
+});
+
+test('an edited line breaks its hash', () => {
+  const log = seeded();
+  const edited = lines();
+  edited[1] = edited[1].replace('"two"', '"three"');
+  fs.writeFileSync(auditLogPath, edited.join('\n') + '\n');
+
+  const report = log.verify();
+  assert.strictEqual(report.ok, false);
+  assert.deepStrictEqual(report.problems.map(p => p.line), [2]);
+  assert.match(report.problems[0].message, /entry 2 was modified/);
+});
+
+test('a deleted line breaks the chain', () => {
+  const log = seeded();
+  const kept = lines();
+  kept.splice(1, 1);
+  fs.writeFileSync(auditLogPath, kept.join('\n') + '\n');
+
+  const report = log.verify();
+  assert.strictEqual(report.ok, false);
+  assert.match(report.problems[0].message, /seq 3, expected 2/);
+});
+
+test('a truncated file is caught by the head', () => {
+  const log = seeded();
+  fs.writeFileSync(auditLogPath, lines().slice(0, 2).join('\n') + '\n');
+
+  const report = log.verify();
+  assert.strictEqual(report.ok, false);
+  assert.deepStrictEqual(report.problems, [{ line: null, message: 'log ends at entry 2 but the head says 3 (truncated)' }]);
+});
+
+test('a head that does not match the last entry is reported', () => {
+  const log = seeded();
+  fs.writeFileSync(`${auditLogPath}.head`, JSON.stringify({ seq: 3, hash: 'f'.repeat(64) }));
+  assert.match(log.verify().problems[0].message, /last entry 3 doesn't match the head/);
+
+  fs.rmSync(`${auditLogPath}.head`);
+  assert.match(log.verify().problems[0].message, /\.head is missing/);
+});
+
+test('audit.js verify exits 1 on a broken chain', () => {
+  seeded();
+  assert.strictEqual(run('audit.js', 'verify').status, 0);
+  fs.writeFileSync(auditLogPath, lines().slice(0, 2).join('\n') + '\n');
+  const broken = run('audit.js', 'verify');
+  assert.strictEqual(broken.status, 1);
+  assert.match(broken.body.error, /Audit log is broken/);
+});
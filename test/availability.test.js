@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempData, removeTempData, run, nextMillisecond } = require('./helpers');
+
+const root = useTempData();
+test.after(() => removeTempData(root));
+
+const availability = require('../scripts/lib/availability');
+const BookingSystem = require('../scripts/booking');
+
+// US clocks spring forward on Sunday 2026-03-08
+const CALENDAR = {
+  timeZone: 'America/New_York',
+  weekly: [{ days: [1, 2, 3, 4], hours: ['14:00-16:00'] }],
+  slotMinutes: 30,
+  bufferMinutes: 15,
+  minNoticeHours: 24,
+  horizonDays: 21,
+  maxPerWeek: 2
+};
+const NOW = new Date('2026-03-05T12:00:00Z');
+
+const at = wall => availability.parseTime(wall, CALENDAR.timeZone);
+const session = (id, wall) => {
+  const start = at(wall);
+  return { id, start, end: new Date(start.getTime() + CALENDAR.slotMinutes * 60 * 1000) };
+};
+
+test('wall-clock times follow the zone across DST', () => {
+  assert.strictEqual(at('2026-03-02 14:00').toISOString(), '2026-03-02T19:00:00.000Z');
+  assert.strictEqual(at('2026-03-09T14:00').toISOString(), '2026-03-09T18:00:00.000Z');
+  // 02:30 never happens on the 8th; it lands just after the jump
+  assert.strictEqual(at('2026-03-08 02:30').toISOString(), '2026-03-08T07:30:00.000Z');
+  assert.strictEqual(availability.parseTime('2026-03-09T14:00:00Z', CALENDAR.timeZone).toISOString(),
+    '2026-03-09T14:00:00.000Z');
+
+  assert.strictEqual(availability.formatLocal(new Date('2026-03-09T18:00:00Z'), CALENDAR.timeZone), 'Mon 2026-03-09 14:00');
+  assert.strictEqual(availability.weekOf(new Date('2026-03-15T03:00:00Z'), CALENDAR.timeZone), '2026-03-08');
+  assert.match(availability.validateTimeZone('Mars/Olympus_Mons'), /unknown time zone/);
+});
+
+test('times that do not exist are refused, not rolled over', () => {
+  for (const wall of ['2026-02-30 14:00', '2026-01-01 25:00', '2026-13-01 14:00', '2026-02-16 14:60', 'someday']) {
+    assert.strictEqual(at(wall), null, wall);
+  }
+  assert.strictEqual(at('2028-02-29 14:00').toISOString(), '2028-02-29T19:00:00.000Z');
+});
+
+test('open slots start after the minimum notice and keep the local hours', () => {
+  const open = availability.openSlots(CALENDAR, [], NOW, 7);
+  // Thursday the 5th is inside the notice; Monday the 9th is the next open day
+  assert.strictEqual(open[0].local, 'Mon 2026-03-09 14:00');
+  assert.strictEqual(open[0].start, '2026-03-09T18:00:00.000Z');
+  assert.strictEqual(open[0].end, '2026-03-09T18:30:00.000Z');
+  assert.strictEqual(open.length, 12);
+  assert.ok(open.every(slot => / (14:00|14:30|15:00|15:30)$/.test(slot.local)));
+
+  const soon = availability.check(at('2026-03-05 14:00'), CALENDAR, [], NOW);
+  assert.strictEqual(soon.code, 'validation');
+  assert.match(soon.error, /less than 24h away/);
+  assert.match(availability.check(at('2026-04-06 14:00'), CALENDAR, [], NOW).error, /more than 21 days out/);
+  assert.match(availability.check(at('2026-03-09 14:10'), CALENDAR, [], NOW).error, /isn't an open slot/);
+  assert.strictEqual(availability.check(at('2026-03-09 14:00'), CALENDAR, [], NOW), null);
+});
+
+test('sessions keep the buffer clear on both sides', () => {
+  const busy = [session('booking_1', '2026-03-09 15:00')];
+  const open = availability.openSlots(CALENDAR, busy, NOW, 7)
+    .filter(slot => slot.local.startsWith('Mon'))
+    .map(slot => slot.local.slice(-5));
+  // 14:30 ends 15 minutes short of the session, 15:30 starts right as it ends
+  assert.deepStrictEqual(open, ['14:00']);
+
+  const clash = availability.check(at('2026-03-09 15:30'), CALENDAR, busy, NOW);
+  assert.strictEqual(clash.code, 'state');
+  assert.match(clash.error, /overlaps booking_1 at Mon 2026-03-09 15:00 \(sessions keep 15 minutes apart\)/);
+  assert.strictEqual(availability.check(at('2026-03-09 14:00'), CALENDAR, busy, NOW), null);
+});
+
+test('a full week has no open slots', () => {
+  const busy = [session('booking_1', '2026-03-09 14:00'), session('booking_2', '2026-03-11 14:00')];
+  const open = availability.openSlots(CALENDAR, busy, NOW);
+  assert.ok(open.length > 0);
+  assert.ok(open.every(slot => slot.week !== '2026-03-08'));
+
+  const full = availability.check(at('2026-03-10 15:00'), CALENDAR, busy, NOW);
+  assert.strictEqual(full.code, 'state');
+  assert.match(full.error, /The week of 2026-03-08 is fully booked \(2 sessions\)/);
+  assert.strictEqual(availability.check(at('2026-03-16 15:00'), CALENDAR, busy, NOW), null);
+});
+
+test('a slot is booked once: the second approval exits 5', () => {
+  const system = new BookingSystem();
+  const [slot] = system.slots();
+  const first = system.submit('ada', 'ada/repo', 'code review', null, '@ada').booking;
+  nextMillisecond();
+  const second = system.submit('grace', 'grace/repo', 'architecture', null, '@grace').booking;
+
+  assert.strictEqual(run('booking.js', 'approve', first.id, slot.start).status, 0);
+  const taken = run('booking.js', 'approve', second.id, slot.start);
+  assert.strictEqual(taken.status, 5);
+  assert.match(taken.body.error, new RegExp(`overlaps ${first.id}`));
+  // --force skips the schedule checks, never a clash
+  assert.strictEqual(run('booking.js', 'approve', second.id, slot.start, '--force').status, 5);
+  assert.strictEqual(run('booking.js', 'approve', second.id, '2026-02-30 14:00').status, 4);
+  assert.strictEqual(new BookingSystem().bookings.find(b => b.id === second.id).status, 'pending');
+});
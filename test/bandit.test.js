@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Selector, rewards, sampleBeta } = require('../scripts/lib/bandit');
+
+// Seeded so the sampled draws are the same on every run (mulberry32)
+function seeded(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const snapshot = (contentId, likes, impressions) =>
+  ({ contentId, at: '2030-03-01T00:00:00Z', likes, reposts: 0, replies: 0, quotes: 0, bookmarks: 0, impressions });
+
+const POSTED = [
+  { id: 'a', type: 'hot_take', template: 'hot_take', pattern: 0 },
+  { id: 'b', type: 'hot_take', template: 'hot_take', pattern: 1 },
+  { id: 'c', type: 'build_update', template: 'build_update', pattern: 0 },
+  { id: 'd', type: 'build_update' }
+];
+const SNAPSHOTS = [snapshot('a', 40, 1000), snapshot('b', 10, 1000), snapshot('c', 20, 1000), snapshot('d', 5, 0)];
+
+test('rewards are engagement rates scaled against the best post', () => {
+  assert.deepStrictEqual(rewards(POSTED, SNAPSHOTS), [
+    { type: 'hot_take', pattern: 'hot_take#0', reward: 1 },
+    { type: 'hot_take', pattern: 'hot_take#1', reward: 0.25 },
+    { type: 'build_update', pattern: 'build_update#0', reward: 0.5 }
+  ]);
+});
+
+test('Beta draws centre on the posterior mean', () => {
+  const random = seeded(7);
+  const draws = Array.from({ length: 4000 }, () => sampleBeta(8, 2, random));
+  const mean = draws.reduce((sum, x) => sum + x, 0) / draws.length;
+  assert.ok(Math.abs(mean - 0.8) < 0.02, `mean ${mean}`);
+  assert.ok(draws.every(x => x > 0 && x < 1));
+});
+
+test('arms with no history keep static priorities and uniform pattern picks', () => {
+  const selector = new Selector([], [], { random: () => 0.75 });
+  assert.strictEqual(selector.hasHistory(), false);
+  assert.strictEqual(selector.priority('hot_take', 7), 7);
+
+  const candidates = [{ index: 0 }, { index: 1 }, { index: 2 }, { index: 3 }];
+  assert.strictEqual(selector.choosePattern('hot_take', candidates), candidates[3]);
+});
+
+test('better arms get higher weights and win more pattern picks', () => {
+  const selector = new Selector(POSTED, SNAPSHOTS, { random: seeded(42), exploration: 0 });
+  const weights = selector.weights();
+
+  assert.deepStrictEqual(Object.keys(weights.types), ['hot_take', 'build_update']);
+  assert.deepStrictEqual(weights.types.hot_take, { posts: 2, weight: 1.13 });
+  assert.deepStrictEqual(weights.patterns['hot_take#0'], { posts: 1, weight: 1.33 });
+
+  const candidates = [{ index: 0 }, { index: 1 }];
+  let wins = 0;
+  for (let i = 0; i < 500; i++) {
+    if (selector.choosePattern('hot_take', candidates).index === 0) wins++;
+  }
+  assert.ok(wins > 300, `pattern 0 won ${wins}/500`);
+});
+
+test('full exploration samples every arm from the flat prior', () => {
+  const explorer = new Selector(POSTED, SNAPSHOTS, { random: seeded(1), exploration: 1 });
+  const priorities = Array.from({ length: 2000 }, () => explorer.priority('hot_take', 10));
+  const mean = priorities.reduce((sum, x) => sum + x, 0) / priorities.length;
+  assert.ok(Math.abs(mean - 10) < 0.5, `mean ${mean}`);
+});
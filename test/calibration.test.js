@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const calibration = require('../scripts/lib/calibration');
+
+const CALLS = [
+  { confidence: 80, outcome: 'correct', resolvedAt: '2026-02-10T00:00:00Z' },
+  { confidence: 70, outcome: 'incorrect', resolvedAt: '2026-02-20T00:00:00Z' },
+  { confidence: 60, outcome: 'partial', resolvedAt: '2026-03-01T00:00:00Z' }
+];
+
+test('Brier score, log loss and accuracy', () => {
+  const { count, accuracy, brier, logLoss } = calibration.score(CALLS);
+  assert.strictEqual(count, 3);
+  // (0.2² + 0.7² + 0.1²) / 3
+  assert.strictEqual(brier, 0.18);
+  // (-ln 0.8 - ln 0.3 - (ln 0.6 + ln 0.4) / 2) / 3
+  assert.strictEqual(logLoss, 0.714);
+  assert.strictEqual(accuracy, 50);
+});
+
+test('nothing resolved scores as null', () => {
+  assert.deepStrictEqual(calibration.score([]),
+    { count: 0, accuracy: null, brier: null, logLoss: null, calibration: [] });
+});
+
+test('certain calls are clamped so log loss stays finite', () => {
+  const wrong = calibration.score([{ confidence: 100, outcome: 'incorrect' }]);
+  assert.strictEqual(wrong.logLoss, 4.605);
+  assert.strictEqual(wrong.brier, 0.98);
+  assert.strictEqual(calibration.score([{ confidence: 0, outcome: 'incorrect' }]).logLoss, 0.01);
+});
+
+test('partial outcomes earn the configured credit', () => {
+  assert.strictEqual(calibration.outcomeValue('partial'), 0.5);
+  assert.strictEqual(calibration.outcomeValue('correct'), 1);
+  assert.strictEqual(calibration.outcomeValue('incorrect'), 0);
+
+  const generous = { ...calibration.DEFAULTS, partialCredit: 1 };
+  assert.strictEqual(calibration.score([CALLS[2]], generous).accuracy, 100);
+  assert.strictEqual(calibration.score([CALLS[2]], generous).brier, 0.16);
+});
+
+test('confidence buckets compare stated and observed hit rates', () => {
+  assert.deepStrictEqual(calibration.score(CALLS).calibration, [
+    { range: '60–70', count: 1, stated: 60, observed: 50, gap: -10 },
+    { range: '70–80', count: 1, stated: 70, observed: 0, gap: -70 },
+    { range: '80–90', count: 1, stated: 80, observed: 100, gap: 20 }
+  ]);
+
+  // 100% lands in the top bucket rather than a bucket of its own
+  const sure = calibration.calibrationTable([{ confidence: 95, value: 1 }, { confidence: 100, value: 0 }]);
+  assert.deepStrictEqual(sure, [{ range: '90–100', count: 2, stated: 97.5, observed: 50, gap: -47.5 }]);
+
+  const wide = calibration.calibrationTable([{ confidence: 55, value: 1 }], { ...calibration.DEFAULTS, bucketSize: 25 });
+  assert.strictEqual(wide[0].range, '50–75');
+});
+
+test('scores group by any key, e.g. the month resolved', () => {
+  const byMonth = calibration.scoreBy(CALLS, calibration.resolvedMonth);
+  assert.deepStrictEqual(Object.keys(byMonth), ['2026-02', '2026-03']);
+  assert.strictEqual(byMonth['2026-02'].count, 2);
+  assert.strictEqual(byMonth['2026-03'].accuracy, 50);
+  assert.strictEqual(calibration.resolvedMonth({ resolutionDate: '2026-04-01' }), '2026-04');
+  assert.strictEqual(calibration.resolvedMonth({}), 'unknown');
+});
+
+test('revisions give a final confidence and a trajectory', () => {
+  const revised = {
+    confidence: 70,
+    outcome: 'incorrect',
+    revisions: [{ confidence: 55 }, { confidence: 55 }, { confidence: 40 }]
+  };
+  assert.strictEqual(calibration.finalConfidence(revised), 40);
+  assert.strictEqual(calibration.finalConfidence({ confidence: 70 }), 70);
+  assert.deepStrictEqual(calibration.trajectory(revised), [70, 55, 40]);
+  assert.deepStrictEqual(calibration.trajectory({ confidence: 70 }), [70]);
+
+  // Scored on the original by default, the final one on request
+  assert.strictEqual(calibration.score([revised]).brier, 0.49);
+  assert.strictEqual(calibration.score([revised], { ...calibration.DEFAULTS, final: true }).brier, 0.16);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempData, removeTempData, run } = require('./helpers');
+
+const root = useTempData();
+test.after(() => removeTempData(root));
+
+test('config show reports settings and where they came from as JSON', () => {
+  const { status, body } = run('config.js', 'show');
+  assert.strictEqual(status, 0);
+  assert.strictEqual(body.values.dataDir, process.env.KIRA_DATA_DIR);
+  assert.match(body.origins.dataDir, /KIRA_DATA_DIR/);
+});
+
+test('unknown commands are usage errors in every CLI', () => {
+  for (const script of ['config.js', 'content.js', 'clip.js', 'booking.js', 'predictions.js', 'audit.js']) {
+    const { status, body } = run(script, 'frobnicate');
+    assert.strictEqual(status, 2, script);
+    assert.deepStrictEqual(body, { error: 'Unknown command: frobnicate', code: 'usage' }, script);
+  }
+  assert.strictEqual(run('config.js').status, 0);
+});
+
+test('failures carry the shared exit codes', () => {
+  assert.strictEqual(run('content.js', 'approve').status, 2);
+  assert.deepStrictEqual(run('content.js', 'approve', 'content_missing'),
+    { status: 3, body: { error: 'Content not found', code: 'not_found' } });
+
+  const shouty = run('content.js', 'add', 'Big News today', '--type', 'build_update');
+  assert.strictEqual(shouty.status, 0);
+  assert.strictEqual(run('content.js', 'approve', shouty.body.id).status, 4);
+  assert.strictEqual(run('content.js', 'approve', shouty.body.id, '--force').status, 0);
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { useTempData, removeTempData } = require('./helpers');
+
+const root = useTempData();
+
+const { Store } = require('../scripts/lib/store');
+const { getConfig } = require('../scripts/lib/config');
+const ContentEngine = require('../scripts/content');
+const Dashboard = require('../scripts/dashboard');
+
+const dashboard = new Dashboard({ port: 0 });
+let port;
+
+test.before(async () => {
+  ({ port } = await dashboard.start());
+});
+test.after(async () => {
+  await dashboard.stop();
+  removeTempData(root);
+});
+
+/**
+ * Make a request the way the dashboard page does, unless `headers` or
+ * a raw string `body` say otherwise: { status, body }
+ */
+function request(method, path, { body, headers = {} } = {}) {
+  const payload = body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body);
+  const options = {
+    host: '127.0.0.1',
+    port,
+    method,
+    path,
+    headers: {
+      host: `127.0.0.1:${port}`,
+      ...(method === 'POST' ? { 'content-type': 'application/json', origin: `http://127.0.0.1:${port}` } : {}),
+      ...headers
+    }
+  };
+  Object.keys(options.headers).filter(name => options.headers[name] === undefined)
+    .forEach(name => delete options.headers[name]);
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        const json = res.headers['content-type'].startsWith('application/json');
+        resolve({ status: res.statusCode, body: json ? JSON.parse(text) : text });
+      });
+    });
+    req.on('error', reject);
+    if (payload !== null) req.write(payload);
+    req.end();
+  });
+}
+
+test('serves the page and each board', async () => {
+  const page = await request('GET', '/');
+  assert.strictEqual(page.status, 200);
+  assert.match(page.body, /<html/i);
+
+  for (const board of ['content', 'clips', 'bookings', 'predictions']) {
+    assert.strictEqual((await request('GET', `/api/${board}`)).status, 200, board);
+  }
+  assert.strictEqual((await request('GET', '/api/nothing')).status, 404);
+  assert.strictEqual((await request('POST', '/api/content')).status, 405);
+});
+
+test('content can be edited, approved and rejected', async () => {
+  const engine = new ContentEngine();
+  const item = engine.addDraft('shipped the dashboard today.', 'build_update');
+
+  const edited = await request('POST', `/api/content/${item.id}/edit`, {
+    body: { text: 'shipped the review dashboard.' }
+  });
+  assert.strictEqual(edited.status, 200);
+  assert.strictEqual(edited.body.text, 'shipped the review dashboard.');
+
+  const approved = await request('POST', `/api/content/${item.id}/approve`, {
+    body: { publishAt: '2030-01-01T09:00:00Z' }
+  });
+  assert.strictEqual(approved.status, 200);
+  assert.strictEqual(approved.body.status, 'approved');
+  assert.strictEqual(approved.body.publishAt, '2030-01-01T09:00:00.000Z');
+
+  const rejected = await request('POST', `/api/content/${item.id}/reject`, { body: { reason: 'not now' } });
+  assert.strictEqual(rejected.body.status, 'rejected');
+
+  const board = await request('GET', '/api/content');
+  assert.ok(!board.body.approved.some(queued => queued.id === item.id));
+});
+
+test('approving content with lint errors is a conflict until forced', async () => {
+  const item = new ContentEngine().addDraft('Big News today', 'build_update');
+
+  const refused = await request('POST', `/api/content/${item.id}/approve`, { body: { force: false } });
+  assert.strictEqual(refused.status, 409);
+  assert.match(refused.body.error, /voice lint error/);
+
+  const forced = await request('POST', `/api/content/${item.id}/approve`, { body: { force: true } });
+  assert.strictEqual(forced.status, 200);
+  assert.strictEqual(forced.body.status, 'approved');
+});
+
+test('clips can be approved', async () => {
+  new Store(getConfig().clipsPath).write([{ id: 'clip_1', status: 'detected', score: 6, indicators: [] }]);
+  const approved = await request('POST', '/api/clips/clip_1/approve', { body: {} });
+  assert.strictEqual(approved.status, 200);
+  assert.strictEqual(approved.body.status, 'approved');
+  assert.strictEqual((await request('GET', '/api/clips')).body.stats.approved, 1);
+});
+
+test('unknown items are 404s and bad input is a 400', async () => {
+  assert.strictEqual((await request('POST', '/api/content/content_missing/approve', { body: {} })).status, 404);
+  assert.strictEqual((await request('POST', '/api/clips/clip_missing/approve', { body: {} })).status, 404);
+
+  const item = new ContentEngine().addDraft('one more draft.', 'build_update');
+  const edit = body => request('POST', `/api/content/${item.id}/edit`, { body });
+  assert.strictEqual((await edit({ text: '   ' })).status, 400);
+  assert.strictEqual((await edit('{"text": ')).status, 400);
+  for (const body of ['null', '42', '"text"', '["text"]']) {
+    const response = await edit(body);
+    assert.deepStrictEqual([response.status, response.body.error], [400, 'JSON body must be an object'], body);
+  }
+  const badTime = await request('POST', `/api/content/${item.id}/approve`, { body: { publishAt: 'someday' } });
+  assert.strictEqual(badTime.status, 400);
+});
+
+test('POSTs from other origins or hosts, or without a JSON content type, are refused', async () => {
+  const url = '/api/content/content_missing/reject';
+  const post = headers => request('POST', url, { body: {}, headers });
+
+  assert.strictEqual((await post({ origin: 'http://evil.example' })).status, 403);
+  assert.strictEqual((await post({ host: `evil.example:${port}`, origin: `http://evil.example:${port}` })).status, 403);
+  assert.strictEqual((await post({ 'content-type': 'text/plain' })).status, 415);
+  assert.strictEqual((await post({ 'content-type': 'application/x-www-form-urlencoded' })).status, 415);
+
+  // Same-origin requests by any loopback name get through to the handler
+  assert.strictEqual((await post({ host: `localhost:${port}`, origin: `http://localhost:${port}` })).status, 404);
+  assert.strictEqual((await post({ origin: undefined })).status, 404);
+});
+
+test('oversized bodies are a 413', async () => {
+  const response = await request('POST', '/api/content/content_missing/edit', {
+    body: { text: 'x'.repeat(128 * 1024) }
+  });
+  assert.strictEqual(response.status, 413);
+});
+
+test('only loopback addresses can be bound', () => {
+  assert.throws(() => new Dashboard({ host: '0.0.0.0' }), /only binds to 127.0.0.1, localhost, ::1 \(not 0.0.0.0\)/);
+  assert.strictEqual(new Dashboard({ host: '::1' }).host, '::1');
+});
@@ -0,0 +1,62 @@
+/**
+ * Test Helpers
+ *
+ * node --test runs each file in its own process, so a file that calls
+ * useTempData() before requiring any script gets private data files:
+ * the scripts read their paths from the environment when loaded.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SCRIPTS = path.join(__dirname, '..', 'scripts');
+
+/**
+ * Point every data path at a fresh temp dir; returns its root
+ */
+function useTempData() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'kira-test-'));
+  Object.assign(process.env, {
+    KIRA_DATA_DIR: path.join(root, 'data'),
+    KIRA_WORKSPACE: path.join(root, 'workspace'),
+    KIRA_SOURCES_DIR: path.join(root, 'sources'),
+    KIRA_PUBLISHER: 'dry-run',
+    KIRA_REWRITER: 'none',
+    KIRA_ACTOR: 'test'
+  });
+  fs.mkdirSync(process.env.KIRA_DATA_DIR, { recursive: true });
+  return root;
+}
+
+function removeTempData(root) {
+  fs.rmSync(root, { recursive: true, force: true });
+}
+
+/**
+ * Run a CLI script with --json: { status, body }
+ */
+function run(script, ...args) {
+  const child = spawnSync(process.execPath, [path.join(SCRIPTS, script), ...args, '--json'], {
+    env: process.env,
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  let body = null;
+  try {
+    body = JSON.parse(child.stdout);
+  } catch (e) {
+    body = child.stdout;
+  }
+  return { status: child.status, body };
+}
+
+/**
+ * IDs are timestamped to the millisecond; wait one out between creates
+ */
+function nextMillisecond() {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 2);
+}
+
+module.exports = { SCRIPTS, useTempData, removeTempData, run, nextMillisecond };
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempData, removeTempData, run, nextMillisecond } = require('./helpers');
+
+const root = useTempData();
+test.after(() => removeTempData(root));
+
+const { Store } = require('../scripts/lib/store');
+const { getConfig } = require('../scripts/lib/config');
+const { TransitionError } = require('../scripts/lib/lifecycle');
+const ContentEngine = require('../scripts/content');
+const ClipDetector = require('../scripts/clip');
+const BookingSystem = require('../scripts/booking');
+const PredictionsTracker = require('../scripts/predictions');
+const bookingModel = require('../scripts/lib/booking-model');
+const predictionModel = require('../scripts/lib/prediction-model');
+
+// The tables in the README's Lifecycles section
+const TABLES = {
+  content: [ContentEngine.LIFECYCLE, {
+    pending: ['approved', 'rejected'],
+    approved: ['approved', 'pending', 'rejected', 'posted'],
+    rejected: ['pending'],
+    posted: []
+  }],
+  clip: [ClipDetector.LIFECYCLE, {
+    detected: ['approved', 'rejected'],
+    approved: ['posted'],
+    rejected: [],
+    posted: []
+  }],
+  booking: [bookingModel.LIFECYCLE, {
+    pending: ['approved', 'cancelled'],
+    approved: ['paid', 'cancelled'],
+    paid: ['completed', 'cancelled'],
+    completed: [],
+    cancelled: []
+  }],
+  prediction: [predictionModel.LIFECYCLE, {
+    active: ['resolved'],
+    resolved: []
+  }]
+};
+
+for (const [entity, [lifecycle, table]] of Object.entries(TABLES)) {
+  test(`${entity} lifecycle allows exactly the documented moves`, () => {
+    assert.deepStrictEqual(lifecycle.statuses().sort(), Object.keys(table).sort());
+    for (const from of lifecycle.statuses()) {
+      for (const to of lifecycle.statuses()) {
+        assert.strictEqual(lifecycle.can({ status: from }, to), table[from].includes(to), `${from} -> ${to}`);
+      }
+    }
+  });
+
+  test(`${entity} lifecycle refuses illegal moves with a state error and keeps history`, () => {
+    const [first, ...rest] = lifecycle.statuses();
+    const item = lifecycle.create({ id: 'item_1' }, first, { actor: 'test' });
+    const illegal = rest.find(to => !table[first].includes(to)) || first;
+    assert.throws(() => lifecycle.transition(item, illegal, { actor: 'test' }),
+      e => e instanceof TransitionError && e.code === 'state');
+    assert.strictEqual(item.status, first);
+    assert.deepStrictEqual(item.history.map(h => [h.from, h.to, h.actor]), [[null, first, 'test']]);
+  });
+}
+
+test('guards fail with a validation error', () => {
+  const guarded = [
+    [bookingModel.LIFECYCLE, 'pending', 'approved', { scheduledTime: 'someday' }],
+    [bookingModel.LIFECYCLE, 'approved', 'paid', {}],
+    [predictionModel.LIFECYCLE, 'active', 'resolved', { outcome: 'maybe' }],
+    [ClipDetector.LIFECYCLE, 'approved', 'posted', {}]
+  ];
+  for (const [lifecycle, from, to, context] of guarded) {
+    assert.throws(() => lifecycle.check({ id: 'item_1', status: from }, to, context),
+      e => e instanceof TransitionError && e.code === 'validation', `${lifecycle.entity} ${from} -> ${to}`);
+  }
+});
+
+test('content moves through the queue', () => {
+  const engine = new ContentEngine();
+  const item = engine.addDraft('shipped the scheduler today.', 'build_update');
+  assert.strictEqual(item.status, 'pending');
+
+  assert.strictEqual(engine.approve(item.id).status, 'approved');
+  assert.strictEqual(engine.approve(item.id, '2030-01-01T09:00:00Z').publishAt, '2030-01-01T09:00:00.000Z');
+  assert.strictEqual(engine.reject(item.id, 'not now').status, 'rejected');
+  assert.strictEqual(engine.approve(item.id).code, 'state');
+  assert.strictEqual(engine.requeue(item.id).status, 'pending');
+  assert.strictEqual(engine.markPosted(item.id, 'tweet_1').code, 'state');
+
+  engine.approve(item.id);
+  const posted = engine.markPosted(item.id, 'tweet_1', 'https://x.com/i/status/1');
+  assert.strictEqual(posted.status, 'posted');
+  assert.strictEqual(engine.approve(item.id), null);
+  assert.deepStrictEqual(posted.history.map(h => h.to),
+    ['pending', 'approved', 'approved', 'rejected', 'pending', 'approved', 'posted']);
+
+  const queued = run('content.js', 'add', 'writing tests for the queue.', '--type', 'build_update');
+  assert.strictEqual(run('content.js', 'reject', queued.body.id).status, 0);
+  assert.strictEqual(run('content.js', 'approve', queued.body.id).status, 5);
+});
+
+test('clips move from detected to approved and posted, or rejected', () => {
+  const detected = id => ({
+    id,
+    status: 'detected',
+    timestamp: new Date().toISOString(),
+    score: 6,
+    indicators: [],
+    messages: []
+  });
+  new Store(getConfig().clipsPath).write([detected('clip_1'), detected('clip_2')]);
+  const detector = new ClipDetector();
+
+  assert.strictEqual(detector.markPosted('clip_1', 'https://x.com/i/status/1').code, 'state');
+  assert.strictEqual(detector.approve('clip_1').status, 'approved');
+  assert.strictEqual(detector.markPosted('clip_1', '').code, 'validation');
+  assert.strictEqual(detector.markPosted('clip_1', 'https://x.com/i/status/1').status, 'posted');
+
+  assert.strictEqual(detector.reject('clip_2', 'too quiet').status, 'rejected');
+  assert.strictEqual(detector.approve('clip_2').code, 'state');
+  assert.deepStrictEqual(detector.stats(), { total: 2, pending: 0, approved: 0, rejected: 1, posted: 1 });
+
+  assert.strictEqual(run('clip.js', 'posted', 'clip_2').status, 2);
+  assert.strictEqual(run('clip.js', 'reject', 'clip_missing').status, 3);
+  assert.strictEqual(run('clip.js', 'approve', 'clip_1').status, 5);
+});
+
+test('bookings move from pending to completed, cancellable until then', () => {
+  const system = new BookingSystem();
+  const now = new Date();
+  const start = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000).toISOString();
+
+  const { booking } = system.submit('ada', 'ada/repo', 'code review', null, '@ada');
+  assert.strictEqual(booking.status, 'pending');
+  assert.strictEqual(system.markPaid(booking.id, 'tx_1').code, 'state');
+  assert.strictEqual(system.approve(booking.id, 'someday').code, 'validation');
+  assert.strictEqual(system.approve(booking.id, start, { force: true, now }).booking.status, 'approved');
+  assert.strictEqual(system.markPaid(booking.id, '').code, 'validation');
+  assert.strictEqual(system.markPaid(booking.id, 'tx_1').booking.status, 'paid');
+  assert.strictEqual(system.complete(booking.id, 'fixed the bug').booking.status, 'completed');
+  assert.strictEqual(system.cancel(booking.id).code, 'state');
+
+  nextMillisecond();
+  const other = system.submit('grace', 'grace/repo', 'architecture', null, '@grace').booking;
+  assert.strictEqual(system.cancel(other.id, 'no show').booking.status, 'cancelled');
+  assert.strictEqual(system.approve(other.id, start, { force: true, now }).code, 'state');
+
+  assert.strictEqual(run('booking.js', 'approve').status, 2);
+  assert.strictEqual(run('booking.js', 'paid', 'booking_missing', 'tx_2').status, 3);
+  assert.strictEqual(run('booking.js', 'cancel', booking.id).status, 5);
+  assert.strictEqual(run('booking.js', 'paid', other.id, 'tx_2').status, 5);
+});
+
+test('predictions resolve exactly once', () => {
+  const tracker = new PredictionsTracker();
+  const pred = tracker.add('the scheduler ships by friday', 80, 'tech', '2030-01-01');
+  assert.strictEqual(pred.status, 'active');
+  assert.strictEqual(tracker.resolve(pred.id, 'maybe').code, 'validation');
+  assert.strictEqual(tracker.resolve(pred.id, 'correct', 'shipped').status, 'resolved');
+  assert.strictEqual(tracker.resolve(pred.id, 'incorrect').code, 'state');
+
+  assert.strictEqual(run('predictions.js', 'resolve').status, 2);
+  assert.strictEqual(run('predictions.js', 'resolve', 'pred_missing', 'correct').status, 3);
+  assert.strictEqual(run('predictions.js', 'resolve', pred.id, 'incorrect').status, 5);
+  const open = run('predictions.js', 'add', 'tests run in ci by march', '70', 'tech', '2030-03-01');
+  assert.strictEqual(open.status, 0);
+  assert.strictEqual(run('predictions.js', 'resolve', open.body.id, 'maybe').status, 4);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempData, removeTempData } = require('./helpers');
+
+const root = useTempData();
+test.after(() => removeTempData(root));
+
+const { Store } = require('../scripts/lib/store');
+const metrics = require('../scripts/lib/metrics');
+
+const post = (id, tweetId, type, pattern, postedAt) =>
+  ({ id, tweetId, type, template: type, pattern, source: 'git', postedAt });
+const POSTED = [
+  post('content_1', 't1', 'hot_take', 0, '2030-03-01T09:15:00'),
+  post('content_2', 't2', 'build_update', 1, '2030-03-01T18:00:00'),
+  { id: 'content_3', tweetId: null, type: 'hot_take' }
+];
+
+const FIXTURE = {
+  t1: { like_count: 10, retweet_count: 2, reply_count: 3, quote_count: 0, impression_count: 500, bookmark_count: 1 },
+  t2: { like_count: 1, impression_count: 400 }
+};
+
+test('sync appends one snapshot per tracked post and reports what it could not fetch', async () => {
+  const fixturePath = path.join(root, 'metrics-fixture.json');
+  fs.writeFileSync(fixturePath, JSON.stringify({ t1: FIXTURE.t1 }));
+  const store = new Store(path.join(root, 'metrics.json'));
+
+  const result = await metrics.syncMetrics(POSTED, new metrics.FixtureMetricsClient(fixturePath), store,
+    new Date('2030-03-02T00:00:00Z'));
+
+  assert.strictEqual(result.skipped, 1);
+  assert.deepStrictEqual(result.missing, ['content_2']);
+  assert.deepStrictEqual(store.read(), [{
+    contentId: 'content_1',
+    tweetId: 't1',
+    at: '2030-03-02T00:00:00.000Z',
+    likes: 10,
+    reposts: 2,
+    replies: 3,
+    quotes: 0,
+    impressions: 500,
+    bookmarks: 1
+  }]);
+});
+
+test('the fixture client fails loudly when its file is missing', async () => {
+  const client = new metrics.FixtureMetricsClient(path.join(root, 'missing.json'));
+  await assert.rejects(client.fetch(['t1']), /Metrics fixture not found/);
+});
+
+test('reports use the latest snapshot per post, grouped and ranked by engagement rate', () => {
+  const snapshot = (contentId, at, counts) => ({
+    contentId, at, likes: 0, reposts: 0, replies: 0, quotes: 0, impressions: 0, bookmarks: 0, ...counts
+  });
+  const snapshots = [
+    snapshot('content_1', '2030-03-01T10:00:00Z', { likes: 1, impressions: 100 }),
+    snapshot('content_1', '2030-03-02T10:00:00Z', { likes: 10, reposts: 2, replies: 3, bookmarks: 1, impressions: 500 }),
+    snapshot('content_2', '2030-03-02T10:00:00Z', { likes: 1, impressions: 400 })
+  ];
+  const report = metrics.buildReport(POSTED, snapshots, {
+    hot_take: ['hot take: {topic} is {opinion}.'],
+    build_update: [{ text: 'a' }, { text: 'just shipped: {feature}.' }]
+  });
+
+  assert.strictEqual(report.posts, 2);
+  assert.strictEqual(metrics.engagement(metrics.latestSnapshots(snapshots).get('content_1')), 16);
+  assert.deepStrictEqual(Object.keys(report.byType), ['hot_take', 'build_update']);
+  assert.strictEqual(report.byType.hot_take.engagementRate, 3.2);
+  assert.strictEqual(report.byType.build_update.engagementRate, 0.25);
+  assert.strictEqual(report.overall.likes, 5.5);
+  assert.strictEqual(report.overall.engagementRate, 1.89);
+  assert.deepStrictEqual(Object.keys(report.byPattern), [
+    'hot_take#0 hot take: {topic} is {opinion}.',
+    'build_update#1 just shipped: {feature}.'
+  ]);
+  assert.deepStrictEqual(Object.keys(report.byHour), ['09:00', '18:00']);
+  assert.deepStrictEqual(Object.keys(report.bySource), ['git']);
+});
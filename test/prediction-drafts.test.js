@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempData, removeTempData, run, nextMillisecond } = require('./helpers');
+
+const root = useTempData();
+test.after(() => removeTempData(root));
+
+const { getConfig } = require('../scripts/lib/config');
+const { createPublisher } = require('../scripts/lib/publisher');
+const voice = require('../scripts/lib/voice');
+const ContentEngine = require('../scripts/content');
+const PredictionsTracker = require('../scripts/predictions');
+
+const { dataDir } = getConfig();
+
+const queued = id => new ContentEngine().queue.find(item => item.id === id);
+
+test('add drafts an announcement that passes the voice lint', () => {
+  const tracker = new PredictionsTracker();
+  const pred = tracker.add('SOL flips 300 before march', 75, 'crypto', '2030-03-01');
+  const item = queued(pred.drafts.announcement);
+
+  assert.strictEqual(item.predictionId, pred.id);
+  assert.strictEqual(item.predictionDraft, 'announcement');
+  assert.ok(item.text.includes('SOL flips 300 before march'));
+  assert.match(item.text, /\n\nnfa$/);
+  assert.deepStrictEqual(voice.errorsIn(voice.lint(item.text, { type: item.type })), []);
+});
+
+test('a manual resolution cites the proof it was given', () => {
+  nextMillisecond();
+  const tracker = new PredictionsTracker();
+  const pred = tracker.add('the talk gets 100 signups', 60, 'personal', '2030-03-01');
+  const resolved = tracker.resolve(pred.id, 'correct', 'https://example.com/signups');
+
+  assert.match(queued(resolved.drafts.resolution).text, /receipts: https:\/\/example\.com\/signups/);
+});
+
+test('a checked resolution cites the receipt, never the raw proof', async () => {
+  nextMillisecond();
+  fs.writeFileSync(path.join(dataDir, 'premium.json'), JSON.stringify({ subs: 104 }));
+  const tracker = new PredictionsTracker();
+  const pred = tracker.add('100 premium subs by 2030', 70, 'business', '2030-01-01', '',
+    { source: 'json', params: { path: 'premium.json', field: 'subs' }, comparator: '>=', threshold: 100 });
+
+  const now = new Date('2026-03-01T12:00:00Z');
+  const report = await tracker.check({ now });
+  assert.deepStrictEqual(report.resolved.map(r => r.id), [pred.id]);
+
+  const stored = tracker.list('resolved').find(p => p.id === pred.id);
+  assert.strictEqual(stored.resolvedBy, 'check');
+  assert.strictEqual(stored.receipt, '104 on 2026-03-01');
+  assert.ok(stored.proof.includes(path.join(dataDir, 'premium.json')));
+
+  const text = queued(stored.drafts.resolution).text;
+  assert.match(text, /receipts: 104 on 2026-03-01/);
+  assert.ok(!text.includes(root), text);
+  assert.ok(!text.includes('premium.json'), text);
+});
+
+test('reminders are drafted once per milestone', () => {
+  nextMillisecond();
+  const tracker = new PredictionsTracker();
+  const pred = tracker.add('the beta ships in a month', 65, 'tech', '2030-01-31');
+  const made = new Date(pred.dateMade);
+  const halfway = new Date(made.getTime() + (new Date('2030-01-31') - made) / 2 + 1000);
+
+  const first = tracker.remind({ now: halfway }).filter(r => r.id === pred.id);
+  assert.deepStrictEqual(first.map(r => r.kind), ['halfway']);
+  assert.strictEqual(queued(first[0].contentId).predictionDraft, 'halfway');
+  assert.deepStrictEqual(tracker.remind({ now: halfway }).filter(r => r.id === pred.id), []);
+});
+
+test('revisions keep the original confidence', () => {
+  nextMillisecond();
+  const tracker = new PredictionsTracker({ drafts: false });
+  const pred = tracker.add('the api hits 1k users', 70, 'business', '2030-01-01');
+
+  tracker.update(pred.id, { confidence: 55, note: 'slow month' });
+  const revised = tracker.update(pred.id, { confidence: 40 });
+  assert.strictEqual(revised.confidence, 70);
+  assert.deepStrictEqual(revised.revisions.map(r => [r.confidence, r.note]), [[55, 'slow month'], [40, null]]);
+  assert.strictEqual(tracker.update(pred.id, { confidence: 10 }).confidence, 70);
+});
+
+test('claims can change until the announcement is really posted, and queued drafts follow', async () => {
+  nextMillisecond();
+  const tracker = new PredictionsTracker();
+  const pred = tracker.add('the dashboard ships in june', 80, 'tech', '2030-06-30');
+  const announcement = pred.drafts.announcement;
+
+  const edited = tracker.update(pred.id, { prediction: 'the dashboard ships in july' });
+  assert.deepStrictEqual(edited.redrafted, [{ kind: 'announcement', contentId: announcement }]);
+  assert.match(queued(announcement).text, /ships in july/);
+  assert.strictEqual(queued(announcement).status, 'pending');
+
+  const engine = new ContentEngine();
+  engine.approve(announcement);
+  const dryRun = createPublisher('dry-run', { dryRunPath: path.join(root, 'dry-run.jsonl') });
+  assert.strictEqual((await engine.publish(announcement, dryRun)).item.status, 'posted');
+  assert.strictEqual(tracker.update(pred.id, { prediction: 'the dashboard ships in august' }).error, undefined);
+
+  engine.linkPredictionPost({
+    ...engine.posted.find(item => item.id === announcement),
+    publisher: 'x',
+    tweetUrl: 'https://x.com/kira/status/1'
+  });
+  const locked = tracker.update(pred.id, { resolutionDate: '2030-09-01' });
+  assert.strictEqual(locked.code, 'state');
+  assert.match(locked.error, /announced at https:\/\/x\.com\/kira\/status\/1/);
+  assert.strictEqual(tracker.update(pred.id, { confidence: 60 }).revisions.length, 1);
+});
+
+test('--no-draft is a flag, not notes or proof', () => {
+  const added = run('predictions.js', 'add', 'tests stay green', '90', 'tech', '2030-01-01', '--no-draft');
+  assert.strictEqual(added.status, 0);
+  assert.strictEqual(added.body.notes, '');
+  assert.strictEqual(added.body.drafts, undefined);
+
+  const resolved = run('predictions.js', 'resolve', added.body.id, 'correct', '--no-draft');
+  assert.strictEqual(resolved.status, 0);
+  assert.strictEqual(resolved.body.proof, '');
+  assert.strictEqual(resolved.body.drafts, undefined);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempData, removeTempData } = require('./helpers');
+
+const root = useTempData();
+test.after(() => removeTempData(root));
+
+const { XPublisher, DryRunPublisher, createPublisher } = require('../scripts/lib/publisher');
+
+const outputPath = path.join(root, 'data', 'dry-run-posts.jsonl');
+const entries = () => fs.readFileSync(outputPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+test('the dry-run publisher appends posts to a JSONL file', async () => {
+  const publisher = createPublisher('dry-run', { dryRunPath: outputPath });
+  assert.ok(publisher instanceof DryRunPublisher);
+
+  const first = await publisher.publish('first post');
+  const reply = await publisher.publish('second post', { replyTo: first.tweetId });
+  assert.match(first.url, /^dry-run:\/\/dry-run-posts\.jsonl\/dryrun_/);
+
+  const [a, b] = entries().slice(-2);
+  assert.deepStrictEqual([a.tweetId, a.text, a.replyTo], [first.tweetId, 'first post', null]);
+  assert.deepStrictEqual([b.tweetId, b.text, b.replyTo], [reply.tweetId, 'second post', first.tweetId]);
+});
+
+test('the dry-run publisher needs an output path', () => {
+  assert.throws(() => createPublisher('dry-run', {}), /needs a dryRunPath/);
+  assert.throws(() => createPublisher('carrier-pigeon'), /Unknown publisher/);
+});
+
+test('the X publisher names missing credentials before touching the API', async () => {
+  const publisher = new XPublisher({ appKey: 'key', appSecret: 'secret', accessToken: null, accessSecret: null });
+  for (const name of ['X_ACCESS_TOKEN', 'X_ACCESS_SECRET']) delete process.env[name];
+  await assert.rejects(publisher.publish('hello'), /missing: accessToken, accessSecret/);
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { useTempData, removeTempData, run, nextMillisecond } = require('./helpers');
+
+const root = useTempData();
+test.after(() => removeTempData(root));
+
+const { getConfig } = require('../scripts/lib/config');
+const resolvers = require('../scripts/lib/resolvers');
+const PredictionsTracker = require('../scripts/predictions');
+
+const { dataDir } = getConfig();
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+/**
+ * A registry with one resolver that always reads `value`
+ */
+function reading(value) {
+  return {
+    fixed: { name: 'fixed', key: () => 'metric', validate: () => null, read: () => ({ value, source: 'test' }) }
+  };
+}
+
+function predictionOn(comparator, threshold, deadline) {
+  return { resolutionDate: deadline, condition: { source: 'fixed', comparator, threshold } };
+}
+
+test('comparators', () => {
+  const cases = [
+    ['>', 3, 2, true], ['>', 2, 2, false],
+    ['>=', 2, 2, true], ['>=', 1, 2, false],
+    ['<', 1, 2, true], ['<', 2, 2, false],
+    ['<=', 2, 2, true], ['<=', 3, 2, false],
+    ['==', 2, 2, true], ['==', '2', 2, false],
+    ['!=', 3, 2, true], ['!=', 2, 2, false]
+  ];
+  for (const [comparator, value, threshold, expected] of cases) {
+    const label = `${value} ${comparator} ${threshold}`;
+    assert.strictEqual(resolvers.COMPARATORS[comparator](value, threshold), expected, label);
+  }
+});
+
+test('the deadline decides between met, failed, late and pending', async () => {
+  const state = async (value, deadline) =>
+    (await resolvers.evaluate(predictionOn('>=', 300, deadline), reading(value), {}, NOW)).state;
+
+  assert.strictEqual(await state(312, '2026-03-02'), 'met');
+  assert.strictEqual(await state(250, '2026-03-02'), 'pending');
+  assert.strictEqual(await state(250, '2026-02-28'), 'failed');
+  assert.strictEqual(await state(312, '2026-02-28'), 'late');
+
+  // condition.deadline wins over the resolution date
+  const early = predictionOn('>=', 300, '2026-03-02');
+  early.condition.deadline = '2026-02-28T00:00:00Z';
+  assert.strictEqual((await resolvers.evaluate(early, reading(250), {}, NOW)).state, 'failed');
+});
+
+test('the receipt is the reading and its public page, the proof says where it came from', async () => {
+  const registry = {
+    fixed: {
+      name: 'fixed',
+      key: () => 'metric',
+      validate: () => null,
+      read: () => ({ value: 312, source: '/srv/kira/data/metric.json', link: 'https://example.com/metric' })
+    }
+  };
+  const result = await resolvers.evaluate(predictionOn('>=', 300, '2026-03-02'), registry, {}, NOW);
+  assert.strictEqual(result.receipt, '312 on 2026-03-01 (https://example.com/metric)');
+  assert.match(result.proof, /^fixed:metric was 312 at 2026-03-01T12:00:00.000Z .*; \/srv\/kira\/data\/metric\.json$/);
+
+  const unlinked = await resolvers.evaluate(predictionOn('>=', 300, '2026-03-02'), reading(312), {}, NOW);
+  assert.strictEqual(unlinked.receipt, '312 on 2026-03-01');
+});
+
+test('conditions are validated against the registry', () => {
+  const condition = { source: 'price', params: { asset: 'solana' }, comparator: '>=', threshold: 300 };
+  assert.strictEqual(resolvers.validateCondition(condition), null);
+  assert.match(resolvers.validateCondition({ ...condition, source: 'vibes' }), /unknown condition source "vibes"/);
+  assert.match(resolvers.validateCondition({ ...condition, comparator: '~' }), /comparator must be one of/);
+  assert.match(resolvers.validateCondition({ ...condition, threshold: null }), /needs a threshold/);
+  assert.match(resolvers.validateCondition({ ...condition, deadline: 'soon' }), /invalid condition deadline/);
+  assert.match(resolvers.validateCondition({ ...condition, params: {} }), /price needs params.asset/);
+});
+
+test('fixture registries answer every resolver from the file', async () => {
+  const fixturePath = path.join(root, 'fixture.json');
+  fs.writeFileSync(fixturePath, JSON.stringify({ 'price:solana/usd': 312.4 }));
+  const registry = resolvers.createRegistry({ fixturePath });
+
+  assert.deepStrictEqual(registry.price.read({ asset: 'solana' }), { value: 312.4, source: `fixture ${fixturePath}` });
+  assert.throws(() => registry.followers.read({ username: 'kira' }), /No fixture for followers:kira/);
+});
+
+test('network reads give up after the timeout', async () => {
+  // Accepts the request and never answers
+  const server = http.createServer(() => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/stats.json`;
+  const json = resolvers.BUILT_IN.find(r => r.name === 'json');
+
+  try {
+    const started = Date.now();
+    await assert.rejects(json.read({ url, field: 'subs' }, { timeoutMs: 100 }), { name: 'TimeoutError' });
+    assert.ok(Date.now() - started < 5000);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+test('check resolves met conditions and lists overdue predictions', async () => {
+  fs.writeFileSync(path.join(dataDir, 'premium.json'), JSON.stringify({ subs: 104 }));
+  const subs = (comparator, threshold) =>
+    ({ source: 'json', params: { path: 'premium.json', field: 'subs' }, comparator, threshold });
+  const tracker = new PredictionsTracker();
+
+  const met = tracker.add('100 premium subs by april', 70, 'business', '2026-04-01', '', subs('>=', 100));
+  nextMillisecond();
+  const failed = tracker.add('200 premium subs by february', 40, 'business', '2026-02-01', '', subs('>=', 200));
+  nextMillisecond();
+  const late = tracker.add('100 premium subs by february', 60, 'business', '2026-02-01', '', subs('>=', 100));
+  nextMillisecond();
+  const manual = tracker.add('the talk goes well', 80, 'personal', '2026-02-15');
+  nextMillisecond();
+  const upcoming = tracker.add('the launch goes well', 80, 'personal', '2026-04-15');
+
+  const report = await tracker.check({ now: NOW });
+  assert.strictEqual(report.dryRun, false);
+  const byId = (a, b) => a.id.localeCompare(b.id);
+  assert.deepStrictEqual(report.resolved.sort(byId).map(r => [r.id, r.outcome]),
+    [[met.id, 'correct'], [failed.id, 'incorrect']]);
+  assert.deepStrictEqual(report.overdue.sort(byId).map(o => o.id), [late.id, manual.id]);
+  assert.match(report.overdue[0].reason, /condition met only after the deadline/);
+  assert.match(report.overdue[1].reason, /no condition/);
+  assert.deepStrictEqual(report.errors, []);
+
+  const stored = id => tracker.list('all').find(p => p.id === id);
+  assert.strictEqual(stored(met.id).status, 'resolved');
+  assert.strictEqual(stored(failed.id).outcome, 'incorrect');
+  assert.strictEqual(stored(late.id).status, 'active');
+  assert.strictEqual(stored(upcoming.id).status, 'active');
+});
+
+test('fixture checks only report what would resolve', async () => {
+  const fixturePath = path.join(root, 'fixture.json');
+  fs.writeFileSync(fixturePath, JSON.stringify({ 'price:solana/usd': 312.4, 'json:premium.json#subs': 104 }));
+  const tracker = new PredictionsTracker();
+  const pred = tracker.add('sol over 300 by 2030', 75, 'crypto', '2030-01-01', '',
+    { source: 'price', params: { asset: 'solana' }, comparator: '>=', threshold: 300 });
+
+  const report = await tracker.check({ fixturePath, now: NOW });
+  assert.strictEqual(report.dryRun, true);
+  assert.deepStrictEqual(report.resolved.map(r => r.id), [pred.id]);
+  assert.strictEqual(tracker.list('all').find(p => p.id === pred.id).status, 'active');
+
+  const cli = run('predictions.js', 'check', '--fixture', fixturePath);
+  assert.strictEqual(cli.status, 0);
+  assert.strictEqual(cli.body.dryRun, true);
+  assert.strictEqual(new PredictionsTracker().list('all').find(p => p.id === pred.id).status, 'active');
+});
+
+test('check exits 1 when a resolver fails', () => {
+  const missing = run('predictions.js', 'check', '--fixture', path.join(root, 'missing.json'));
+  assert.strictEqual(missing.status, 1);
+  assert.match(missing.body.errors[0].message, /Resolver fixture not found/);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Scheduler = require('../scripts/lib/scheduler');
+
+const MINUTE = 60 * 1000;
+const CONFIG = {
+  minGapMinutes: 90,
+  slotWindowMinutes: 60,
+  slots: {
+    default: { days: [], times: [] },
+    hot_take: { days: [1], times: ['12:00'] }
+  }
+};
+
+// Slot days and times are local, so the fake clock is too: Monday 7 January 2030
+const monday = (hours, minutes = 0) => new Date(2030, 0, 7, hours, minutes);
+
+/**
+ * Just enough of ContentEngine for the scheduler: a queue, posted
+ * history and a publish that stamps whatever clock it is given
+ */
+class FakeEngine {
+  constructor(items) {
+    this.queue = items.map((item, i) => ({ id: `content_${i + 1}`, status: 'approved', priority: 5, ...item }));
+    this.posted = [];
+  }
+
+  reload() {}
+
+  withQueue(fn) {
+    return fn(this.queue);
+  }
+
+  async publish(contentId, publisher, { now = new Date() } = {}) {
+    const index = this.queue.findIndex(item => item.id === contentId);
+    const [item] = this.queue.splice(index, 1);
+    Object.assign(item, { status: 'posted', postedAt: now.toISOString(), publisher: publisher.name });
+    this.posted.push(item);
+    return { success: true, item };
+  }
+}
+
+function setup(start, items) {
+  const engine = new FakeEngine(items);
+  const clock = { now: start };
+  const scheduler = new Scheduler(engine, { name: 'dry-run' }, { config: CONFIG, now: () => clock.now });
+  return { engine, clock, scheduler };
+}
+
+test('items with a publish time wait for the scheduler clock, not the real one', async () => {
+  const { clock, scheduler } = setup(new Date('2030-03-01T08:00:00Z'), [
+    { type: 'build_update', publishAt: '2030-03-01T09:00:00.000Z' }
+  ]);
+
+  let result = await scheduler.tick();
+  assert.deepStrictEqual(result.posted, []);
+  assert.deepStrictEqual(result.skipped, [
+    { id: 'content_1', type: 'build_update', reason: 'scheduled for 2030-03-01T09:00:00.000Z' }
+  ]);
+
+  clock.now = new Date('2030-03-01T09:05:00Z');
+  result = await scheduler.tick();
+  assert.deepStrictEqual(result.posted.map(p => p.id), ['content_1']);
+  assert.strictEqual(result.posted[0].postedAt, clock.now.toISOString());
+});
+
+test('unscheduled items go out in an open slot for their type, once per slot', async () => {
+  const { engine, clock, scheduler } = setup(monday(11, 30), [{ type: 'hot_take' }, { type: 'hot_take' }]);
+
+  let result = await scheduler.tick();
+  assert.deepStrictEqual(result.skipped.map(s => s.reason), ['no open hot_take slot', 'no open hot_take slot']);
+  assert.strictEqual(engine.queue[0].skipReason, 'no open hot_take slot');
+
+  clock.now = monday(12, 10);
+  result = await scheduler.tick();
+  assert.deepStrictEqual(result.posted.map(p => p.id), ['content_1']);
+  assert.deepStrictEqual(result.skipped.map(s => s.reason), ['waiting behind another due item']);
+
+  clock.now = monday(14, 0);
+  result = await scheduler.tick();
+  assert.deepStrictEqual(result.skipped.map(s => s.reason), ['no open hot_take slot']);
+});
+
+test('the minimum gap is measured on the scheduler clock', async () => {
+  const { clock, scheduler } = setup(new Date('2030-03-01T10:00:00Z'), [
+    { type: 'build_update', publishAt: '2030-03-01T09:00:00.000Z' },
+    { type: 'build_update', publishAt: '2030-03-01T09:30:00.000Z' }
+  ]);
+
+  let result = await scheduler.tick();
+  assert.deepStrictEqual(result.posted.map(p => p.id), ['content_1']);
+  assert.deepStrictEqual(result.skipped.map(s => s.reason), ['waiting behind another due item']);
+
+  clock.now = new Date(clock.now.getTime() + 30 * MINUTE);
+  result = await scheduler.tick();
+  assert.deepStrictEqual(result.posted, []);
+  assert.deepStrictEqual(result.skipped.map(s => s.reason), [
+    'min gap: last post 2030-03-01T10:00:00.000Z, next allowed 2030-03-01T11:30:00.000Z'
+  ]);
+
+  clock.now = new Date(clock.now.getTime() + 60 * MINUTE);
+  result = await scheduler.tick();
+  assert.deepStrictEqual(result.posted.map(p => p.id), ['content_2']);
+  assert.strictEqual(result.posted[0].postedAt, '2030-03-01T11:30:00.000Z');
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { MAX_LENGTH, weightedLength } = require('../scripts/lib/thread');
+const voice = require('../scripts/lib/voice');
+const scoreboard = require('../scripts/lib/scoreboard');
+
+const NOW = new Date('2026-03-01T00:00:00Z');
+
+const STATS = {
+  total: 6,
+  resolved: 4,
+  active: 3,
+  accuracy: '62.5',
+  brier: 0.212,
+  logLoss: 0.61,
+  final: { revised: 1, brier: 0.18, logLoss: 0.55 },
+  calibration: [
+    { range: '60–70', count: 2, stated: 65, observed: 50, gap: -15 },
+    { range: '80–90', count: 2, stated: 85, observed: 75, gap: -10 }
+  ]
+};
+
+const ACTIVE = [
+  {
+    id: 'pred_1',
+    prediction: 'SOL flips 300 | before <march>',
+    category: 'crypto',
+    confidence: 70,
+    revisions: [{ confidence: 55 }],
+    dateMade: '2026-01-01T00:00:00Z',
+    resolutionDate: '2026-03-31'
+  },
+  {
+    id: 'pred_2',
+    prediction: 'The dashboard ships',
+    category: 'tech',
+    confidence: 80,
+    dateMade: '2026-02-01T00:00:00Z',
+    resolutionDate: '2026-03-03'
+  },
+  {
+    id: 'pred_3',
+    prediction: 'The talk gets 100 signups',
+    category: 'personal',
+    confidence: 60,
+    dateMade: '2026-01-01T00:00:00Z',
+    resolutionDate: '2026-02-01'
+  }
+];
+
+const board = scoreboard.buildBoard(STATS, ACTIVE, NOW);
+
+test('the board carries final confidence, trajectory and time left', () => {
+  const [sol, dashboard, talk] = board.active;
+  assert.strictEqual(board.accuracy, 62.5);
+  assert.strictEqual(sol.confidence, 55);
+  assert.deepStrictEqual(sol.trajectory, [70, 55]);
+  assert.strictEqual(sol.daysLeft, 30);
+  assert.strictEqual(dashboard.daysLeft, 2);
+  assert.strictEqual(talk.overdue, true);
+  assert.strictEqual(talk.daysLeft, 0);
+  assert.strictEqual(talk.elapsed, 1);
+  assert.ok(sol.elapsed > 0.6 && sol.elapsed < 0.7);
+});
+
+test('text is one post that fits, soonest deadline first', () => {
+  const text = scoreboard.render('text', board);
+  assert.ok(weightedLength(text) <= MAX_LENGTH, text);
+  assert.match(text, /62\.5% accuracy over 4 calls · brier 0\.212 · 3 active/);
+  // Whatever fits, in deadline order: the overdue call is the first to go
+  const dashboard = text.indexOf('the dashboard ships █████ 2 days left');
+  const sol = text.indexOf('SOL flips 300 | before <march> ███░░ 30 days left');
+  assert.ok(dashboard !== -1 && sol > dashboard, text);
+  assert.ok(!text.includes('overdue'), text);
+});
+
+test('the thread is numbered, fits, and passes the voice lint', () => {
+  const posts = scoreboard.render('thread', board);
+  assert.ok(posts.length > 1);
+  posts.forEach((post, i) => {
+    assert.ok(post.endsWith(` ${i + 1}/${posts.length}`), post);
+    assert.ok(weightedLength(post) <= MAX_LENGTH, post);
+  });
+  const text = posts.join('\n\n');
+  assert.match(text, /on final revisions: 0\.180 \(1 revised\)/);
+  assert.match(text, /70% → 55%/);
+  assert.match(posts[posts.length - 1], /nfa\. \d+\/\d+$/);
+  assert.deepStrictEqual(voice.errorsIn(voice.lint(text, { type: 'prediction', thread: posts })), []);
+});
+
+test('markdown and html escape what would break them', () => {
+  const markdown = scoreboard.render('markdown', board);
+  assert.match(markdown, /\| SOL flips 300 \\\| before <march> \|/);
+  assert.match(markdown, /\| 60–70% \| 2 \| 65% \| 50% \|/);
+
+  const html = scoreboard.render('html', board);
+  assert.match(html, /SOL flips 300 \| before &lt;march&gt;/);
+  assert.ok(!html.includes('<march>'));
+});
+
+test('svg and png render the card', () => {
+  const svg = scoreboard.render('svg', board);
+  assert.match(svg, /^<svg [^>]*xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+  assert.ok(svg.trimEnd().endsWith('</svg>'));
+  assert.ok(!svg.includes('<march>'));
+
+  const png = scoreboard.render('png', board);
+  assert.ok(Buffer.isBuffer(png));
+  assert.deepStrictEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  assert.strictEqual(png.toString('ascii', 12, 16), 'IHDR');
+  const width = png.readUInt32BE(16);
+  const height = png.readUInt32BE(20);
+
+  // Every scanline is there once the image data inflates
+  const dataStart = png.indexOf('IDAT') + 4;
+  const dataLength = png.readUInt32BE(dataStart - 8);
+  const pixels = zlib.inflateSync(png.subarray(dataStart, dataStart + dataLength));
+  assert.strictEqual(pixels.length, height * (1 + width * 3));
+});
+
+test('every format renders an empty board, and unknown formats are refused', () => {
+  const empty = scoreboard.buildBoard({ ...STATS, resolved: 0, active: 0, calibration: [], final: null }, [], NOW);
+  for (const format of scoreboard.FORMATS) {
+    assert.ok(scoreboard.render(format, empty), format);
+  }
+  assert.match(scoreboard.render('text', empty), /no calls resolved yet/);
+  assert.throws(() => scoreboard.render('pdf', board), /Unknown scoreboard format "pdf"/);
+});
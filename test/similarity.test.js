@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const similarity = require('../scripts/lib/similarity');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2030-03-01T12:00:00Z');
+const daysAgo = days => new Date(NOW - days * DAY).toISOString();
+
+test('tokens ignore case, punctuation and links', () => {
+  assert.deepStrictEqual(similarity.tokens('Shipped it! https://x.com/i/status/1 -- 40% faster, $5'),
+    ['shipped', 'it', '40%', 'faster', '$5']);
+});
+
+test('rewordings score high and shared common words do not', () => {
+  const score = similarity.similarity('AI agents are cron jobs with better marketing',
+    'most AI agents are just cron jobs with better marketing');
+  assert.strictEqual(score, 0.6);
+  assert.ok(similarity.similarity('agents are overrated', 'tests are overrated and slow') < 0.5);
+  assert.strictEqual(similarity.similarity('Same text.', 'same   TEXT'), 1);
+});
+
+test('mostSimilar counts a score equal to the threshold as a match', () => {
+  const items = [{ id: 'a', text: 'w x y z' }, { id: 'b', text: 'w x y q' }];
+  assert.strictEqual(similarity.similarity('w x y q', 'w x y z'), 0.5);
+
+  assert.strictEqual(similarity.mostSimilar('w x y q', items.slice(0, 1), { threshold: 0.5 }).item.id, 'a');
+  assert.strictEqual(similarity.mostSimilar('w x y q', items.slice(0, 1), { threshold: 0.51 }), null);
+  assert.deepStrictEqual(similarity.mostSimilar('w x y q', items, { threshold: 0.5 }), { item: items[1], score: 1 });
+});
+
+test('short texts still compare when they have fewer words than a shingle', () => {
+  assert.strictEqual(similarity.similarity('gm', 'GM!'), 1);
+  assert.strictEqual(similarity.similarity('gm', 'gn'), 0);
+});
+
+test('a per-topic cooldown only blocks the same type on the same topic inside the window', () => {
+  const cooldown = { days: 7, perTopic: true };
+  const candidate = { type: 'hot_take', topic: 'agents' };
+  const items = [
+    { id: 'other_type', type: 'build_update', topic: 'agents', generated: daysAgo(1) },
+    { id: 'other_topic', type: 'hot_take', topic: 'tests', generated: daysAgo(1) },
+    { id: 'rejected', type: 'hot_take', topic: 'agents', status: 'rejected', generated: daysAgo(1) },
+    { id: 'too_old', type: 'hot_take', topic: 'agents', generated: daysAgo(7.01) }
+  ];
+  assert.strictEqual(similarity.cooldownHit(candidate, items, cooldown, NOW), null);
+
+  const edge = {
+    id: 'edge', type: 'hot_take', topic: 'agents', status: 'posted', generated: daysAgo(30), postedAt: daysAgo(7)
+  };
+  assert.strictEqual(similarity.cooldownHit(candidate, [...items, edge], cooldown, NOW), edge);
+  assert.strictEqual(similarity.cooldownHit({ type: 'hot_take', topic: null }, [edge], cooldown, NOW), null);
+});
+
+test('a per-type cooldown blocks the type whatever the topic', () => {
+  const items = [{ id: 'p1', type: 'prediction', topic: 'sol', generated: daysAgo(1.5) }];
+  const candidate = { type: 'prediction', topic: 'btc' };
+  assert.strictEqual(similarity.cooldownHit(candidate, items, { days: 2, perTopic: false }, NOW), items[0]);
+  assert.strictEqual(similarity.cooldownHit(candidate, items, { days: 1, perTopic: false }, NOW), null);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { useTempData, removeTempData } = require('./helpers');
+
+const root = useTempData();
+test.after(() => removeTempData(root));
+
+const { Store, StoreError } = require('../scripts/lib/store');
+
+let files = 0;
+const freshPath = () => path.join(root, `store-${++files}.json`);
+const envelope = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+test('writes are wrapped in a schema envelope and read back as the data', () => {
+  const store = new Store(freshPath());
+  assert.deepStrictEqual(store.read(), []);
+
+  store.write([{ id: 1 }]);
+  assert.deepStrictEqual(store.read(), [{ id: 1 }]);
+  const written = envelope(store.filePath);
+  assert.strictEqual(written.schemaVersion, 1);
+  assert.deepStrictEqual(written.data, [{ id: 1 }]);
+  assert.ok(!fs.existsSync(store.lockPath));
+});
+
+test('update re-reads under the lock and can skip the write', () => {
+  const store = new Store(freshPath());
+  store.write([1]);
+  new Store(store.filePath).write([1, 2]);
+
+  assert.deepStrictEqual(store.update(data => { data.push(3); }), [1, 2, 3]);
+  assert.deepStrictEqual(store.update(() => ['replaced']), ['replaced']);
+  const before = fs.readFileSync(store.filePath, 'utf8');
+  assert.deepStrictEqual(store.update(() => false), ['replaced']);
+  assert.strictEqual(fs.readFileSync(store.filePath, 'utf8'), before);
+});
+
+test('legacy bare arrays are read as schema 0, migrated and upgraded on the next write', () => {
+  const filePath = freshPath();
+  fs.writeFileSync(filePath, JSON.stringify([{ id: 'old' }]));
+  const seen = [];
+  const store = new Store(filePath, {
+    migrate: (data, version) => {
+      seen.push(version);
+      return data.map(item => ({ ...item, migrated: true }));
+    }
+  });
+
+  assert.deepStrictEqual(store.read(), [{ id: 'old', migrated: true }]);
+  assert.deepStrictEqual(seen, [0]);
+
+  store.update(() => {});
+  assert.strictEqual(envelope(filePath).schemaVersion, 1);
+  assert.deepStrictEqual(envelope(filePath).data, [{ id: 'old', migrated: true }]);
+  assert.deepStrictEqual(new Store(filePath).read(), [{ id: 'old', migrated: true }]);
+});
+
+test('files from a newer schema are refused, not rewritten', () => {
+  const filePath = freshPath();
+  fs.writeFileSync(filePath, JSON.stringify({ schemaVersion: 2, data: [] }));
+  const store = new Store(filePath);
+
+  assert.throws(() => store.read(), e => e instanceof StoreError && /schema v2.*up to v1/.test(e.message));
+  assert.throws(() => store.update(() => {}), StoreError);
+  assert.strictEqual(envelope(filePath).schemaVersion, 2);
+});
+
+test('corrupt JSON throws a StoreError naming the latest backup instead of reading as empty', () => {
+  const store = new Store(freshPath());
+  fs.writeFileSync(store.filePath, '{"schemaVersion": 1, "data": [');
+  assert.throws(() => store.read(), e => e instanceof StoreError &&
+    e.filePath === store.filePath && /Corrupt JSON .*No backups found/.test(e.message));
+
+  store.write(['good']);
+  store.write(['newer']);
+  fs.writeFileSync(store.filePath, 'not json');
+  assert.throws(() => store.read(), new RegExp(`Latest backup: ${store.backupPath(1).replace(/[.\\]/g, '\\$&')}`));
+});
+
+test('each write keeps the previous versions as .bak.1 (newest) to .bak.N', () => {
+  const store = new Store(freshPath(), { backups: 3 });
+  for (let version = 1; version <= 5; version++) store.write([version]);
+
+  const backups = [1, 2, 3].map(n => envelope(store.backupPath(n)).data);
+  assert.deepStrictEqual(backups, [[4], [3], [2]]);
+  assert.ok(!fs.existsSync(store.backupPath(4)));
+  assert.deepStrictEqual(store.read(), [5]);
+});
+
+test('a lock held by a live process makes writers wait, then time out', () => {
+  const store = new Store(freshPath(), { lockTimeoutMs: 100 });
+  fs.writeFileSync(store.lockPath, JSON.stringify({ pid: process.pid, at: Date.now() }));
+
+  const started = Date.now();
+  assert.throws(() => store.write(['blocked']),
+    e => e instanceof StoreError && new RegExp(`held by pid ${process.pid}`).test(e.message));
+  assert.ok(Date.now() - started >= 100);
+  assert.ok(!fs.existsSync(store.filePath));
+  fs.rmSync(store.lockPath);
+});
+
+test('stale locks from dead or stuck holders are taken over', () => {
+  const store = new Store(freshPath(), { lockTimeoutMs: 100, staleLockMs: 1000 });
+  const dead = spawnSync(process.execPath, ['-e', '']).pid;
+
+  fs.writeFileSync(store.lockPath, JSON.stringify({ pid: dead, at: Date.now() }));
+  assert.deepStrictEqual(store.write(['after dead holder']), ['after dead holder']);
+
+  fs.writeFileSync(store.lockPath, JSON.stringify({ pid: process.pid, at: Date.now() - 2000 }));
+  assert.deepStrictEqual(store.write(['after stuck holder']), ['after stuck holder']);
+  assert.ok(!fs.existsSync(store.lockPath));
+});
+
+test('a writer waits for another process holding the lock and keeps its change', async () => {
+  const store = new Store(freshPath());
+  store.write(['start']);
+
+  // The other process appends under the lock and holds it for a while
+  const child = spawn(process.execPath, ['-e', `
+    const { Store } = require(${JSON.stringify(require.resolve('../scripts/lib/store'))});
+    new Store(${JSON.stringify(store.filePath)}).update(data => {
+      data.push('child');
+      process.stdout.write('locked\\n');
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 300);
+    });
+  `]);
+  await new Promise(resolve => child.stdout.once('data', resolve));
+
+  const data = store.update(current => { current.push('parent'); });
+  await new Promise(resolve => child.once('exit', resolve));
+  assert.deepStrictEqual(data, ['start', 'child', 'parent']);
+  assert.deepStrictEqual(store.read(), ['start', 'child', 'parent']);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const templates = require('../scripts/lib/templates');
+
+const PATTERNS = [
+  'hot take: {topic} is {opinion}.',
+  { text: 'the {industry} discourse is exhausting. what matters: {insight}.', optional: { industry: 'tech' } }
+];
+
+test('only patterns with every required placeholder are fillable', () => {
+  assert.deepStrictEqual(templates.missingPlaceholders(PATTERNS[0], { topic: 'agents', opinion: '  ' }), ['opinion']);
+  assert.deepStrictEqual(templates.missingPlaceholders(PATTERNS[1], { insight: 'shipping' }), []);
+  assert.deepStrictEqual(templates.fillablePatterns(PATTERNS, { insight: 'shipping' }).map(c => c.index), [1]);
+});
+
+test('optional placeholders fall back to their default text', () => {
+  assert.strictEqual(templates.render(PATTERNS[1], { insight: 'shipping' }),
+    'the tech discourse is exhausting. what matters: shipping.');
+  assert.strictEqual(templates.render(PATTERNS[1], { industry: 'ai', insight: 'shipping' }),
+    'the ai discourse is exhausting. what matters: shipping.');
+});
+
+test('fill picks among fillable patterns and never renders a bare placeholder', () => {
+  const data = { topic: 'agents', opinion: 'overrated', insight: 'shipping' };
+  assert.deepStrictEqual(templates.fill(PATTERNS, data, () => 0), { text: 'hot take: agents is overrated.', index: 0 });
+  assert.strictEqual(templates.fill(PATTERNS, data, () => 0.99).index, 1);
+
+  const result = templates.fill(PATTERNS, { topic: 'agents' });
+  assert.strictEqual(result.error, 'no pattern can be filled (closest is missing: opinion)');
+  assert.strictEqual(templates.fill([], {}).error, 'no patterns defined for this type');
+});
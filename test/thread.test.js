@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const thread = require('../scripts/lib/thread');
+
+test('URLs count as 23 whatever their length', () => {
+  assert.strictEqual(thread.weightedLength('see https://example.com'), 4 + 23);
+  assert.strictEqual(thread.weightedLength(`see https://example.com/${'a'.repeat(200)}`), 4 + 23);
+});
+
+test('CJK characters and emoji count as 2, combining marks as nothing extra', () => {
+  assert.strictEqual(thread.weightedLength('日本語'), 6);
+  assert.strictEqual(thread.weightedLength('ship it 🚀'), 8 + 2);
+  assert.strictEqual(thread.weightedLength('👩‍💻'), 2);
+  assert.strictEqual(thread.weightedLength('é'), 1);
+  assert.ok(thread.fits('日'.repeat(140)));
+  assert.ok(!thread.fits('日'.repeat(141)));
+});
+
+test('text that fits stays one unnumbered segment', () => {
+  const text = 'a'.repeat(280);
+  assert.deepStrictEqual(thread.splitThread(text), [text]);
+});
+
+test('long text splits on sentences and leaves room for the numbering', () => {
+  const sentence = 'the scheduler now respects slots, gaps and explicit times, and logs every skip.';
+  const segments = thread.splitThread(Array(8).fill(sentence).join(' '));
+
+  assert.ok(segments.length > 1);
+  segments.forEach((segment, i) => {
+    assert.ok(segment.endsWith(` ${i + 1}/${segments.length}`), segment);
+    assert.ok(segment.startsWith('the scheduler'), segment);
+  });
+  assert.ok(thread.validateSegments(segments).every(s => s.ok));
+});
+
+test('the numbering reserve grows when the count gains a digit', () => {
+  const segments = thread.splitThread(Array(60).fill('x'.repeat(40) + '.').join(' '), 100);
+  assert.ok(segments.length >= 10);
+  assert.ok(segments[0].endsWith(` 1/${segments.length}`));
+  assert.ok(thread.validateSegments(segments, 100).every(s => s.ok));
+});
+
+test('a single word longer than a tweet is cut so every segment fits', () => {
+  const hash = '0x' + 'f'.repeat(400);
+  const segments = thread.splitThread(`tx hash: ${hash} confirmed.`);
+
+  assert.ok(thread.validateSegments(segments).every(s => s.ok));
+  const rejoined = segments.map(s => s.replace(/ \d+\/\d+$/, '')).join('');
+  assert.ok(rejoined.includes(hash));
+});
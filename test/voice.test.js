@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempData, removeTempData } = require('./helpers');
+
+const root = useTempData();
+test.after(() => removeTempData(root));
+
+const voice = require('../scripts/lib/voice');
+
+const rulesHit = (text, context) => voice.lint(text, context).map(r => r.rule);
+
+test('clean lowercase text passes every rule', () => {
+  const text = 'shipped the scheduler. AI agents are still cron jobs.';
+  assert.deepStrictEqual(voice.lint(text, { type: 'build_update' }), []);
+});
+
+test('each rule flags its own problem', () => {
+  assert.deepStrictEqual(rulesHit('Shipped it. Then slept.'), ['casing']);
+  assert.deepStrictEqual(voice.capitalizedStarts('Shipped it. AI won. Then slept.\nNext'), ['Shipped', 'Then', 'Next']);
+  assert.deepStrictEqual(rulesHit('a'.repeat(281)), ['maxLength']);
+  assert.deepStrictEqual(rulesHit("let's dive in to the logs"), ['bannedPhrases']);
+  assert.deepStrictEqual(rulesHit('shipping #buildinpublic'), ['hashtags']);
+  assert.deepStrictEqual(rulesHit('issue #42 is fixed'), []);
+  assert.deepStrictEqual(rulesHit('done 🚀🚀'), ['emoji']);
+  assert.deepStrictEqual(rulesHit('hot take: {topic} is overrated...'), ['placeholders', 'placeholders']);
+});
+
+test('warnings show but only errors block', () => {
+  const results = voice.lint('done 🚀🚀. Really', {});
+  assert.deepStrictEqual(results.map(r => [r.rule, r.severity]), [['casing', 'error'], ['emoji', 'warning']]);
+  assert.deepStrictEqual(voice.errorsIn(results).map(r => r.rule), ['casing']);
+});
+
+test('crypto predictions need a disclaimer, other types and disclaimed calls do not', () => {
+  assert.deepStrictEqual(rulesHit('sol flips eth by june.', { type: 'prediction' }), ['disclaimer']);
+  assert.deepStrictEqual(rulesHit('$SOL to 500 by june.', { type: 'prediction' }), ['disclaimer']);
+  assert.deepStrictEqual(rulesHit('sol flips eth by june. nfa', { type: 'prediction' }), []);
+  assert.deepStrictEqual(rulesHit('sol flips eth by june.', { type: 'hot_take' }), []);
+  assert.deepStrictEqual(rulesHit('solar ships by june.', { type: 'prediction' }), []);
+});
+
+test('plural subjects get plural verbs', () => {
+  assert.deepStrictEqual(voice.lint('ai agents is overrated', {}).map(r => r.message),
+    ['"agents is" should be "agents are"']);
+  assert.strictEqual(voice.fixAgreement('hot take: AI Agents is overrated and LLMs has peaked.'),
+    'hot take: AI Agents are overrated and LLMs have peaked.');
+  assert.strictEqual(voice.fixAgreement('this is fine. the agent is fine.'), 'this is fine. the agent is fine.');
+});
+
+test('a rules file overrides defaults rule by rule and is validated', () => {
+  const rulesPath = path.join(root, 'voice-rules.json');
+  fs.writeFileSync(rulesPath, JSON.stringify({ emoji: { severity: 'off' }, hashtags: { max: 1 } }));
+  const rules = voice.loadRules(rulesPath);
+  assert.strictEqual(rules.emoji.severity, 'off');
+  assert.deepStrictEqual(rules.hashtags, { severity: 'error', max: 1 });
+  assert.deepStrictEqual(voice.lint('done 🚀🚀 #shipped', {}, rules), []);
+  assert.strictEqual(voice.loadRules(path.join(root, 'missing.json')), voice.DEFAULT_RULES);
+
+  fs.writeFileSync(rulesPath, JSON.stringify({ tone: { severity: 'error' } }));
+  assert.throws(() => voice.loadRules(rulesPath), /Unknown voice rule\(s\) .*: tone/);
+  fs.writeFileSync(rulesPath, JSON.stringify({ casing: { severity: 'loud' } }));
+  assert.throws(() => voice.loadRules(rulesPath), /casing.severity .* must be one of error, warning, off/);
+});